@@ -1,19 +1,30 @@
+// Переменные окружения загружаются до модулей, которые читают их при подключении (например, секрет подписи)
+require('dotenv').config();
+// Трассировка подключается раньше express, pino и http: инструментирование подменяет их при загрузке
+const { initTracing, shutdownTracing } = require('../../config/tracing');
+initTracing('api-gateway', { undici: true });
 const express = require('express');
 const pino = require('pino');
 const pinoHttp = require('pino-http');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
-const { authenticateToken } = require('./middleware/auth');
-const { usersProxy, ordersProxy } = require('./middleware/proxy');
+const { resolveService, proxyRequest } = require('./middleware/proxy');
+const { createIpRateLimiter, createRateLimiter } = require('./rateLimit');
+const { httpMetrics, metricsHandler } = require('./metrics');
+const serviceRegistry = require('./registry');
+const revokedTokens = require('../../config/revokedTokens');
+const { parseTrustProxy } = require('../../config/trustProxy');
 const rTracer = require('cls-rtracer');
-require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// За балансировщиком IP клиента для лимитов по анонимным маршрутам берется из X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY, false));
+
+// traceId и spanId активного спана добавляет в каждую запись инструментирование pino
 const logger = pino({ 
   level: process.env.LOG_LEVEL || 'info',
   mixin: () => {
@@ -26,41 +37,31 @@ const httpLogger = pinoHttp({
   genReqId: (req) => req.headers['x-request-id'] || rTracer.id() || require('crypto').randomUUID()
 });
 
-app.use(rTracer.expressMiddleware());
+// Идентификатор из X-Request-ID клиента сохраняется, чтобы requestId в логах совпадал с заголовком
+app.use(rTracer.expressMiddleware({ useHeader: true, headerName: 'X-Request-ID' }));
 
 app.use((req, res, next) => {
   const requestId = req.headers['x-request-id'] || rTracer.id() || require('crypto').randomUUID();
   req.headers['x-request-id'] = requestId;
   res.setHeader('x-request-id', requestId);
-  req.log = logger.child({ requestId });
   next();
 });
 
 app.use(httpLogger);
+app.use(httpMetrics);
 
 app.use(helmet());
 
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+  // Браузерным клиентам доступны заголовки квоты
+  exposedHeaders: ['X-Request-ID', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, 
-  max: 100, 
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Слишком много запросов с вашего IP, попробуйте позже'
-    }
-  }
-});
-
-app.use(limiter);
+// Бюджет IP учитывает все запросы, в том числе отклоненные при проверке токена и не найденные маршруты
+app.use(createIpRateLimiter(logger));
 
 app.use(express.json());
 
@@ -80,6 +81,34 @@ app.get('/health', (req, res) => {
   });
 });
 
+app.get('/health/live', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      service: 'api-gateway',
+      status: 'ok',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Gateway готов, когда загружен реестр сервисов; состояние самих сервисов — в /api/v1/health
+app.get('/health/ready', (req, res) => {
+  const ready = serviceRegistry.services.length > 0;
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    data: {
+      service: 'api-gateway',
+      status: ready ? 'ok' : 'down',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Метрики для Prometheus; на внешнем балансировщике этот путь наружу не публикуется
+app.get('/metrics', metricsHandler);
+
 app.get('/', (req, res) => {
   res.status(200).json({
     success: true,
@@ -87,10 +116,7 @@ app.get('/', (req, res) => {
       message: 'Construction Management API Gateway',
       version: '1.0.0',
       docs: `http://localhost:${PORT}/api-docs`,
-      services: {
-        users: '/api/v1/users',
-        orders: '/api/v1/orders'
-      },
+      services: Object.fromEntries(serviceRegistry.services.map(service => [service.name, service.prefix])),
       requestId: req.headers['x-request-id']
     }
   });
@@ -98,10 +124,9 @@ app.get('/', (req, res) => {
 
 app.use('/api/v1', gatewayRouter); 
 
-app.use(authenticateToken);
-
-app.use('/api/v1/users', usersProxy);
-app.use('/api/v1/orders', ordersProxy);
+app.use(resolveService);
+app.use(createRateLimiter(logger));
+app.use(proxyRequest);
 
 app.use((req, res) => {
   res.status(404).json({
@@ -127,10 +152,21 @@ app.use((err, req, res, next) => {
   });
 });
 
+serviceRegistry.start(logger);
+
+process.once('SIGTERM', () => {
+  shutdownTracing()
+    .catch((error) => logger.error(error, 'Tracing shutdown error'))
+    .finally(() => process.exit(0));
+});
+
 app.listen(PORT, () => {
+  revokedTokens.start(logger);
+
   logger.info(`API Gateway running on port ${PORT}`);
   logger.info(`Swagger UI available at http://localhost:${PORT}/api-docs`);
   logger.info('Services:');
-  logger.info(`  Users: ${process.env.USERS_SERVICE_URL || 'http://localhost:3001'}`);
-  logger.info(`  Orders: ${process.env.ORDERS_SERVICE_URL || 'http://localhost:3002'}`);
+  for (const service of serviceRegistry.services) {
+    logger.info(`  ${service.name} ${service.prefix}: ${service.pool.instances.map(instance => instance.url).join(', ')}`);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,112 @@
+const client = require('prom-client');
+const serviceRegistry = require('../registry');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// RED-метрики: число запросов, доля ошибок (по status_code) и длительность
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Количество обработанных HTTP-запросов',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Длительность обработки HTTP-запросов',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+// Метка upstream — адрес экземпляра сервиса
+const upstreamRequestDuration = new client.Histogram({
+  name: 'gateway_upstream_request_duration_seconds',
+  help: 'Время ответа экземпляров сервисов на проксированные запросы',
+  labelNames: ['service', 'upstream', 'status_code'],
+  buckets: DURATION_BUCKETS,
+  registers: [register]
+});
+
+const upstreamErrorsTotal = new client.Counter({
+  name: 'gateway_upstream_errors_total',
+  help: 'Ошибки проксирования: timeout, connection или unavailable (нет доступных экземпляров)',
+  labelNames: ['service', 'upstream', 'reason'],
+  registers: [register]
+});
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+// Состояние экземпляров читается из реестра в момент сбора, поэтому исключенные при перезагрузке экземпляры пропадают
+const eachInstance = (fn) => {
+  for (const service of serviceRegistry.services) {
+    for (const instance of service.pool.instances) {
+      fn({ service: service.name, upstream: instance.url }, instance);
+    }
+  }
+};
+
+new client.Gauge({
+  name: 'gateway_upstream_circuit_state',
+  help: 'Состояние автомата экземпляра: 0 — closed, 1 — half-open, 2 — open',
+  labelNames: ['service', 'upstream'],
+  registers: [register],
+  collect() {
+    this.reset();
+    eachInstance((labels, instance) => this.set(labels, CIRCUIT_STATES[instance.breaker.state]));
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_upstream_healthy',
+  help: 'Результат активных проверок экземпляра: 1 — в ротации, 0 — исключен',
+  labelNames: ['service', 'upstream'],
+  registers: [register],
+  collect() {
+    this.reset();
+    eachInstance((labels, instance) => this.set(labels, instance.healthy ? 1 : 0));
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_upstream_active_connections',
+  help: 'Запросы, которые сейчас обрабатывает экземпляр',
+  labelNames: ['service', 'upstream'],
+  registers: [register],
+  collect() {
+    this.reset();
+    eachInstance((labels, instance) => this.set(labels, instance.activeConnections));
+  }
+});
+
+// Проксированные запросы не проходят через маршруты express, поэтому помечаются префиксом сервиса
+const routeTemplate = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  if (req.upstreamService) {
+    return `${req.upstreamService.prefix}/*`;
+  }
+  return 'unmatched';
+};
+
+const httpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeTemplate(req), status_code: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+  next();
+};
+
+const metricsHandler = async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+};
+
+module.exports = { register, httpMetrics, upstreamRequestDuration, upstreamErrorsTotal, metricsHandler };
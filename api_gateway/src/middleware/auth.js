@@ -1,23 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { isRevoked } = require('../../../config/revokedTokens');
+const { JWT_ALGORITHMS, getVerificationKey } = require('../../../config/jwks');
 
+// Публичные пути сервисов задаются в реестре (services.json, publicPaths)
 const authenticateToken = (req, res, next) => {
-  const publicRoutes = [
-    '/api/v1/users/register', 
-    '/api/v1/users/login', 
-    '/health',
-    '/',
-    '/api-docs',
-    '/api-docs/',
-    '/api-docs/swagger-ui.css',
-    '/api-docs/swagger-ui-bundle.js',
-    '/api-docs/swagger-ui-standalone-preset.js',
-    '/api-docs/favicon-32x32.png'
-  ];
-  
-  if (publicRoutes.some(route => req.path === route || req.path.startsWith(route))) {
-    return next();
-  }
-
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -31,7 +17,7 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
+  jwt.verify(token, getVerificationKey, { algorithms: JWT_ALGORITHMS }, (err, user) => {
     if (err) {
       return res.status(403).json({
         success: false,
@@ -41,13 +27,19 @@ const authenticateToken = (req, res, next) => {
         }
       });
     }
+
+    if (isRevoked(user.jti)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'TOKEN_REVOKED',
+          message: 'Токен отозван'
+        }
+      });
+    }
     
+    // Заголовки пользователя для сервисов подписываются в proxy.js
     req.user = user;
-    
-    req.headers['x-user-id'] = user.id;
-    req.headers['x-user-email'] = user.email;
-    req.headers['x-user-roles'] = JSON.stringify(user.roles);
-    
     next();
   });
 };
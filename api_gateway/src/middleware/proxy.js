@@ -1,51 +1,166 @@
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { trace } = require('@opentelemetry/api');
+const { forwardIdentity } = require('../utils/identity');
+const { authenticateToken } = require('./auth');
+const serviceRegistry = require('../registry');
+const { upstreamRequestDuration, upstreamErrorsTotal } = require('../metrics');
 
-const services = {
-  users: {
-    target: process.env.USERS_SERVICE_URL || 'http://localhost:3001',
-    pathRewrite: {
-      '^/api/v1/users': '/api/v1/users'
-    },
-    changeOrigin: true,
-    onProxyReq: (proxyReq, req) => {
-      if (req.headers['x-user-id']) {
-        proxyReq.setHeader('x-user-id', req.headers['x-user-id']);
-      }
-      if (req.headers['x-user-email']) {
-        proxyReq.setHeader('x-user-email', req.headers['x-user-email']);
-      }
-      if (req.headers['x-user-roles']) {
-        proxyReq.setHeader('x-user-roles', req.headers['x-user-roles']);
-      }
-      if (req.headers['x-request-id']) {
-        proxyReq.setHeader('x-request-id', req.headers['x-request-id']);
-      }
-    }
-  },
-  orders: {
-    target: process.env.ORDERS_SERVICE_URL || 'http://localhost:3002',
-    pathRewrite: {
-      '^/api/v1/orders': '/api/v1/orders'
+// Повторять можно только идемпотентные запросы без тела
+const RETRYABLE_METHODS = ['GET', 'HEAD'];
+
+const upstreamUnavailable = (req, res, status, message) => {
+  // Ответ уже начал передаваться — корректный JSON отправить нельзя, соединение просто закрывается
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: 'UPSTREAM_UNAVAILABLE',
+      message
     },
-    changeOrigin: true,
-    onProxyReq: (proxyReq, req) => {
-      if (req.headers['x-user-id']) {
-        proxyReq.setHeader('x-user-id', req.headers['x-user-id']);
-      }
-      if (req.headers['x-user-email']) {
-        proxyReq.setHeader('x-user-email', req.headers['x-user-email']);
-      }
-      if (req.headers['x-user-roles']) {
-        proxyReq.setHeader('x-user-roles', req.headers['x-user-roles']);
-      }
-      if (req.headers['x-request-id']) {
-        proxyReq.setHeader('x-request-id', req.headers['x-request-id']);
-      }
-    }
-  }
-};
-
-const usersProxy = createProxyMiddleware(services.users);
-const ordersProxy = createProxyMiddleware(services.orders);
-
-module.exports = { usersProxy, ordersProxy };
\ No newline at end of file
+    requestId: req.headers['x-request-id']
+  });
+};
+
+// Заголовок traceparent для сервиса выставляет инструментирование http по клиентскому спану запроса
+const onProxyReq = (proxyReq, req) => {
+  forwardIdentity(proxyReq, req);
+  if (req.headers['x-request-id']) {
+    proxyReq.setHeader('x-request-id', req.headers['x-request-id']);
+  }
+  // Тело уже прочитано express.json(), поэтому передается заново
+  fixRequestBody(proxyReq, req);
+  // http-proxy при proxyTimeout обрывает запрос с той же ошибкой, что и разрыв соединения
+  proxyReq.on('timeout', () => {
+    req.upstreamTimedOut = true;
+  });
+};
+
+// Ответ 5xx считается ошибкой экземпляра для автомата
+const onProxyRes = (proxyRes, req) => {
+  req.stopUpstreamTimer({ status_code: proxyRes.statusCode });
+  if (proxyRes.statusCode >= 500) {
+    req.upstreamAttempt.fail();
+  } else {
+    req.upstreamAttempt.succeed();
+  }
+};
+
+const onError = (err, req, res) => {
+  const { service, upstream, tried, release } = req.upstreamRoute;
+  req.upstreamAttempt.fail();
+  release();
+  upstreamErrorsTotal.inc({
+    service: service.name,
+    upstream: upstream.url,
+    reason: req.upstreamTimedOut ? 'timeout' : 'connection'
+  });
+
+  // После таймаута запрос не повторяется, чтобы не умножать время ожидания клиента.
+  // Без другого доступного экземпляра повтор не нужен: клиент получает 502, а не 503
+  const retry = RETRYABLE_METHODS.includes(req.method)
+    && !req.upstreamTimedOut
+    && !res.headersSent
+    && tried.length <= service.retries
+    && service.pool.hasAvailable(tried);
+
+  req.log.warn({ err, upstream: upstream.url, retry }, `Proxy error for ${service.name}`);
+
+  if (retry) {
+    return dispatch(service, req, res);
+  }
+
+  if (req.upstreamTimedOut) {
+    return upstreamUnavailable(req, res, 504, `Сервис ${service.name} не ответил за ${service.timeoutMs} мс`);
+  }
+  upstreamUnavailable(req, res, 502, `Не удалось связаться с сервисом ${service.name}`);
+};
+
+// Прокси создается для каждой версии конфигурации сервиса; экземпляр выбирается на каждый запрос
+const proxies = new WeakMap();
+
+const getProxy = (service) => {
+  if (!proxies.has(service)) {
+    proxies.set(service, createProxyMiddleware({
+      target: service.instances[0],
+      router: (req) => req.upstreamRoute.upstream.url,
+      changeOrigin: true,
+      xfwd: service.xfwd,
+      proxyTimeout: service.timeoutMs,
+      // Ошибки логируются в onError
+      logLevel: 'silent',
+      onProxyReq,
+      onProxyRes,
+      onError
+    }));
+  }
+  return proxies.get(service);
+};
+
+// Выбирает экземпляр (кроме уже не ответивших на этот запрос) и передает ему запрос
+const dispatch = (service, req, res) => {
+  const retrying = Boolean(req.upstreamRoute);
+  const tried = retrying ? req.upstreamRoute.tried : [];
+  const upstream = service.pool.pick(tried);
+
+  if (!upstream) {
+    upstreamErrorsTotal.inc({ service: service.name, upstream: 'none', reason: 'unavailable' });
+    return upstreamUnavailable(req, res, 503, `Сервис ${service.name} временно недоступен`);
+  }
+
+  tried.push(upstream);
+  req.upstreamTimedOut = false;
+
+  const span = trace.getActiveSpan();
+  if (span) {
+    span.setAttributes({
+      'gateway.service': service.name,
+      'gateway.upstream': upstream.url,
+      'gateway.attempt': tried.length
+    });
+  }
+
+  req.stopUpstreamTimer = upstreamRequestDuration.startTimer({ service: service.name, upstream: upstream.url });
+  req.upstreamAttempt = upstream.breaker.begin();
+  req.upstreamRoute = { service, upstream, tried, release: upstream.acquire() };
+
+  // Один обработчик на запрос: при повторе он освобождает текущую попытку
+  if (!retrying) {
+    res.on('close', () => {
+      req.upstreamRoute.release();
+      // Клиент закрыл соединение до ответа — на состояние автомата это не влияет
+      req.upstreamAttempt.cancel();
+    });
+  }
+
+  getProxy(service)(req, res, () => {});
+};
+
+const requiresAuth = (service, requestPath) => service.authRequired && !service.publicPaths.includes(requestPath);
+
+// Определяет сервис по префиксу пути и проверяет токен, если маршрут не публичный.
+// Выполняется до ограничения частоты запросов, чтобы бюджет считался по пользователю
+const resolveService = (req, res, next) => {
+  const service = serviceRegistry.match(req.path);
+  if (!service) {
+    return next();
+  }
+
+  req.upstreamService = service;
+  if (!requiresAuth(service, req.path)) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+// Передает запрос в сервис, определенный resolveService; запросы вне реестра передаются дальше
+const proxyRequest = (req, res, next) => {
+  if (!req.upstreamService) {
+    return next();
+  }
+  dispatch(req.upstreamService, req, res);
+};
+
+module.exports = { resolveService, proxyRequest };
@@ -0,0 +1,109 @@
+const rateLimit = require('express-rate-limit');
+const RedisStore = require('./redisStore');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Группы маршрутов со своим бюджетом; запрос попадает в первую подходящую группу.
+// Вход и регистрация ограничены строже: запросы к ним анонимные и считаются по IP
+const POLICIES = [
+  {
+    name: 'auth',
+    paths: [
+      '/api/v1/users/login',
+      '/api/v1/users/login/mfa',
+      '/api/v1/users/login/mfa/enroll',
+      '/api/v1/users/register',
+      '/api/v1/users/forgot-password',
+      '/api/v1/users/reset-password',
+      '/api/v1/users/resend-verification'
+    ],
+    windowMs: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_MS || String(FIFTEEN_MINUTES)),
+    max: parseInt(process.env.RATE_LIMIT_AUTH_MAX || '20')
+  },
+  {
+    name: 'default',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(FIFTEEN_MINUTES)),
+    max: parseInt(process.env.RATE_LIMIT_MAX || '300')
+  }
+];
+
+let redisClient = null;
+
+// Хранилище выбирается переменной RATE_LIMIT_STORE: memory (по умолчанию) или redis.
+// В памяти счетчики свои у каждого экземпляра gateway и сбрасываются при перезапуске
+const createStore = (policy, logger) => {
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return new rateLimit.MemoryStore();
+    case 'redis': {
+      if (!redisClient) {
+        const { createClient } = require('redis');
+        // Без очереди офлайн-команд запросы не ждут переподключения, а сразу пропускаются
+        redisClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379', disableOfflineQueue: true });
+        redisClient.on('error', (error) => logger.error(error, 'Rate limit store connection error'));
+        redisClient.connect().catch((error) => logger.error(error, 'Rate limit store connect error'));
+      }
+      return new RedisStore({
+        client: redisClient,
+        prefix: `${process.env.RATE_LIMIT_PREFIX || 'gateway:rl'}:${policy.name}:`,
+        onError: (error) => logger.warn({ err: error }, 'Rate limit store error, request allowed')
+      });
+    }
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+};
+
+// Общий бюджет IP на все запросы к gateway, включая health, документацию, 404 и отказы в аутентификации.
+// Применяется до разбора маршрута и проверки токена, поэтому должен быть заметно больше бюджетов групп:
+// он защищает от потока запросов, а не делит квоту между пользователями за одним NAT
+const IP_POLICY = {
+  name: 'ip',
+  windowMs: parseInt(process.env.RATE_LIMIT_IP_WINDOW_MS || String(FIFTEEN_MINUTES)),
+  max: parseInt(process.env.RATE_LIMIT_IP_MAX || '1000')
+};
+
+const ipKey = (req) => `ip:${req.ip}`;
+
+// Аутентифицированный пользователь получает свой бюджет независимо от IP (общий NAT не мешает)
+const userOrIpKey = (req) => (req.user ? `user:${req.user.id}` : ipKey(req));
+
+const createLimiter = (policy, logger, keyGenerator) => rateLimit({
+  windowMs: policy.windowMs,
+  max: policy.max,
+  store: createStore(policy, logger),
+  keyGenerator,
+  // Заголовки RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    req.log.warn(`Rate limit ${policy.name} exceeded for ${keyGenerator(req)}`);
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Слишком много запросов, попробуйте позже'
+      },
+      requestId: req.headers['x-request-id']
+    });
+  }
+});
+
+// Подключается первым, поэтому заголовки квоты есть в каждом ответе;
+// для проксируемых запросов их затем заменяет бюджет группы маршрута
+const createIpRateLimiter = (logger) => createLimiter(IP_POLICY, logger, ipKey);
+
+// Возвращает middleware, которое применяет бюджет группы маршрута запроса.
+// Подключается после resolveService, чтобы бюджет считался по пользователю
+const createRateLimiter = (logger) => {
+  const limiters = POLICIES.map(policy => ({ policy, limiter: createLimiter(policy, logger, userOrIpKey) }));
+
+  return (req, res, next) => {
+    const { limiter } = limiters.find(({ policy }) => !policy.paths || policy.paths.includes(req.path));
+    limiter(req, res, next);
+  };
+};
+
+module.exports = { createIpRateLimiter, createRateLimiter };
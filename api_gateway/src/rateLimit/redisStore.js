@@ -0,0 +1,64 @@
+// Фиксированное окно: счетчик создается первым запросом окна и истекает вместе с ним
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+if hits == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { hits, redis.call('PTTL', KEYS[1]) }
+`;
+
+// Хранилище для express-rate-limit в Redis: счетчики общие для всех экземпляров gateway и переживают перезапуск.
+// Клиент передается снаружи; нужны методы eval, decr и del как у клиента redis v4 (подойдет и совместимый, например для Valkey).
+// При недоступности Redis запрос пропускается (fail open), а ошибка передается в onError
+class RedisStore {
+  constructor({ client, prefix = 'rl:', onError = () => {} }) {
+    this.client = client;
+    this.prefix = prefix;
+    this.onError = onError;
+    this.windowMs = null;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async increment(key) {
+    try {
+      const [totalHits, ttlMs] = await this.client.eval(INCREMENT_SCRIPT, {
+        keys: [this.key(key)],
+        arguments: [String(this.windowMs)]
+      });
+
+      return {
+        totalHits: Number(totalHits),
+        resetTime: new Date(Date.now() + Math.max(Number(ttlMs), 0))
+      };
+    } catch (error) {
+      this.onError(error);
+      // Засчитывается как первый запрос окна, чтобы ограничение не срабатывало
+      return { totalHits: 1, resetTime: undefined };
+    }
+  }
+
+  async decrement(key) {
+    try {
+      await this.client.decr(this.key(key));
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+
+  async resetKey(key) {
+    try {
+      await this.client.del(this.key(key));
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,76 @@
+// Автомат по экземпляру сервиса:
+// closed — запросы проходят, подряд идущие ошибки считаются; после failureThreshold ошибок — open;
+// open — запросы не отправляются resetTimeoutMs, затем half-open;
+// half-open — пропускается не больше halfOpenMaxRequests пробных запросов: успех закрывает автомат, ошибка снова открывает
+class CircuitBreaker {
+  constructor(options) {
+    this.options = options;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+  }
+
+  configure(options) {
+    this.options = options;
+  }
+
+  isAvailable(now = Date.now()) {
+    switch (this.state) {
+      case 'open':
+        return now - this.openedAt >= this.options.resetTimeoutMs;
+      case 'half-open':
+        return this.halfOpenInFlight < this.options.halfOpenMaxRequests;
+      default:
+        return true;
+    }
+  }
+
+  // Регистрирует запрос к экземпляру; возвращает объект, которым сообщается результат.
+  // Результат учитывается один раз; cancel освобождает пробный запрос, не влияя на состояние
+  begin(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.options.resetTimeoutMs) {
+      this.state = 'half-open';
+      this.halfOpenInFlight = 0;
+    }
+
+    const trial = this.state === 'half-open';
+    if (trial) {
+      this.halfOpenInFlight++;
+    }
+
+    let settled = false;
+    const settle = (outcome) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (trial) {
+        this.halfOpenInFlight--;
+      }
+      outcome();
+    };
+
+    return {
+      succeed: () => settle(() => this.onSuccess()),
+      fail: () => settle(() => this.onFailure()),
+      cancel: () => settle(() => {})
+    };
+  }
+
+  onSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.options.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+
+const BALANCING_STRATEGIES = ['round-robin', 'least-connections'];
+
+const DEFAULT_HEALTH_CHECK = {
+  path: '/health/ready',
+  intervalMs: 10000,
+  timeoutMs: 2000,
+  unhealthyThreshold: 2,
+  healthyThreshold: 2
+};
+
+const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+  halfOpenMaxRequests: 1
+};
+
+// Подстановка переменных окружения в адреса экземпляров: "${USERS_SERVICE_URL:-http://localhost:3001}"
+const interpolate = (value) => value.replace(
+  /\$\{(\w+)(?::-([^}]*))?\}/g,
+  (match, name, fallback = '') => process.env[name] || fallback
+);
+
+const normalizeService = (service, index) => {
+  const where = `services[${index}]`;
+
+  if (!service.name) {
+    throw new Error(`${where}: name is required`);
+  }
+  if (typeof service.prefix !== 'string' || !service.prefix.startsWith('/')) {
+    throw new Error(`${where}: prefix must start with /`);
+  }
+  if (!Array.isArray(service.instances) || service.instances.length === 0) {
+    throw new Error(`${where}: at least one instance is required`);
+  }
+
+  const balancing = service.balancing || 'round-robin';
+  if (!BALANCING_STRATEGIES.includes(balancing)) {
+    throw new Error(`${where}: balancing must be one of ${BALANCING_STRATEGIES.join(', ')}`);
+  }
+
+  return {
+    name: service.name,
+    prefix: service.prefix.replace(/\/+$/, ''),
+    // new URL проверяет адрес; завершающий слэш убирается, чтобы адреса можно было сравнивать
+    instances: service.instances.map(instance => new URL(interpolate(instance)).toString().replace(/\/+$/, '')),
+    balancing,
+    timeoutMs: service.timeoutMs || 10000,
+    // Повторы только для GET и HEAD и только если экземпляр не принял соединение
+    retries: service.retries === undefined ? 1 : service.retries,
+    circuitBreaker: { ...DEFAULT_CIRCUIT_BREAKER, ...service.circuitBreaker },
+    authRequired: service.authRequired !== false,
+    // Точные пути, для которых токен не требуется, даже если authRequired = true
+    publicPaths: service.publicPaths || [],
+    xfwd: Boolean(service.xfwd),
+    // healthCheck: false отключает активные проверки
+    healthCheck: service.healthCheck === false ? null : { ...DEFAULT_HEALTH_CHECK, ...service.healthCheck }
+  };
+};
+
+// Читает и проверяет файл реестра; при любой ошибке бросает исключение, ничего не меняя
+const loadRegistryConfig = (filePath) => {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(raw.services)) {
+    throw new Error('services must be an array');
+  }
+
+  const services = raw.services.map(normalizeService);
+
+  const names = new Set();
+  for (const service of services) {
+    if (names.has(service.name)) {
+      throw new Error(`Duplicate service name: ${service.name}`);
+    }
+    names.add(service.name);
+  }
+
+  // Более длинные префиксы проверяются первыми
+  return services.sort((a, b) => b.prefix.length - a.prefix.length);
+};
+
+module.exports = { loadRegistryConfig };
@@ -0,0 +1,59 @@
+const checkInstance = async (instance, { path, timeoutMs }) => {
+  try {
+    const response = await fetch(new URL(path, instance.url), { signal: AbortSignal.timeout(timeoutMs) });
+    return response.ok ? null : `Health check responded with ${response.status}`;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Периодически опрашивает экземпляры сервиса и исключает из ротации недоступные
+class HealthChecker {
+  constructor({ service, logger }) {
+    this.service = service;
+    this.logger = logger;
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped || !this.service.healthCheck) {
+      return;
+    }
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  schedule(delay) {
+    if (this.stopped) {
+      return;
+    }
+    this.timer = setTimeout(() => this.run(), delay);
+    this.timer.unref();
+  }
+
+  async run() {
+    const { name, healthCheck, pool } = this.service;
+
+    await Promise.all(pool.instances.map(async (instance) => {
+      const error = await checkInstance(instance, healthCheck);
+
+      if (instance.recordCheck(error, healthCheck)) {
+        if (instance.healthy) {
+          this.logger.info(`Upstream ${name} ${instance.url} is healthy again`);
+        } else {
+          this.logger.warn(`Upstream ${name} ${instance.url} ejected: ${error}`);
+        }
+      }
+    }));
+
+    this.schedule(healthCheck.intervalMs);
+  }
+}
+
+module.exports = HealthChecker;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRegistryConfig } = require('./config');
+const { UpstreamInstance, UpstreamPool } = require('./upstream');
+const HealthChecker = require('./healthCheck');
+
+const SERVICES_FILE = process.env.GATEWAY_SERVICES_FILE || path.join(__dirname, '../../services.json');
+const RELOAD_POLL_INTERVAL_MS = parseInt(process.env.GATEWAY_SERVICES_RELOAD_INTERVAL_MS || '2000');
+
+// Реестр сервисов из файла конфигурации. Файл перечитывается при изменении и по SIGHUP;
+// если новая конфигурация некорректна, продолжает действовать предыдущая
+class ServiceRegistry {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.services = [];
+    this.logger = null;
+  }
+
+  load() {
+    const configs = loadRegistryConfig(this.filePath);
+
+    // Состояние экземпляров, оставшихся в конфигурации, сохраняется между перезагрузками
+    const previous = new Map();
+    for (const service of this.services) {
+      for (const instance of service.pool.instances) {
+        previous.set(`${service.name} ${instance.url}`, instance);
+      }
+    }
+
+    const services = configs.map((config) => {
+      const instances = config.instances.map((url) => {
+        const instance = previous.get(`${config.name} ${url}`) || new UpstreamInstance(url, config.circuitBreaker);
+        instance.breaker.configure(config.circuitBreaker);
+        return instance;
+      });
+      const service = { ...config, pool: new UpstreamPool(instances, config.balancing) };
+      service.healthChecker = new HealthChecker({ service, logger: this.logger });
+      return service;
+    });
+
+    for (const service of this.services) {
+      service.healthChecker.stop();
+    }
+    this.services = services;
+    for (const service of this.services) {
+      service.healthChecker.start();
+    }
+  }
+
+  reload() {
+    try {
+      this.load();
+      this.logger.info(`Service registry reloaded: ${this.services.map(service => service.name).join(', ')}`);
+    } catch (error) {
+      this.logger.error(error, 'Failed to reload service registry, keeping previous configuration');
+    }
+  }
+
+  // Ошибка в файле при запуске не дает gateway стартовать
+  start(logger) {
+    this.logger = logger;
+    this.load();
+
+    fs.watchFile(this.filePath, { interval: RELOAD_POLL_INTERVAL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    });
+    process.on('SIGHUP', () => this.reload());
+  }
+
+  match(requestPath) {
+    return this.services.find(service => requestPath === service.prefix || requestPath.startsWith(`${service.prefix}/`));
+  }
+}
+
+module.exports = new ServiceRegistry(SERVICES_FILE);
@@ -0,0 +1,98 @@
+const CircuitBreaker = require('./circuitBreaker');
+
+// Экземпляр сервиса. Новый экземпляр считается доступным до первой неудачной проверки
+class UpstreamInstance {
+  constructor(url, circuitBreaker) {
+    this.url = url;
+    this.breaker = new CircuitBreaker(circuitBreaker);
+    this.healthy = true;
+    this.activeConnections = 0;
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.lastCheckedAt = null;
+    this.lastError = null;
+  }
+
+  // Возвращает функцию освобождения соединения; повторный вызов ничего не делает
+  acquire() {
+    this.activeConnections++;
+    let released = false;
+
+    return () => {
+      if (!released) {
+        released = true;
+        this.activeConnections--;
+      }
+    };
+  }
+
+  // Принимает запросы: не исключен проверками и автомат не разомкнут
+  isAvailable() {
+    return this.healthy && this.breaker.isAvailable();
+  }
+
+  // Учитывает результат активной проверки; возвращает true, если экземпляр исключен или возвращен в ротацию
+  recordCheck(error, { unhealthyThreshold, healthyThreshold }) {
+    this.lastCheckedAt = new Date();
+    this.lastError = error;
+
+    if (error) {
+      this.consecutiveSuccesses = 0;
+      this.consecutiveFailures++;
+      if (this.healthy && this.consecutiveFailures >= unhealthyThreshold) {
+        this.healthy = false;
+        return true;
+      }
+    } else {
+      this.consecutiveFailures = 0;
+      this.consecutiveSuccesses++;
+      if (!this.healthy && this.consecutiveSuccesses >= healthyThreshold) {
+        this.healthy = true;
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+// Выбор экземпляра среди доступных: round-robin или least-connections.
+// exclude — экземпляры, которые уже не ответили на этот запрос (при повторе)
+class UpstreamPool {
+  constructor(instances, balancing) {
+    this.instances = instances;
+    this.balancing = balancing;
+    this.cursor = 0;
+  }
+
+  // Есть ли доступный экземпляр, которому запрос еще не передавался
+  hasAvailable(exclude = []) {
+    return this.instances.some(instance => instance.isAvailable() && !exclude.includes(instance));
+  }
+
+  pick(exclude = []) {
+    const healthy = this.instances.filter(instance => instance.isAvailable() && !exclude.includes(instance));
+    if (healthy.length === 0) {
+      return null;
+    }
+
+    // Обход начинается со сдвига, чтобы при равной нагрузке запросы распределялись по кругу
+    const start = this.cursor;
+    this.cursor = (this.cursor + 1) % Number.MAX_SAFE_INTEGER;
+
+    if (this.balancing === 'least-connections') {
+      let best = null;
+      for (let i = 0; i < healthy.length; i++) {
+        const candidate = healthy[(start + i) % healthy.length];
+        if (!best || candidate.activeConnections < best.activeConnections) {
+          best = candidate;
+        }
+      }
+      return best;
+    }
+
+    return healthy[start % healthy.length];
+  }
+}
+
+module.exports = { UpstreamInstance, UpstreamPool };
@@ -1,26 +1,110 @@
 const express = require('express');
 const router = express.Router();
+const serviceRegistry = require('../registry');
+
+const HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000');
+
+const probeInstance = async (service, instance, requestId) => {
+  const path = service.healthCheck ? service.healthCheck.path : '/health/ready';
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(new URL(path, instance.url), {
+      headers: { 'x-request-id': requestId },
+      signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => null);
+
+    return {
+      url: instance.url,
+      status: response.ok ? 'ok' : 'down',
+      latencyMs: Date.now() - startedAt,
+      inRotation: instance.healthy,
+      circuit: instance.breaker.state,
+      ...(!response.ok && { error: `Readiness check responded with ${response.status}` }),
+      ...(body && body.data && body.data.checks && { checks: body.data.checks })
+    };
+  } catch (error) {
+    return {
+      url: instance.url,
+      status: 'down',
+      latencyMs: Date.now() - startedAt,
+      inRotation: instance.healthy,
+      circuit: instance.breaker.state,
+      error: error.name === 'TimeoutError' ? `No response within ${HEALTH_TIMEOUT_MS} ms` : error.message
+    };
+  }
+};
+
+// ok — все части работают, down — ни одна, degraded — часть
+const verdict = (statuses) => {
+  if (statuses.every(status => status === 'ok')) {
+    return 'ok';
+  }
+  if (statuses.every(status => status === 'down')) {
+    return 'down';
+  }
+  return 'degraded';
+};
+
+const checkService = async (service, requestId) => {
+  const instances = await Promise.all(
+    service.pool.instances.map(instance => probeInstance(service, instance, requestId))
+  );
+
+  return {
+    status: verdict(instances.map(instance => instance.status)),
+    latencyMs: Math.max(...instances.map(instance => instance.latencyMs)),
+    instances
+  };
+};
 
 /**
  * @swagger
  * /api/v1/health:
  *   get:
  *     summary: Проверка состояния всех сервисов через Gateway
+ *     description: |
+ *       Опрашивает readiness каждого экземпляра каждого сервиса из реестра (с таймаутом HEALTH_CHECK_TIMEOUT_MS).
+ *       Сервис в состоянии degraded, если отвечает только часть его экземпляров. Общий статус: ok — все сервисы ok,
+ *       down — все сервисы недоступны, иначе degraded.
  *     tags: [Gateway]
  *     responses:
  *       200:
- *         description: Все сервисы работают
+ *         description: Все сервисы работают (ok) или часть из них недоступна (degraded)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AggregatedHealth'
+ *       503:
+ *         description: Ни один сервис не доступен (down)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AggregatedHealth'
  */
-router.get('/health', (req, res) => {
-  res.status(200).json({ 
-    success: true, 
-    data: { 
-      service: 'api-gateway', 
-      status: 'ok',
+router.get('/health', async (req, res) => {
+  const requestId = req.headers['x-request-id'];
+  const services = serviceRegistry.services;
+
+  const results = await Promise.all(services.map(service => checkService(service, requestId)));
+  const dependencies = Object.fromEntries(services.map((service, index) => [service.name, results[index]]));
+  const status = verdict(results.map(result => result.status));
+
+  if (status !== 'ok') {
+    req.log.warn({ dependencies }, `Gateway health is ${status}`);
+  }
+
+  res.status(status === 'down' ? 503 : 200).json({
+    success: status !== 'down',
+    data: {
+      service: 'api-gateway',
+      status,
       timestamp: new Date().toISOString(),
-      requestId: req.headers['x-request-id']
-    } 
+      requestId,
+      dependencies
+    }
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
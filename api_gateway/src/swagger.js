@@ -111,6 +111,85 @@ const options = {
               }
             }
           }
+        },
+        AggregatedHealth: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                service: {
+                  type: 'string',
+                  example: 'api-gateway'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['ok', 'degraded', 'down']
+                },
+                timestamp: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                requestId: {
+                  type: 'string'
+                },
+                dependencies: {
+                  type: 'object',
+                  description: 'Состояние каждого сервиса из реестра, ключ — имя сервиса',
+                  additionalProperties: {
+                    type: 'object',
+                    properties: {
+                      status: {
+                        type: 'string',
+                        enum: ['ok', 'degraded', 'down']
+                      },
+                      latencyMs: {
+                        type: 'integer',
+                        description: 'Наибольшая задержка среди экземпляров'
+                      },
+                      instances: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            url: {
+                              type: 'string'
+                            },
+                            status: {
+                              type: 'string',
+                              enum: ['ok', 'down']
+                            },
+                            latencyMs: {
+                              type: 'integer'
+                            },
+                            inRotation: {
+                              type: 'boolean',
+                              description: 'false — экземпляр исключен активными проверками реестра'
+                            },
+                            circuit: {
+                              type: 'string',
+                              enum: ['closed', 'open', 'half-open'],
+                              description: 'Состояние автомата отключения (circuit breaker) экземпляра'
+                            },
+                            error: {
+                              type: 'string'
+                            },
+                            checks: {
+                              type: 'object',
+                              description: 'Проверки зависимостей, которые вернул экземпляр'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
         }
       },
       securitySchemes: {
@@ -0,0 +1,31 @@
+const { IDENTITY_HEADERS, INTERNAL_HEADERS, signIdentity } = require('../../../config/serviceIdentity');
+
+// Заголовки пользователя выставляет только gateway: пришедшие от клиента удаляются,
+// для аутентифицированного запроса добавляются заново вместе с подписью.
+// Подпись служебного вызова клиент передать не может
+const forwardIdentity = (proxyReq, req) => {
+  for (const header of [...IDENTITY_HEADERS, ...INTERNAL_HEADERS]) {
+    proxyReq.removeHeader(header);
+  }
+
+  if (!req.user) {
+    return;
+  }
+
+  const identity = {
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    method: proxyReq.method,
+    path: proxyReq.path,
+    id: req.user.id,
+    email: req.user.email || '',
+    roles: JSON.stringify(req.user.roles || [])
+  };
+
+  proxyReq.setHeader('x-user-id', identity.id);
+  proxyReq.setHeader('x-user-email', identity.email);
+  proxyReq.setHeader('x-user-roles', identity.roles);
+  proxyReq.setHeader('x-identity-timestamp', identity.timestamp);
+  proxyReq.setHeader('x-identity-signature', signIdentity(identity));
+};
+
+module.exports = { forwardIdentity };
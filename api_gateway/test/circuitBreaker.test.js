@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../src/registry/circuitBreaker');
+
+const options = { failureThreshold: 3, resetTimeoutMs: 1000, halfOpenMaxRequests: 1 };
+
+const failTimes = (breaker, count) => {
+  for (let i = 0; i < count; i++) {
+    breaker.begin().fail();
+  }
+};
+
+describe('автомат экземпляра', () => {
+  it('размыкается после failureThreshold ошибок подряд', () => {
+    const breaker = new CircuitBreaker(options);
+
+    failTimes(breaker, 2);
+    assert.equal(breaker.state, 'closed');
+    assert.ok(breaker.isAvailable());
+
+    failTimes(breaker, 1);
+    assert.equal(breaker.state, 'open');
+    assert.ok(!breaker.isAvailable());
+  });
+
+  it('успешный ответ сбрасывает счетчик ошибок', () => {
+    const breaker = new CircuitBreaker(options);
+
+    failTimes(breaker, 2);
+    breaker.begin().succeed();
+    failTimes(breaker, 2);
+
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('после resetTimeoutMs пропускает один пробный запрос; успех замыкает автомат', () => {
+    const breaker = new CircuitBreaker(options);
+    failTimes(breaker, 3);
+    const later = breaker.openedAt + options.resetTimeoutMs;
+
+    assert.ok(!breaker.isAvailable(later - 1));
+    assert.ok(breaker.isAvailable(later));
+
+    const probe = breaker.begin(later);
+    assert.equal(breaker.state, 'half-open');
+    assert.ok(!breaker.isAvailable(later), 'второй пробный запрос не пропускается');
+
+    probe.succeed();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.failures, 0);
+  });
+
+  it('ошибка пробного запроса снова размыкает автомат', () => {
+    const breaker = new CircuitBreaker(options);
+    failTimes(breaker, 3);
+
+    breaker.begin(breaker.openedAt + options.resetTimeoutMs).fail();
+
+    assert.equal(breaker.state, 'open');
+    assert.ok(!breaker.isAvailable());
+  });
+
+  it('отмененный пробный запрос освобождает место и не меняет состояние', () => {
+    const breaker = new CircuitBreaker(options);
+    failTimes(breaker, 3);
+    const later = breaker.openedAt + options.resetTimeoutMs;
+
+    const probe = breaker.begin(later);
+    probe.cancel();
+    probe.fail();
+
+    assert.equal(breaker.state, 'half-open');
+    assert.ok(breaker.isAvailable(later));
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { register, httpMetrics } = require('../src/metrics');
+
+describe('метрики HTTP-запросов gateway', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(httpMetrics);
+    app.get('/health', (req, res) => res.json({ status: 'ok' }));
+    // Вместо resolveService и proxyRequest: запрос к сервису обрабатывается без маршрута express
+    app.use((req, res, next) => {
+      if (req.path.startsWith('/api/v1/orders/')) {
+        req.upstreamService = { prefix: '/api/v1/orders' };
+        return res.status(502).json({ success: false });
+      }
+      next();
+    });
+    app.use((req, res) => res.status(404).json({ success: false }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('проксированные запросы помечаются префиксом сервиса, остальные — маршрутом или unmatched', async () => {
+    await fetch(`${baseUrl}/health`);
+    await fetch(`${baseUrl}/api/v1/orders/defects/44444444-4444-4444-8444-444444444444`);
+    await fetch(`${baseUrl}/api/v1/orders/projects`);
+    await fetch(`${baseUrl}/wp-login.php`);
+
+    const metric = (await register.getMetricsAsJSON()).find(item => item.name === 'http_requests_total');
+
+    assert.deepEqual(metric.values.map(({ labels, value }) => [labels, value]), [
+      [{ method: 'GET', route: '/health', status_code: 200 }, 1],
+      [{ method: 'GET', route: '/api/v1/orders/*', status_code: 502 }, 2],
+      [{ method: 'GET', route: 'unmatched', status_code: 404 }, 1]
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+// Экземпляр, который не принимает соединения: порт освобождается сразу после получения
+const refusedPort = async () => {
+  const server = http.createServer();
+  const port = await listen(server);
+  await close(server);
+  return port;
+};
+
+describe('повтор проксируемых запросов', () => {
+  const received = [];
+  let upstream;
+  let gateway;
+  let gatewayUrl;
+  let serviceRegistry;
+  let servicesFile;
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      received.push(req.method);
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ success: true }));
+    });
+    const upstreamPort = await listen(upstream);
+    const deadPort = await refusedPort();
+
+    // Первым выбирается неотвечающий экземпляр; автомат не размыкается, проверки отключены
+    servicesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-')), 'services.json');
+    fs.writeFileSync(servicesFile, JSON.stringify({
+      services: [{
+        name: 'orders',
+        prefix: '/api/v1/orders',
+        instances: [`http://127.0.0.1:${deadPort}`, `http://127.0.0.1:${upstreamPort}`],
+        retries: 1,
+        circuitBreaker: { failureThreshold: 100 },
+        authRequired: false,
+        healthCheck: false
+      }]
+    }));
+    process.env.GATEWAY_SERVICES_FILE = servicesFile;
+
+    serviceRegistry = require('../src/registry');
+    const { resolveService, proxyRequest } = require('../src/middleware/proxy');
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.log = { warn: () => {} };
+      next();
+    });
+    app.use(resolveService, proxyRequest);
+    gateway = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => gateway.once('listening', resolve));
+    gatewayUrl = `http://127.0.0.1:${gateway.address().port}`;
+  });
+
+  // Новый пул начинает обход с первого экземпляра
+  beforeEach(() => {
+    serviceRegistry.load();
+    received.length = 0;
+  });
+
+  after(async () => {
+    await close(gateway);
+    await close(upstream);
+    fs.rmSync(path.dirname(servicesFile), { recursive: true, force: true });
+  });
+
+  it('GET повторяется на другом экземпляре, если первый не принял соединение', async () => {
+    const response = await fetch(`${gatewayUrl}/api/v1/orders/defects`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true });
+    assert.deepEqual(received, ['GET']);
+  });
+
+  it('POST не повторяется: клиент получает 502', async () => {
+    const response = await fetch(`${gatewayUrl}/api/v1/orders/defects`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ title: 'Трещина' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 502);
+    assert.equal(body.error.code, 'UPSTREAM_UNAVAILABLE');
+    assert.deepEqual(received, []);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_MAX = '2';
+process.env.RATE_LIMIT_AUTH_MAX = '1';
+
+const { createRateLimiter } = require('../src/rateLimit');
+
+describe('ограничение частоты по группам маршрутов', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    // Клиент задается заголовками: адрес — X-Forwarded-For, пользователь — x-test-user (вместо resolveService)
+    app.set('trust proxy', true);
+    app.use((req, res, next) => {
+      req.log = { warn: () => {} };
+      if (req.headers['x-test-user']) {
+        req.user = { id: req.headers['x-test-user'] };
+      }
+      next();
+    });
+    app.use(createRateLimiter({ warn: () => {}, error: () => {} }));
+    app.use((req, res) => res.json({ success: true }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = async (path, { ip, user } = {}) => {
+    const headers = { 'x-forwarded-for': ip };
+    if (user) {
+      headers['x-test-user'] = user;
+    }
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    return response.status;
+  };
+
+  const statuses = (count, path, client) => Promise.all(
+    Array.from({ length: count }, () => request(path, client))
+  ).then(result => result.sort());
+
+  it('пользователи за одним адресом получают отдельные бюджеты', async () => {
+    assert.deepEqual(await statuses(3, '/api/v1/orders/defects', { ip: '10.0.0.1', user: 'alice' }), [200, 200, 429]);
+    assert.equal(await request('/api/v1/orders/defects', { ip: '10.0.0.1', user: 'bob' }), 200);
+  });
+
+  it('бюджет пользователя не зависит от адреса', async () => {
+    assert.equal(await request('/api/v1/orders/defects', { ip: '10.0.0.99', user: 'alice' }), 429);
+  });
+
+  it('анонимные запросы считаются по адресу', async () => {
+    assert.deepEqual(await statuses(3, '/api/v1/orders/projects', { ip: '10.0.0.2' }), [200, 200, 429]);
+    assert.equal(await request('/api/v1/orders/projects', { ip: '10.0.0.3' }), 200);
+  });
+
+  it('группа auth считается отдельно от остальных маршрутов', async () => {
+    assert.deepEqual(await statuses(2, '/api/v1/users/login', { ip: '10.0.0.4' }), [200, 429]);
+    assert.equal(await request('/api/v1/users/register', { ip: '10.0.0.4' }), 429);
+    assert.equal(await request('/api/v1/users/me', { ip: '10.0.0.4' }), 200);
+  });
+});
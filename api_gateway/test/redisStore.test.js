@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisStore = require('../src/rateLimit/redisStore');
+
+// Клиент redis, у которого вызовы записываются, а ответы задаются тестом
+const stubClient = (handlers) => {
+  const calls = [];
+  const client = {};
+  for (const method of ['eval', 'decr', 'del']) {
+    client[method] = async (...args) => {
+      calls.push({ method, args });
+      if (!handlers[method]) {
+        throw new Error(`Unexpected ${method}`);
+      }
+      return handlers[method](...args);
+    };
+  }
+  return { client, calls };
+};
+
+const createStore = (handlers) => {
+  const errors = [];
+  const { client, calls } = stubClient(handlers);
+  const store = new RedisStore({ client, prefix: 'gateway:rl:default:', onError: error => errors.push(error) });
+  store.init({ windowMs: 60000 });
+  return { store, calls, errors };
+};
+
+describe('хранилище счетчиков в Redis', () => {
+  it('увеличивает счетчик ключа скриптом с длиной окна', async () => {
+    const { store, calls } = createStore({ eval: async () => [3, 45000] });
+
+    const before = Date.now();
+    const result = await store.increment('user:42');
+
+    assert.equal(result.totalHits, 3);
+    assert.ok(result.resetTime.getTime() >= before + 45000);
+    assert.deepEqual(calls[0].args[1], { keys: ['gateway:rl:default:user:42'], arguments: ['60000'] });
+  });
+
+  it('при ошибке Redis пропускает запрос и сообщает об ошибке', async () => {
+    const failure = new Error('The client is closed');
+    const { store, errors } = createStore({
+      eval: async () => {
+        throw failure;
+      }
+    });
+
+    assert.deepEqual(await store.increment('ip:10.0.0.1'), { totalHits: 1, resetTime: undefined });
+    assert.deepEqual(errors, [failure]);
+  });
+
+  it('ошибки decrement и resetKey не выходят за пределы хранилища', async () => {
+    const { store, errors } = createStore({});
+
+    await store.decrement('ip:10.0.0.1');
+    await store.resetKey('ip:10.0.0.1');
+
+    assert.equal(errors.length, 2);
+  });
+});
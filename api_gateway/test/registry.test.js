@@ -0,0 +1,129 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-registry-'));
+const servicesFile = path.join(tmpDir, 'services.json');
+process.env.GATEWAY_SERVICES_FILE = servicesFile;
+
+const { loadRegistryConfig } = require('../src/registry/config');
+const serviceRegistry = require('../src/registry');
+
+const writeServices = (services, file = servicesFile) => {
+  fs.writeFileSync(file, JSON.stringify({ services }));
+  return file;
+};
+
+const usersService = {
+  name: 'users',
+  prefix: '/api/v1/users',
+  instances: ['http://users-1:3001'],
+  healthCheck: false
+};
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('файл реестра сервисов', () => {
+  const load = (services) => loadRegistryConfig(writeServices(services, path.join(tmpDir, 'config.json')));
+
+  it('дополняет сервис значениями по умолчанию', () => {
+    const [service] = load([{ name: 'users', prefix: '/api/v1/users/', instances: ['http://users-1:3001/'] }]);
+
+    assert.equal(service.prefix, '/api/v1/users');
+    assert.deepEqual(service.instances, ['http://users-1:3001']);
+    assert.equal(service.balancing, 'round-robin');
+    assert.equal(service.retries, 1);
+    assert.equal(service.authRequired, true);
+    assert.deepEqual(service.circuitBreaker, { failureThreshold: 5, resetTimeoutMs: 30000, halfOpenMaxRequests: 1 });
+    assert.equal(service.healthCheck.path, '/health/ready');
+  });
+
+  it('подставляет переменные окружения в адреса экземпляров', () => {
+    process.env.TEST_ORDERS_URL = 'http://orders-2:3002';
+    try {
+      const [service] = load([{
+        name: 'orders',
+        prefix: '/api/v1/orders',
+        instances: ['${TEST_ORDERS_URL:-http://localhost:3002}', '${TEST_MISSING_URL:-http://localhost:3003}']
+      }]);
+
+      assert.deepEqual(service.instances, ['http://orders-2:3002', 'http://localhost:3003']);
+    } finally {
+      delete process.env.TEST_ORDERS_URL;
+    }
+  });
+
+  it('более длинные префиксы проверяются первыми', () => {
+    const services = load([
+      { name: 'orders', prefix: '/api/v1/orders', instances: ['http://orders:3002'] },
+      { name: 'reports', prefix: '/api/v1/orders/reports', instances: ['http://reports:3005'] }
+    ]);
+
+    assert.deepEqual(services.map(service => service.name), ['reports', 'orders']);
+  });
+
+  it('отклоняет некорректную конфигурацию', () => {
+    const cases = [
+      [{ ...usersService, name: undefined }, /services\[0\]: name is required/],
+      [{ ...usersService, prefix: 'api/v1/users' }, /prefix must start with \//],
+      [{ ...usersService, instances: [] }, /at least one instance is required/],
+      [{ ...usersService, balancing: 'random' }, /balancing must be one of round-robin, least-connections/],
+      [{ ...usersService, instances: ['users 1'] }, /Invalid URL/]
+    ];
+
+    for (const [service, message] of cases) {
+      assert.throws(() => load([service]), message);
+    }
+    assert.throws(() => load([usersService, usersService]), /Duplicate service name: users/);
+    assert.throws(() => loadRegistryConfig(writeServices(null, path.join(tmpDir, 'config.json'))), /services must be an array/);
+  });
+});
+
+describe('перезагрузка реестра', () => {
+  const logger = { info: mock.fn(), error: mock.fn() };
+
+  before(() => {
+    writeServices([usersService]);
+    serviceRegistry.logger = logger;
+    serviceRegistry.load();
+  });
+
+  it('новая конфигурация применяется, состояние оставшихся экземпляров сохраняется', () => {
+    const [previous] = serviceRegistry.match('/api/v1/users/login').pool.instances;
+    previous.breaker.begin().fail();
+
+    writeServices([
+      { ...usersService, instances: ['http://users-1:3001', 'http://users-2:3001'], circuitBreaker: { failureThreshold: 2 } },
+      { name: 'orders', prefix: '/api/v1/orders', instances: ['http://orders:3002'], healthCheck: false }
+    ]);
+    serviceRegistry.reload();
+
+    const users = serviceRegistry.match('/api/v1/users/login');
+    assert.equal(users.pool.instances.length, 2);
+    assert.equal(users.pool.instances[0], previous);
+    assert.equal(previous.breaker.failures, 1);
+    assert.equal(previous.breaker.options.failureThreshold, 2);
+    assert.equal(serviceRegistry.match('/api/v1/orders/defects').name, 'orders');
+    assert.equal(logger.info.mock.callCount(), 1);
+  });
+
+  it('при ошибке в файле продолжает действовать предыдущая конфигурация', () => {
+    const previousServices = serviceRegistry.services;
+    fs.writeFileSync(servicesFile, '{ "services": [');
+
+    serviceRegistry.reload();
+
+    assert.equal(serviceRegistry.services, previousServices);
+    assert.equal(logger.error.mock.callCount(), 1);
+    assert.equal(serviceRegistry.match('/api/v1/orders').name, 'orders');
+  });
+
+  it('префикс сопоставляется по границе сегмента пути', () => {
+    assert.equal(serviceRegistry.match('/api/v1/users'), serviceRegistry.match('/api/v1/users/profile'));
+    assert.equal(serviceRegistry.match('/api/v1/usersettings'), undefined);
+  });
+});
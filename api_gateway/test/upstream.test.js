@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { UpstreamInstance, UpstreamPool } = require('../src/registry/upstream');
+
+const circuitBreaker = { failureThreshold: 1, resetTimeoutMs: 60000, halfOpenMaxRequests: 1 };
+
+const createInstances = (...urls) => urls.map(url => new UpstreamInstance(url, circuitBreaker));
+
+const pickUrls = (pool, count, exclude) => Array.from({ length: count }, () => pool.pick(exclude).url);
+
+describe('выбор экземпляра', () => {
+  it('round-robin обходит экземпляры по кругу', () => {
+    const pool = new UpstreamPool(createInstances('http://a', 'http://b', 'http://c'), 'round-robin');
+
+    assert.deepEqual(pickUrls(pool, 4), ['http://a', 'http://b', 'http://c', 'http://a']);
+  });
+
+  it('least-connections выбирает экземпляр с наименьшим числом активных соединений', () => {
+    const instances = createInstances('http://a', 'http://b', 'http://c');
+    const pool = new UpstreamPool(instances, 'least-connections');
+
+    instances[0].acquire();
+    instances[0].acquire();
+    const releaseC = instances[2].acquire();
+
+    assert.equal(pool.pick().url, 'http://b');
+
+    instances[1].acquire();
+    instances[1].acquire();
+    releaseC();
+    releaseC();
+
+    assert.equal(instances[2].activeConnections, 0, 'повторное освобождение ничего не меняет');
+    assert.equal(pool.pick().url, 'http://c');
+  });
+
+  it('least-connections при равной нагрузке распределяет запросы по кругу', () => {
+    const pool = new UpstreamPool(createInstances('http://a', 'http://b'), 'least-connections');
+
+    assert.deepEqual(pickUrls(pool, 3), ['http://a', 'http://b', 'http://a']);
+  });
+
+  it('пропускает экземпляры с разомкнутым автоматом и исключенные проверками', () => {
+    const instances = createInstances('http://a', 'http://b', 'http://c');
+    const pool = new UpstreamPool(instances, 'round-robin');
+
+    instances[0].breaker.begin().fail();
+    instances[1].recordCheck(new Error('ECONNREFUSED'), { unhealthyThreshold: 1, healthyThreshold: 1 });
+
+    assert.deepEqual(pickUrls(pool, 3), ['http://c', 'http://c', 'http://c']);
+  });
+
+  it('при повторе не выбирает экземпляры, которые уже не ответили', () => {
+    const instances = createInstances('http://a', 'http://b');
+    const pool = new UpstreamPool(instances, 'round-robin');
+
+    assert.deepEqual(pickUrls(pool, 2, [instances[0]]), ['http://b', 'http://b']);
+    assert.ok(!pool.hasAvailable(instances));
+    assert.equal(pool.pick(instances), null);
+  });
+});
@@ -0,0 +1,66 @@
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS || '2000');
+
+// Проверяет, что пул выдает соединение и БД отвечает, не дольше READINESS_TIMEOUT_MS
+const checkDatabase = async (pool) => {
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      pool.query('SELECT 1'),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Database did not respond within ${READINESS_TIMEOUT_MS} ms`)), READINESS_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const poolStats = (pool) => ({
+  total: pool.totalCount,
+  idle: pool.idleCount,
+  waiting: pool.waitingCount
+});
+
+// Обработчики liveness и readiness сервиса; readiness проверяет PostgreSQL через пул сервиса
+const createHealthHandlers = (serviceName, pool) => {
+  const liveness = (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        service: serviceName,
+        status: 'ok',
+        timestamp: new Date().toISOString()
+      }
+    });
+  };
+
+  const readiness = async (req, res) => {
+    const database = await checkDatabase(pool);
+    const ready = database.status === 'ok';
+
+    if (!ready) {
+      req.log.warn(`Readiness check failed: ${database.error}`);
+    }
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      data: {
+        service: serviceName,
+        status: ready ? 'ok' : 'down',
+        timestamp: new Date().toISOString(),
+        checks: {
+          database: { ...database, pool: poolStats(pool) }
+        }
+      }
+    });
+  };
+
+  return { liveness, readiness };
+};
+
+module.exports = { createHealthHandlers };
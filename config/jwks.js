@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Открытые ключи проверки access-токенов из JWKS сервиса пользователей (gateway и сервисы, принимающие JWT напрямую)
+const USERS_SERVICE_URL = process.env.USERS_SERVICE_URL || 'http://localhost:3001';
+const JWKS_URL = process.env.JWKS_URL || new URL('/.well-known/jwks.json', USERS_SERVICE_URL).toString();
+const CACHE_TTL_MS = parseInt(process.env.JWKS_CACHE_TTL_MS || '300000');
+// Токен с неизвестным kid (ключ только что добавлен) вызывает внеочередную загрузку, но не чаще этого интервала
+const MIN_REFRESH_INTERVAL_MS = 10000;
+const FETCH_TIMEOUT_MS = 5000;
+
+const JWT_ALGORITHMS = ['RS256', 'ES256'];
+
+// kid -> открытый ключ
+let keys = new Map();
+let fetchedAt = 0;
+let pending = null;
+
+const refresh = async () => {
+  const response = await fetch(JWKS_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`JWKS endpoint responded with ${response.status}`);
+  }
+
+  const jwks = await response.json();
+  keys = new Map(
+    jwks.keys
+      .filter(jwk => jwk.kid && (!jwk.use || jwk.use === 'sig'))
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+  );
+  fetchedAt = Date.now();
+};
+
+// Параллельные запросы ждут одну и ту же загрузку
+const load = () => {
+  if (!pending) {
+    pending = refresh().finally(() => {
+      pending = null;
+    });
+  }
+  return pending;
+};
+
+const getKey = async (kid) => {
+  const age = Date.now() - fetchedAt;
+
+  if (age > CACHE_TTL_MS || (!keys.has(kid) && age > MIN_REFRESH_INTERVAL_MS)) {
+    try {
+      await load();
+    } catch (error) {
+      // Пока сервис пользователей недоступен, токены проверяются ранее загруженными ключами
+      if (keys.size === 0) {
+        throw error;
+      }
+    }
+  }
+
+  return keys.get(kid);
+};
+
+// Для jwt.verify: открытый ключ выбирается по kid из заголовка токена
+const getVerificationKey = (header, callback) => {
+  getKey(header.kid)
+    .then(key => key
+      ? callback(null, key)
+      : callback(new Error(`Unknown JWT signing key: ${header.kid}`)))
+    .catch(callback);
+};
+
+module.exports = { JWT_ALGORITHMS, getVerificationKey };
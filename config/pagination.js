@@ -0,0 +1,140 @@
+const serviceRequire = require('./serviceRequire');
+const Joi = serviceRequire('joi');
+
+// Курсорная (keyset) пагинация. Курсор — base64url от значений ключа сортировки граничной строки,
+// направления (next/prev) и описания сортировки: курсор от другой сортировки не принимается.
+// Общее число записей считается отдельным запросом только по запросу клиента (includeTotal);
+// без cursor список работает по page/limit, как раньше, и total по умолчанию возвращается.
+const cursorQuery = {
+  cursor: Joi.string().max(2048),
+  includeTotal: Joi.boolean().when('cursor', {
+    is: Joi.exist(),
+    then: Joi.boolean().default(false),
+    otherwise: Joi.boolean().default(true)
+  })
+};
+
+// Значения курсора проверяются до запроса, чтобы поддельный курсор не приводил к ошибке приведения типа в PostgreSQL
+const VALUE_FORMATS = {
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  timestamptz: (value) => !Number.isNaN(Date.parse(value)),
+  integer: (value) => /^-?\d+$/.test(value),
+  real: (value) => value.trim() !== '' && !Number.isNaN(Number(value)),
+  text: () => true
+};
+
+const invalidCursor = () => Object.assign(new Error('Invalid cursor'), { code: 'INVALID_CURSOR' });
+
+const invalidCursorResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_CURSOR',
+    message: 'Курсор недействителен или выдан для другой сортировки'
+  }
+});
+
+// columns — выражения ORDER BY в порядке сортировки; последним должен идти уникальный столбец (id).
+// type — тип PostgreSQL, к которому приводятся значения из курсора
+class Keyset {
+  constructor(columns) {
+    this.columns = columns;
+    this.key = columns.map(column => `${column.direction === 'desc' ? '-' : ''}${column.name}`).join(',');
+  }
+
+  // Бросает ошибку с code = 'INVALID_CURSOR', если курсор поврежден или выдан для другой сортировки
+  decode(cursor) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalidCursor();
+    }
+
+    const valid = payload
+      && payload.k === this.key
+      && ['next', 'prev'].includes(payload.d)
+      && Array.isArray(payload.v)
+      && payload.v.length === this.columns.length
+      && payload.v.every((value, index) => typeof value === 'string' && VALUE_FORMATS[this.columns[index].type](value));
+    if (!valid) {
+      throw invalidCursor();
+    }
+
+    return { values: payload.v, backward: payload.d === 'prev' };
+  }
+
+  encode(row, direction) {
+    return Buffer.from(JSON.stringify({ k: this.key, d: direction, v: row.cursor_values })).toString('base64url');
+  }
+
+  // Значения ключа выбираются текстом: Date в JS теряет микросекунды timestamptz
+  select() {
+    return `json_build_array(${this.columns.map(column => `(${column.expression})::text`).join(', ')}) AS cursor_values`;
+  }
+
+  // Строки строго после (или до, для prev) граничной: (a, b, id) > (va, vb, vid) с учетом направления каждого столбца
+  where({ values, backward }, params) {
+    const placeholders = values.map((value, index) => {
+      params.push(value);
+      return `$${params.length}::${this.columns[index].type}`;
+    });
+
+    const terms = this.columns.map((column, index) => {
+      const ascending = (column.direction === 'asc') !== backward;
+      const conditions = this.columns.slice(0, index).map((previous, i) => `${previous.expression} = ${placeholders[i]}`);
+      conditions.push(`${column.expression} ${ascending ? '>' : '<'} ${placeholders[index]}`);
+      return `(${conditions.join(' AND ')})`;
+    });
+
+    return `(${terms.join(' OR ')})`;
+  }
+
+  // При движении назад порядок обратный, строки переворачиваются в page()
+  orderBy(backward = false) {
+    return this.columns
+      .map(column => `${column.expression} ${(column.direction === 'asc') !== backward ? 'ASC' : 'DESC'}`)
+      .join(', ');
+  }
+
+  // rows — результат запроса с LIMIT limit + 1: лишняя строка означает, что в этом направлении есть еще записи
+  page(rows, { limit, cursor, offset = 0 }) {
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    const backward = Boolean(cursor && cursor.backward);
+    if (backward) {
+      items.reverse();
+    }
+
+    // Запрос с курсором пришел с соседней страницы, поэтому в обратном направлении записи есть
+    const hasNext = backward ? true : hasMore;
+    const hasPrevious = backward ? hasMore : Boolean(cursor) || offset > 0;
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      rows: items.map(({ cursor_values, ...row }) => row),
+      nextCursor: hasNext && last ? this.encode(last, 'next') : null,
+      prevCursor: hasPrevious && first ? this.encode(first, 'prev') : null
+    };
+  }
+}
+
+// Блок pagination ответа: page и totalPages — только в режиме page/limit, total — если он запрошен
+const paginationMeta = (query, { total, nextCursor, prevCursor }) => {
+  const meta = {};
+  if (!query.cursor) {
+    meta.page = query.page;
+  }
+  meta.limit = query.limit;
+  if (total !== undefined) {
+    meta.total = total;
+    if (!query.cursor) {
+      meta.totalPages = Math.ceil(total / query.limit);
+    }
+  }
+  meta.nextCursor = nextCursor;
+  meta.prevCursor = prevCursor;
+  return meta;
+};
+
+module.exports = { cursorQuery, Keyset, paginationMeta, invalidCursorResponse };
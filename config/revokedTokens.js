@@ -0,0 +1,64 @@
+const { internalRequestHeaders } = require('./serviceIdentity');
+
+// Локальная копия списка отозванных access-токенов для gateway и сервисов, принимающих JWT напрямую.
+// Список опрашивается раз в REVOCATION_SYNC_INTERVAL_MS, поэтому отозванный токен (например, после выхода)
+// принимается ими еще до этого интервала; сервис пользователей проверяет отзыв в БД сразу
+const USERS_SERVICE_URL = process.env.USERS_SERVICE_URL || 'http://localhost:3001';
+const SYNC_INTERVAL_MS = parseInt(process.env.REVOCATION_SYNC_INTERVAL_MS || '10000');
+const SYNC_TIMEOUT_MS = 5000;
+
+// jti -> время истечения токена (ms); после истечения запись больше не нужна
+const revoked = new Map();
+let lastRevokedAt = null;
+let timer = null;
+
+const isRevoked = (jti) => Boolean(jti) && revoked.has(jti);
+
+const prune = () => {
+  const now = Date.now();
+  for (const [jti, expiresAt] of revoked) {
+    if (expiresAt <= now) {
+      revoked.delete(jti);
+    }
+  }
+};
+
+const sync = async () => {
+  const url = new URL('/api/v1/users/tokens/revoked', USERS_SERVICE_URL);
+  if (lastRevokedAt) {
+    url.searchParams.set('since', lastRevokedAt);
+  }
+
+  // Список отзыва отдается только подписанным служебным вызовам
+  const response = await fetch(url, {
+    headers: internalRequestHeaders('GET', url.pathname + url.search),
+    signal: AbortSignal.timeout(SYNC_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Users service responded with ${response.status}`);
+  }
+
+  const { data } = await response.json();
+  for (const token of data.tokens) {
+    revoked.set(token.jti, new Date(token.expiresAt).getTime());
+    lastRevokedAt = token.revokedAt;
+  }
+
+  prune();
+};
+
+const start = (logger) => {
+  if (timer) {
+    return;
+  }
+
+  const run = () => sync().catch((error) => {
+    logger.warn({ err: error }, 'Failed to sync revoked tokens');
+  });
+
+  run();
+  timer = setInterval(run, SYNC_INTERVAL_MS);
+  timer.unref();
+};
+
+module.exports = { isRevoked, start };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Подписанные заголовки пользователя: gateway подписывает, сервисы проверяют общим секретом.
+// Без секрета сервисы не примут заголовки пользователя
+const INTERNAL_AUTH_SECRET = process.env.INTERNAL_AUTH_SECRET
+  || (process.env.NODE_ENV === 'production' ? null : 'dev-internal-auth-secret');
+const IDENTITY_MAX_AGE_SECONDS = parseInt(process.env.IDENTITY_MAX_AGE_SECONDS || '30');
+
+if (!INTERNAL_AUTH_SECRET) {
+  throw new Error('INTERNAL_AUTH_SECRET is required in production');
+}
+
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-email', 'x-user-roles', 'x-identity-timestamp', 'x-identity-signature'];
+const INTERNAL_HEADERS = ['x-internal-timestamp', 'x-internal-signature'];
+
+const hmac = (payload) => 'sha256=' + crypto.createHmac('sha256', INTERNAL_AUTH_SECRET).update(payload).digest('hex');
+
+// Возвращает причину отказа или null
+const checkSignature = (signature, timestamp, expected) => {
+  const age = Math.floor(Date.now() / 1000) - parseInt(timestamp);
+  if (!Number.isFinite(age) || Math.abs(age) > IDENTITY_MAX_AGE_SECONDS) {
+    return 'stale signature';
+  }
+
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'invalid signature';
+  }
+
+  return null;
+};
+
+// Подпись связывает пользователя с методом, путем запроса и временем —
+// перехваченные заголовки нельзя использовать для другого запроса или позже
+const signIdentity = ({ timestamp, method, path, id, email, roles }) => {
+  return hmac([timestamp, method.toUpperCase(), path, id, email, roles].join('\n'));
+};
+
+const hasIdentityHeaders = (req) => Boolean(req.headers['x-user-id'] || req.headers['x-identity-signature']);
+
+// Проверяет подпись gateway над заголовками пользователя.
+// Возвращает { user } или { error }, где error — причина отказа для лога
+const verifyIdentity = (req) => {
+  const signature = req.headers['x-identity-signature'];
+  const timestamp = req.headers['x-identity-timestamp'];
+  const id = req.headers['x-user-id'];
+
+  if (!signature || !timestamp || !id) {
+    return { error: 'unsigned identity headers' };
+  }
+
+  const email = req.headers['x-user-email'] || '';
+  const roles = req.headers['x-user-roles'] || '[]';
+  const expected = signIdentity({ timestamp, method: req.method, path: req.originalUrl, id, email, roles });
+  const error = checkSignature(signature, timestamp, expected);
+  if (error) {
+    return { error: `${error} of identity headers` };
+  }
+
+  try {
+    return { user: { id, email, roles: JSON.parse(roles) } };
+  } catch (error) {
+    return { error: 'malformed x-user-roles header' };
+  }
+};
+
+// Служебный вызов сервиса без пользователя (например, синхронизация списка отзыва gateway).
+// Первая строка internal не дает выдать подпись заголовков пользователя за служебную и наоборот
+const signInternalRequest = ({ timestamp, method, path }) => hmac(['internal', timestamp, method.toUpperCase(), path].join('\n'));
+
+// Заголовки для fetch; path — путь вместе со строкой запроса
+const internalRequestHeaders = (method, path) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    'x-internal-timestamp': timestamp,
+    'x-internal-signature': signInternalRequest({ timestamp, method, path })
+  };
+};
+
+// Возвращает null для подписанного служебного вызова, иначе причину отказа для лога
+const verifyInternalRequest = (req) => {
+  const signature = req.headers['x-internal-signature'];
+  const timestamp = req.headers['x-internal-timestamp'];
+
+  if (!signature || !timestamp) {
+    return 'unsigned internal request';
+  }
+
+  const error = checkSignature(signature, timestamp, signInternalRequest({ timestamp, method: req.method, path: req.originalUrl }));
+  return error && `${error} of internal request`;
+};
+
+module.exports = {
+  IDENTITY_HEADERS,
+  INTERNAL_HEADERS,
+  signIdentity,
+  hasIdentityHeaders,
+  verifyIdentity,
+  internalRequestHeaders,
+  verifyInternalRequest
+};
@@ -0,0 +1,8 @@
+const path = require('path');
+const { createRequire } = require('module');
+
+// Общий код config/ не имеет своих зависимостей: сторонние пакеты объявлены в package.json
+// каждого сервиса и загружаются из его node_modules — от точки входа запущенного процесса
+const entry = require.main ? require.main.filename : path.join(process.cwd(), 'index.js');
+
+module.exports = createRequire(entry);
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const serviceRequire = require('../serviceRequire');
+const { ExportResultCode, hrTimeToMilliseconds } = serviceRequire('@opentelemetry/core');
+
+const toIsoString = (hrTime) => new Date(hrTimeToMilliseconds(hrTime)).toISOString();
+
+// Для разработки и тестов: каждый завершенный спан дописывается строкой JSON в файл.
+// Трассу целиком можно собрать по traceId из файлов всех сервисов.
+class FileSpanExporter {
+  constructor({ file }) {
+    this.file = path.resolve(file);
+  }
+
+  toRecord(span) {
+    const { traceId, spanId } = span.spanContext();
+
+    return {
+      traceId,
+      spanId,
+      parentSpanId: span.parentSpanContext ? span.parentSpanContext.spanId : null,
+      service: span.resource.attributes['service.name'],
+      name: span.name,
+      kind: span.kind,
+      startTime: toIsoString(span.startTime),
+      durationMs: hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map(event => ({
+        name: event.name,
+        time: toIsoString(event.time),
+        attributes: event.attributes
+      }))
+    };
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map(span => JSON.stringify(this.toRecord(span))).join('\n') + '\n';
+
+    fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+      .then(() => fs.promises.appendFile(this.file, lines))
+      .then(() => resultCallback({ code: ExportResultCode.SUCCESS }))
+      .catch(error => resultCallback({ code: ExportResultCode.FAILED, error }));
+  }
+
+  async shutdown() {}
+
+  async forceFlush() {}
+}
+
+module.exports = FileSpanExporter;
@@ -0,0 +1,117 @@
+const path = require('path');
+const serviceRequire = require('../serviceRequire');
+const { registerInstrumentations } = serviceRequire('@opentelemetry/instrumentation');
+const { HttpInstrumentation } = serviceRequire('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation, ExpressLayerType } = serviceRequire('@opentelemetry/instrumentation-express');
+const { PinoInstrumentation } = serviceRequire('@opentelemetry/instrumentation-pino');
+const { resourceFromAttributes } = serviceRequire('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME } = serviceRequire('@opentelemetry/semantic-conventions');
+const {
+  NodeTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  InMemorySpanExporter,
+  ParentBasedSampler,
+  TraceIdRatioBasedSampler
+} = serviceRequire('@opentelemetry/sdk-trace-node');
+
+// Экспортер спанов выбирается переменной TRACE_EXPORTER: none (по умолчанию), otlp, file или memory.
+// При none спаны все равно создаются: traceId нужен в логах и для продолжения трассы в исходящих запросах.
+// Файл по умолчанию — traces/<сервис>.jsonl в рабочем каталоге сервиса
+const createExporter = (serviceName) => {
+  const driver = process.env.TRACE_EXPORTER || 'none';
+
+  switch (driver) {
+    case 'none':
+      return null;
+    case 'otlp': {
+      // Адрес коллектора задается стандартными переменными OTEL_EXPORTER_OTLP_ENDPOINT / OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+      const { OTLPTraceExporter } = serviceRequire('@opentelemetry/exporter-trace-otlp-http');
+      return new OTLPTraceExporter();
+    }
+    case 'file': {
+      const FileSpanExporter = require('./fileExporter');
+      return new FileSpanExporter({
+        file: process.env.TRACE_FILE_PATH || path.resolve('traces', `${serviceName}.jsonl`)
+      });
+    }
+    case 'memory':
+      return new InMemorySpanExporter();
+    default:
+      throw new Error(`Unknown TRACE_EXPORTER: ${driver}`);
+  }
+};
+
+// Проверки живости и сбор метрик выполняются часто и засоряли бы трассировку
+const isProbe = (req) => ['/health', '/metrics'].some(prefix => (req.url || '').startsWith(prefix));
+
+let provider = null;
+let exporter = null;
+
+// Должна вызываться до подключения express, pino, pg и http-proxy-middleware:
+// инструментирование подменяет модули при их загрузке.
+// pg и undici — инструментирование клиента PostgreSQL и fetch для сервисов, которые их используют
+const initTracing = (serviceName, { pg = false, undici = false } = {}) => {
+  if (provider) {
+    return provider;
+  }
+
+  exporter = createExporter(serviceName);
+  const spanProcessors = [];
+  if (exporter) {
+    // В памяти спаны нужны сразу после ответа, поэтому без буферизации
+    spanProcessors.push(exporter instanceof InMemorySpanExporter
+      ? new SimpleSpanProcessor(exporter)
+      : new BatchSpanProcessor(exporter));
+  }
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || serviceName }),
+    sampler: new ParentBasedSampler({
+      root: new TraceIdRatioBasedSampler(parseFloat(process.env.TRACE_SAMPLE_RATIO || '1'))
+    }),
+    spanProcessors
+  });
+  // Регистрирует контекст на AsyncLocalStorage и пропагатор W3C traceparent
+  provider.register();
+
+  // Фоновые запросы вне HTTP-запроса (проверки реестра, доставка вебхуков, загрузка JWKS,
+  // ежесекундный опрос outbox) не порождают отдельных трасс
+  const instrumentations = [
+    new HttpInstrumentation({
+      ignoreIncomingRequestHook: isProbe,
+      requireParentforOutgoingSpans: true
+    }),
+    new ExpressInstrumentation({
+      ignoreLayersType: [ExpressLayerType.MIDDLEWARE, ExpressLayerType.ROUTER]
+    }),
+    new PinoInstrumentation({
+      disableLogSending: true,
+      logKeys: { traceId: 'traceId', spanId: 'spanId', traceFlags: 'traceFlags' }
+    })
+  ];
+  if (undici) {
+    const { UndiciInstrumentation } = serviceRequire('@opentelemetry/instrumentation-undici');
+    instrumentations.push(new UndiciInstrumentation({ requireParentforSpans: true }));
+  }
+  if (pg) {
+    const { PgInstrumentation } = serviceRequire('@opentelemetry/instrumentation-pg');
+    instrumentations.push(new PgInstrumentation({ requireParentSpan: true }));
+  }
+
+  registerInstrumentations({ tracerProvider: provider, instrumentations });
+
+  return provider;
+};
+
+// Дописывает неотправленные спаны перед завершением процесса
+const shutdownTracing = async () => {
+  if (provider) {
+    await provider.shutdown();
+  }
+};
+
+// Экспортер памяти для тестов: getExporter().getFinishedSpans()
+const getExporter = () => exporter;
+
+module.exports = { initTracing, shutdownTracing, getExporter };
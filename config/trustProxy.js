@@ -0,0 +1,25 @@
+// Значение настройки trust proxy для Express из переменной окружения TRUST_PROXY:
+// true/false, число доверенных прокси перед сервисом или список IP, подсетей и имен
+// (loopback, linklocal, uniquelocal) через запятую. Строку как есть передавать нельзя:
+// 'true' Express принимает за адрес и падает при запуске.
+// От настройки зависит req.ip — по нему считаются лимиты запросов и попытки входа
+const parseTrustProxy = (value, defaultValue) => {
+  const normalized = (value || '').trim().toLowerCase();
+
+  if (normalized === '') {
+    return defaultValue;
+  }
+  if (normalized === 'true') {
+    return true;
+  }
+  if (normalized === 'false') {
+    return false;
+  }
+  if (/^\d+$/.test(normalized)) {
+    return parseInt(normalized, 10);
+  }
+
+  return normalized.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+module.exports = { parseTrustProxy };
@@ -0,0 +1,23 @@
+CREATE TABLE projects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  title VARCHAR(100) NOT NULL,
+  description TEXT NOT NULL,
+  address VARCHAR(500) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  start_date DATE,
+  end_date DATE,
+  budget NUMERIC(15, 2),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT projects_status_check CHECK (status IN ('draft', 'active', 'completed', 'cancelled')),
+  CONSTRAINT projects_dates_check CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date),
+  CONSTRAINT projects_budget_check CHECK (budget IS NULL OR budget >= 0)
+);
+
+CREATE INDEX projects_user_id_created_at_idx ON projects (user_id, created_at DESC);
+CREATE INDEX projects_status_idx ON projects (status);
+
+CREATE TRIGGER projects_set_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
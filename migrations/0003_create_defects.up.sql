@@ -0,0 +1,23 @@
+CREATE TABLE defects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  title VARCHAR(200) NOT NULL,
+  description TEXT NOT NULL,
+  severity VARCHAR(20) NOT NULL DEFAULT 'medium',
+  status VARCHAR(20) NOT NULL DEFAULT 'reported',
+  reporter_id UUID NOT NULL,
+  assignee_id UUID,
+  location VARCHAR(500) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT defects_severity_check CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  CONSTRAINT defects_status_check CHECK (status IN ('reported', 'in_progress', 'resolved', 'closed'))
+);
+
+CREATE INDEX defects_project_id_created_at_idx ON defects (project_id, created_at DESC);
+CREATE INDEX defects_reporter_id_idx ON defects (reporter_id);
+CREATE INDEX defects_assignee_id_idx ON defects (assignee_id);
+
+CREATE TRIGGER defects_set_updated_at
+  BEFORE UPDATE ON defects
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS defect_transitions;
+
+ALTER TABLE defects
+  DROP COLUMN IF EXISTS closed_at,
+  DROP COLUMN IF EXISTS resolved_at,
+  DROP COLUMN IF EXISTS resolution_note;
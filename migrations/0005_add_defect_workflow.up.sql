@@ -0,0 +1,16 @@
+ALTER TABLE defects
+  ADD COLUMN resolution_note TEXT,
+  ADD COLUMN resolved_at TIMESTAMPTZ,
+  ADD COLUMN closed_at TIMESTAMPTZ;
+
+CREATE TABLE defect_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  defect_id UUID NOT NULL REFERENCES defects (id) ON DELETE CASCADE,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  actor_id UUID NOT NULL,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX defect_transitions_defect_id_created_at_idx ON defect_transitions (defect_id, created_at DESC);
@@ -0,0 +1,29 @@
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  entity_type VARCHAR(20) NOT NULL,
+  entity_id UUID NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  actor_id UUID,
+  request_id VARCHAR(100),
+  changes JSONB NOT NULL DEFAULT '{}'::JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT audit_log_entity_type_check CHECK (entity_type IN ('project', 'defect')),
+  CONSTRAINT audit_log_action_check CHECK (action IN ('create', 'update', 'delete'))
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id, created_at DESC, id DESC);
+CREATE INDEX audit_log_actor_id_idx ON audit_log (actor_id);
+
+CREATE OR REPLACE FUNCTION audit_log_prevent_mutation() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_prevent_mutation();
+
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_prevent_mutation();
@@ -0,0 +1,13 @@
+CREATE TABLE defect_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  defect_id UUID NOT NULL REFERENCES defects (id) ON DELETE CASCADE,
+  uploader_id UUID NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  thumbnail_key VARCHAR(500),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX defect_attachments_defect_id_created_at_idx ON defect_attachments (defect_id, created_at);
@@ -0,0 +1,17 @@
+CREATE TABLE defect_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  defect_id UUID NOT NULL REFERENCES defects (id) ON DELETE CASCADE,
+  author_id UUID NOT NULL,
+  body TEXT NOT NULL,
+  mentions UUID[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX defect_comments_defect_id_created_at_idx ON defect_comments (defect_id, created_at);
+CREATE INDEX defect_comments_mentions_idx ON defect_comments USING GIN (mentions);
+
+CREATE TRIGGER defect_comments_set_updated_at
+  BEFORE UPDATE ON defect_comments
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
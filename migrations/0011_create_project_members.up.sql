@@ -0,0 +1,19 @@
+CREATE TABLE project_members (
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'engineer', 'client_viewer')),
+  invited_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX project_members_user_id_idx ON project_members (user_id);
+
+CREATE TRIGGER project_members_set_updated_at
+  BEFORE UPDATE ON project_members
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Создатели существующих проектов становятся их владельцами
+INSERT INTO project_members (project_id, user_id, role)
+SELECT id, user_id, 'owner' FROM projects;
@@ -0,0 +1,4 @@
+ALTER TABLE users
+  DROP COLUMN IF EXISTS deactivated_by,
+  DROP COLUMN IF EXISTS deactivated_at,
+  DROP COLUMN IF EXISTS active;
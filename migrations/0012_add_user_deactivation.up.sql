@@ -0,0 +1,4 @@
+ALTER TABLE users
+  ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN deactivated_at TIMESTAMPTZ,
+  ADD COLUMN deactivated_by UUID;
@@ -0,0 +1,19 @@
+ALTER TABLE users
+  ADD COLUMN verified BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN verified_at TIMESTAMPTZ;
+
+-- Пользователи, зарегистрированные до появления подтверждения email, считаются подтвержденными
+UPDATE users SET verified = TRUE, verified_at = NOW();
+
+-- Одноразовые токены для ссылок из писем; в БД хранится только SHA-256 токена
+CREATE TABLE user_action_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  purpose VARCHAR(32) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX user_action_tokens_user_id_purpose_idx ON user_action_tokens (user_id, purpose);
@@ -0,0 +1,17 @@
+-- Приглашения для регистрации с ролями, недоступными при самостоятельной регистрации.
+-- В БД хранится только SHA-256 токена из ссылки
+CREATE TABLE invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('engineer', 'manager', 'admin', 'client')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users (id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX invitations_email_idx ON invitations (lower(email));
+CREATE INDEX invitations_invited_by_created_at_idx ON invitations (invited_by, created_at DESC);
@@ -0,0 +1,21 @@
+ALTER TABLE users
+  ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN last_failed_login_at TIMESTAMPTZ,
+  ADD COLUMN locked_until TIMESTAMPTZ;
+
+-- Журнал попыток входа, в том числе с несуществующими email
+CREATE TABLE login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users (id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  outcome VARCHAR(32) NOT NULL CHECK (outcome IN (
+    'success', 'invalid_password', 'unknown_user', 'throttled', 'locked', 'deactivated', 'not_verified'
+  )),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX login_attempts_created_at_idx ON login_attempts (created_at DESC);
+CREATE INDEX login_attempts_user_id_created_at_idx ON login_attempts (user_id, created_at DESC);
+CREATE INDEX login_attempts_ip_address_created_at_idx ON login_attempts (ip_address, created_at DESC);
@@ -0,0 +1,9 @@
+DELETE FROM login_attempts WHERE outcome IN ('mfa_challenge', 'invalid_mfa_code');
+
+ALTER TABLE login_attempts DROP CONSTRAINT login_attempts_outcome_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_outcome_check CHECK (outcome IN (
+  'success', 'invalid_password', 'unknown_user', 'throttled', 'locked', 'deactivated', 'not_verified'
+));
+
+DROP TABLE IF EXISTS user_recovery_codes;
+DROP TABLE IF EXISTS user_totp;
@@ -0,0 +1,30 @@
+-- TOTP-секрет пользователя; хранится зашифрованным, включен после подтверждения кодом
+CREATE TABLE user_totp (
+  user_id UUID PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+  secret_encrypted TEXT NOT NULL,
+  confirmed_at TIMESTAMPTZ,
+  -- Последний принятый временной шаг: один и тот же код нельзя использовать дважды
+  last_used_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER user_totp_set_updated_at
+  BEFORE UPDATE ON user_totp
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Одноразовые коды восстановления; в БД хранится только SHA-256 кода
+CREATE TABLE user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, code_hash)
+);
+
+ALTER TABLE login_attempts DROP CONSTRAINT login_attempts_outcome_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_outcome_check CHECK (outcome IN (
+  'success', 'invalid_password', 'unknown_user', 'throttled', 'locked', 'deactivated', 'not_verified',
+  'mfa_challenge', 'invalid_mfa_code'
+));
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS defects_project_id_updated_at_idx;
+DROP INDEX IF EXISTS defects_search_idx;
+DROP FUNCTION IF EXISTS defect_search_vector(TEXT, TEXT, TEXT);
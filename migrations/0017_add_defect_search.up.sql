@@ -0,0 +1,15 @@
+-- Полнотекстовый поиск по названию, месту и описанию дефекта. Тексты бывают на русском и английском,
+-- поэтому вектор строится по обеим конфигурациям. Индекс по выражению, а не отдельный столбец:
+-- иначе вектор попадал бы во все выборки SELECT * и ответы API
+CREATE OR REPLACE FUNCTION defect_search_vector(title TEXT, location TEXT, description TEXT) RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('russian', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('russian', coalesce(location, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(location, '')), 'B') ||
+    setweight(to_tsvector('russian', coalesce(description, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX defects_search_idx ON defects USING GIN (defect_search_vector(title, location, description));
+CREATE INDEX defects_project_id_updated_at_idx ON defects (project_id, updated_at DESC);
@@ -1,38 +1,276 @@
-const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('pg');
 require('dotenv').config();
 
-const pool = new Pool({
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Произвольный, но постоянный ключ: все экземпляры сервисов должны брать одну и ту же блокировку
+const ADVISORY_LOCK_KEY = 827364519;
+
+const DATABASE_NAME = process.env.DB_NAME || 'construction_management';
+
+const connectionConfig = (database) => ({
   host: process.env.DB_HOST || 'localhost',
   port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'postgres',
+  database,
   user: process.env.DB_USER || 'postgres',
   password: process.env.DB_PASSWORD || 'your_password'
 });
 
-async function runMigration() {
-  const client = await pool.connect();
-  
+async function ensureDatabase() {
+  const client = new Client(connectionConfig(process.env.DB_ADMIN_NAME || 'postgres'));
+  await client.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT 1 FROM pg_database WHERE datname = $1',
+      [DATABASE_NAME]
+    );
+
+    if (result.rowCount === 0) {
+      try {
+        await client.query(`CREATE DATABASE ${client.escapeIdentifier(DATABASE_NAME)}`);
+        console.log(`Database ${DATABASE_NAME} created`);
+      } catch (error) {
+        // 42P04: база уже создана параллельно запущенным экземпляром
+        if (error.code !== '42P04') {
+          throw error;
+        }
+      }
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+// Контрольная сумма up-файла: по ней обнаруживаются правки уже примененных миграций
+function migrationChecksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const [, versionStr, name, direction] = match;
+    const version = parseInt(versionStr, 10);
+
+    if (!byVersion.has(version)) {
+      byVersion.set(version, { version, name });
+    }
+
+    const migration = byVersion.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${migration.name}, ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} must have both up and down files`);
+    }
+    migration.checksum = migrationChecksum(migration.up);
+  }
+
+  return migrations;
+}
+
+async function ensureLedger(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+// Примененную миграцию нельзя править: изменения не попадут в уже обновленные базы,
+// и схемы окружений разойдутся. Исправления оформляются новой миграцией
+function findChangedMigrations(migrations, appliedRows) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return appliedRows.filter(row => {
+    const migration = byVersion.get(row.version);
+    return migration && migration.checksum !== row.checksum;
+  });
+}
+
+// Еще не примененные миграции в порядке версий
+function findPendingMigrations(migrations, appliedRows) {
+  const applied = new Set(appliedRows.map(row => row.version));
+  return migrations.filter(migration => !applied.has(migration.version));
+}
+
+async function withLock(fn) {
+  const client = new Client(connectionConfig(DATABASE_NAME));
+  await client.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+      await ensureLedger(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+async function runInTransaction(client, sql, ledgerQuery, ledgerParams) {
+  await client.query('BEGIN');
   try {
-    console.log('Starting migration...');
-    
-    await client.query(`
-      SELECT 'CREATE DATABASE construction_management'
-      WHERE NOT EXISTS (SELECT FROM pg_database WHERE datname = 'construction_management')
-    `);
-    
-    console.log('Database checked/created');
-    
-    await client.query('\\c construction_management');
-    
-    console.log('Migration completed successfully!');
-    
+    await client.query(sql);
+    await client.query(ledgerQuery, ledgerParams);
+    await client.query('COMMIT');
   } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function migrateUp() {
+  await ensureDatabase();
+  const migrations = loadMigrations();
+
+  return withLock(async (client) => {
+    const appliedRows = await getAppliedMigrations(client);
+    const changed = findChangedMigrations(migrations, appliedRows);
+    if (changed.length > 0) {
+      const names = changed.map(row => `${row.version}_${row.name}`).join(', ');
+      throw new Error(`Applied migration files were modified: ${names}. Revert the edits and add a new migration instead`);
+    }
+
+    const pending = findPendingMigrations(migrations, appliedRows);
+
+    for (const migration of pending) {
+      console.log(`Applying ${migration.version}_${migration.name}...`);
+      await runInTransaction(
+        client,
+        migration.up,
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+
+    return pending;
+  });
+}
+
+async function migrateDown(steps = 1) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = applied.reverse().slice(0, steps);
+
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version}_${row.name} not found`);
+      }
+
+      console.log(`Reverting ${migration.version}_${migration.name}...`);
+      await runInTransaction(
+        client,
+        migration.down,
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      );
+    }
+
+    return toRevert;
+  });
+}
+
+async function migrationStatus() {
+  const migrations = loadMigrations();
+
+  return withLock(async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+
+    return migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row ? row.applied_at : null,
+        checksumMismatch: Boolean(row) && row.checksum !== migration.checksum
+      };
+    });
+  });
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Usage: migrate down [N], where N is a positive integer');
+      }
+      const reverted = await migrateDown(steps);
+      console.log(`Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const status = await migrationStatus();
+      for (const migration of status) {
+        const state = migration.applied
+          ? `applied ${migration.appliedAt.toISOString()}${migration.checksumMismatch ? ' (checksum mismatch!)' : ''}`
+          : 'pending';
+        console.log(`${String(migration.version).padStart(4, '0')}_${migration.name}  ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Usage: migrate [up | down N | status]`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
     console.error('Migration failed:', error);
     process.exit(1);
-  } finally {
-    client.release();
-    await pool.end();
-  }
+  });
 }
 
-runMigration();
\ No newline at end of file
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  loadMigrations,
+  migrationChecksum,
+  findChangedMigrations,
+  findPendingMigrations
+};
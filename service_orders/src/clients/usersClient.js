@@ -0,0 +1,38 @@
+const USERS_SERVICE_URL = process.env.USERS_SERVICE_URL || 'http://localhost:3001';
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Запросы к сервису пользователей выполняются от имени текущего пользователя:
+// пробрасываем его Authorization и x-request-id
+const forwardedHeaders = (req) => {
+  const headers = {};
+  if (req.headers['authorization']) {
+    headers['authorization'] = req.headers['authorization'];
+  }
+  if (req.headers['x-request-id']) {
+    headers['x-request-id'] = req.headers['x-request-id'];
+  }
+  return headers;
+};
+
+const lookupUsers = async (req, ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const url = new URL('/api/v1/users/lookup', USERS_SERVICE_URL);
+  url.searchParams.set('ids', ids.join(','));
+
+  const response = await fetch(url, {
+    headers: forwardedHeaders(req),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Users service responded with ${response.status}`);
+  }
+
+  const { data } = await response.json();
+  return data;
+};
+
+module.exports = { lookupUsers };
@@ -1,4 +1,8 @@
 const { Pool } = require('pg');
+const { diffChanges } = require('../domain/audit');
+const { deleteFiles } = require('../storage');
+const { describeEvent } = require('../events/catalog');
+const { Keyset } = require('../../../config/pagination');
 
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
@@ -11,8 +15,196 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// client.afterCommit(callback) — действие, которое выполняется только после успешной фиксации транзакции
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  const afterCommit = [];
+  client.afterCommit = (callback) => afterCommit.push(callback);
+  let result;
+
+  try {
+    await client.query('BEGIN');
+    result = await fn(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    delete client.afterCommit;
+    client.release();
+  }
+
+  for (const callback of afterCommit) {
+    callback();
+  }
+  return result;
+};
+
+// Выполняет fn в переданной транзакции или открывает новую — так методы репозиториев
+// можно объединять в одну транзакцию
+const inTransaction = (client, fn) => (client ? fn(client) : withTransaction(fn));
+
+class AuditRepository {
+  // Пишется в той же транзакции, что и само изменение
+  async record(client, { entityType, entityId, action, before, after, context = {} }) {
+    const changes = diffChanges(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const query = `
+      INSERT INTO audit_log (entity_type, entity_id, action, actor_id, request_id, changes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+
+    await client.query(query, [
+      entityType, entityId, action, context.actorId || null, context.requestId || null,
+      JSON.stringify(changes)
+    ]);
+  }
+
+  async findByEntity(entityType, entityId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const countQuery = `
+      SELECT COUNT(*) as total 
+      FROM audit_log 
+      WHERE entity_type = $1 AND entity_id = $2
+    `;
+
+    const historyQuery = `
+      SELECT id, action, actor_id, request_id, changes, created_at
+      FROM audit_log 
+      WHERE entity_type = $1 AND entity_id = $2
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3 
+      OFFSET $4
+    `;
+
+    const [countResult, historyResult] = await Promise.all([
+      pool.query(countQuery, [entityType, entityId]),
+      pool.query(historyQuery, [entityType, entityId, limit, offset])
+    ]);
+
+    return {
+      history: historyResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+}
+
+const auditRepository = new AuditRepository();
+
+const MAX_RETRY_DELAY_SECONDS = 300;
+// Время, на которое забранные из outbox события скрываются от других экземпляров; должно превышать время публикации пачки
+const OUTBOX_CLAIM_SECONDS = parseInt(process.env.OUTBOX_CLAIM_SECONDS || '60');
+
+class OutboxRepository {
+  constructor() {
+    this.recordedHandlers = [];
+  }
+
+  // Обработчик вызывается один раз для каждого записанного события после фиксации транзакции —
+  // в отличие от подписчиков шины, которые при повторной публикации из outbox получают событие снова
+  onRecorded(handler) {
+    this.recordedHandlers.push(handler);
+  }
+
+  // Событие записывается в той же транзакции, что и изменение агрегата,
+  // поэтому оно не может потеряться или быть опубликовано для откатившейся транзакции
+  async enqueue(client, type, aggregateId, payload, context = {}) {
+    const event = describeEvent(type, payload);
+    const query = `
+      INSERT INTO outbox_events (event_type, event_version, aggregate_type, aggregate_id, payload, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+
+    await client.query(query, [
+      event.type, event.version, event.aggregateType, aggregateId,
+      JSON.stringify(event.payload),
+      JSON.stringify({ actorId: context.actorId || null, requestId: context.requestId || null })
+    ]);
+
+    client.afterCommit(() => {
+      for (const handler of this.recordedHandlers) {
+        handler(event);
+      }
+    });
+  }
+
+  // Пачка забирается одним коротким запросом: next_attempt_at сдвигается на время аренды, и другие
+  // экземпляры сервиса (SKIP LOCKED) ее не видят. Публикация идет уже вне транзакции, поэтому медленный брокер
+  // не держит блокировки и соединение пула. Если экземпляр упал до записи результата,
+  // события снова станут доступны после окончания аренды
+  async claimPending(limit) {
+    const { rows } = await pool.query(`
+      UPDATE outbox_events
+      SET next_attempt_at = NOW() + make_interval(secs => $2)
+      WHERE id IN (
+        SELECT id FROM outbox_events
+        WHERE published_at IS NULL AND next_attempt_at <= NOW()
+        ORDER BY created_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, OUTBOX_CLAIM_SECONDS]);
+
+    // UPDATE ... RETURNING не сохраняет порядок подзапроса
+    return rows.sort((a, b) => a.created_at - b.created_at);
+  }
+
+  async processPending(limit, publish) {
+    const rows = await this.claimPending(limit);
+    const failures = [];
+
+    for (const row of rows) {
+      try {
+        await publish({
+          id: row.id,
+          type: row.event_type,
+          version: row.event_version,
+          aggregateType: row.aggregate_type,
+          aggregateId: row.aggregate_id,
+          occurredAt: row.created_at.toISOString(),
+          payload: row.payload,
+          metadata: row.metadata
+        });
+      } catch (error) {
+        failures.push({ id: row.id, type: row.event_type, error });
+
+        await pool.query(`
+          UPDATE outbox_events
+          SET attempts = attempts + 1,
+              last_error = $2,
+              next_attempt_at = NOW() + make_interval(secs => LEAST(POWER(2, attempts + 1), $3))
+          WHERE id = $1
+        `, [row.id, String(error.message || error), MAX_RETRY_DELAY_SECONDS]);
+        continue;
+      }
+
+      await pool.query(
+        'UPDATE outbox_events SET published_at = NOW(), attempts = attempts + 1, last_error = NULL WHERE id = $1',
+        [row.id]
+      );
+    }
+
+    return { processed: rows.length, published: rows.length - failures.length, failures };
+  }
+}
+
+const outboxRepository = new OutboxRepository();
+
+const attachmentFileKeys = (rows) => rows.flatMap(row => [row.storage_key, row.thumbnail_key]).filter(Boolean);
+
+// Проекты пользователя — сначала новые
+const PROJECT_KEYSET = new Keyset([
+  { name: 'createdAt', expression: 'p.created_at', type: 'timestamptz', direction: 'desc' },
+  { name: 'id', expression: 'p.id', type: 'uuid', direction: 'desc' }
+]);
+
 class ProjectRepository {
-  async create(projectData) {
+  async create(projectData, context) {
     const { userId, title, description, address, status, startDate, endDate, budget } = projectData;
     const query = `
       INSERT INTO projects (user_id, title, description, address, status, start_date, end_date, budget)
@@ -20,11 +212,31 @@ class ProjectRepository {
       RETURNING *
     `;
     
-    const result = await pool.query(query, [
-      userId, title, description, address, status || 'draft', 
-      startDate, endDate, budget
-    ]);
-    return result.rows[0];
+    return withTransaction(async (client) => {
+      const result = await client.query(query, [
+        userId, title, description, address, status || 'draft', 
+        startDate, endDate, budget
+      ]);
+      const project = result.rows[0];
+
+      await client.query(
+        `INSERT INTO project_members (project_id, user_id, role, invited_by) VALUES ($1, $2, 'owner', $2)`,
+        [project.id, project.user_id]
+      );
+
+      await auditRepository.record(client, {
+        entityType: 'project', entityId: project.id, action: 'create', before: null, after: project, context
+      });
+
+      await outboxRepository.enqueue(client, 'ProjectCreated', project.id, {
+        projectId: project.id,
+        ownerId: project.user_id,
+        title: project.title,
+        status: project.status
+      }, context);
+
+      return project;
+    });
   }
 
   async findById(id) {
@@ -38,45 +250,58 @@ class ProjectRepository {
     return result.rows[0];
   }
 
-  async findByUserId(userId, { page = 1, limit = 10, status } = {}) {
-    const offset = (page - 1) * limit;
-    
-    let whereClause = 'WHERE user_id = $1';
+  // Проекты, в которых пользователь состоит участником, с его ролью в member_role
+  // cursor — keyset-пагинация (utils/pagination), иначе page; total — только если includeTotal
+  async findByUserId(userId, { page = 1, limit = 10, status, cursor, includeTotal = true } = {}) {
+    const position = cursor ? PROJECT_KEYSET.decode(cursor) : null;
+    const offset = position ? 0 : (page - 1) * limit;
+
+    const conditions = ['m.user_id = $1'];
     const params = [userId];
     
     if (status) {
-      whereClause += ' AND status = $2';
       params.push(status);
+      conditions.push(`p.status = $${params.length}`);
     }
-    
+
+    const countParams = [...params];
     const countQuery = `
       SELECT COUNT(*) as total 
-      FROM projects 
-      ${whereClause}
+      FROM projects p
+      JOIN project_members m ON m.project_id = p.id
+      WHERE ${conditions.join(' AND ')}
     `;
+
+    if (position) {
+      conditions.push(PROJECT_KEYSET.where(position, params));
+    }
     
     const projectsQuery = `
-      SELECT * FROM projects 
-      ${whereClause}
-      ORDER BY created_at DESC
+      SELECT p.*, m.role AS member_role, ${PROJECT_KEYSET.select()}
+      FROM projects p
+      JOIN project_members m ON m.project_id = p.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${PROJECT_KEYSET.orderBy(position ? position.backward : false)}
       LIMIT $${params.length + 1} 
       OFFSET $${params.length + 2}
     `;
     
-    params.push(limit, offset);
-    
     const [countResult, projectsResult] = await Promise.all([
-      pool.query(countQuery, params.slice(0, status ? 2 : 1)),
-      pool.query(projectsQuery, params)
+      includeTotal ? pool.query(countQuery, countParams) : null,
+      pool.query(projectsQuery, [...params, limit + 1, offset])
     ]);
+
+    const { rows, nextCursor, prevCursor } = PROJECT_KEYSET.page(projectsResult.rows, { limit, cursor: position, offset });
     
     return {
-      projects: projectsResult.rows,
-      total: parseInt(countResult.rows[0].total)
+      projects: rows,
+      total: countResult ? parseInt(countResult.rows[0].total) : undefined,
+      nextCursor,
+      prevCursor
     };
   }
 
-  async update(id, updates) {
+  async update(id, updates, context) {
     const { title, description, address, status, startDate, endDate, budget } = updates;
     
     const fields = [];
@@ -124,19 +349,282 @@ class ProjectRepository {
       RETURNING *
     `;
     
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    return withTransaction(async (client) => {
+      const before = (await client.query('SELECT * FROM projects WHERE id = $1 FOR UPDATE', [id])).rows[0];
+      if (!before) {
+        return undefined;
+      }
+
+      const result = await client.query(query, values);
+      const project = result.rows[0];
+
+      await auditRepository.record(client, {
+        entityType: 'project', entityId: id, action: 'update', before, after: project, context
+      });
+
+      if (before.status !== project.status) {
+        await outboxRepository.enqueue(client, 'ProjectStatusChanged', id, {
+          projectId: id,
+          oldStatus: before.status,
+          newStatus: project.status
+        }, context);
+      }
+
+      return project;
+    });
   }
 
-  async delete(id) {
-    const query = 'DELETE FROM projects WHERE id = $1 RETURNING id';
-    const result = await pool.query(query, [id]);
+  // Дефекты удаляются явно, а не каскадом, чтобы их удаление тоже попало в историю.
+  // Файлы вложений удаляются из хранилища после фиксации транзакции.
+  async delete(id, context) {
+    const { project, fileKeys } = await withTransaction(async (client) => {
+      const attachments = await client.query(`
+        DELETE FROM defect_attachments
+        WHERE defect_id IN (SELECT id FROM defects WHERE project_id = $1)
+        RETURNING storage_key, thumbnail_key
+      `, [id]);
+
+      const defects = await client.query('DELETE FROM defects WHERE project_id = $1 RETURNING *', [id]);
+      for (const defect of defects.rows) {
+        await auditRepository.record(client, {
+          entityType: 'defect', entityId: defect.id, action: 'delete', before: defect, after: null, context
+        });
+
+        await outboxRepository.enqueue(client, 'DefectDeleted', defect.id, {
+          defectId: defect.id,
+          projectId: id
+        }, context);
+      }
+
+      const result = await client.query('DELETE FROM projects WHERE id = $1 RETURNING *', [id]);
+      const project = result.rows[0];
+
+      if (project) {
+        await auditRepository.record(client, {
+          entityType: 'project', entityId: id, action: 'delete', before: project, after: null, context
+        });
+
+        await outboxRepository.enqueue(client, 'ProjectDeleted', id, { projectId: id }, context);
+      }
+
+      return { project, fileKeys: attachmentFileKeys(attachments.rows) };
+    });
+
+    if (!project) {
+      return undefined;
+    }
+
+    const fileErrors = await deleteFiles(fileKeys);
+    return { id: project.id, fileErrors };
+  }
+}
+
+class ProjectMemberRepository {
+  async findRole(projectId, userId) {
+    const query = `
+      SELECT role FROM project_members 
+      WHERE project_id = $1 AND user_id = $2
+    `;
+
+    const result = await pool.query(query, [projectId, userId]);
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  async findByProjectId(projectId) {
+    const query = `
+      SELECT * FROM project_members 
+      WHERE project_id = $1
+      ORDER BY created_at
+    `;
+
+    const result = await pool.query(query, [projectId]);
+    return result.rows;
+  }
+
+  // Возвращает undefined, если пользователь уже состоит в проекте
+  async add({ projectId, userId, role, invitedBy }) {
+    const query = `
+      INSERT INTO project_members (project_id, user_id, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (project_id, user_id) DO NOTHING
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [projectId, userId, role, invitedBy]);
     return result.rows[0];
   }
+
+  // Изменение роли и удаление участника не должны оставить проект без владельца.
+  // Строки участников блокируются, чтобы параллельные запросы не убрали последних владельцев одновременно.
+  // nextRole = null означает удаление участника.
+  async changeMembership(projectId, userId, nextRole) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT user_id, role FROM project_members WHERE project_id = $1 FOR UPDATE',
+        [projectId]
+      );
+
+      const member = rows.find(row => row.user_id === userId);
+      if (!member) {
+        return { status: 'not_found' };
+      }
+
+      const owners = rows.filter(row => row.role === 'owner');
+      if (member.role === 'owner' && owners.length === 1 && nextRole !== 'owner') {
+        return { status: 'last_owner' };
+      }
+
+      if (nextRole === null) {
+        await client.query(
+          'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2',
+          [projectId, userId]
+        );
+        return { status: 'ok', member };
+      }
+
+      const result = await client.query(
+        'UPDATE project_members SET role = $3 WHERE project_id = $1 AND user_id = $2 RETURNING *',
+        [projectId, userId, nextRole]
+      );
+      return { status: 'ok', member: result.rows[0] };
+    });
+  }
+
+  async updateRole(projectId, userId, role) {
+    return this.changeMembership(projectId, userId, role);
+  }
+
+  async remove(projectId, userId) {
+    return this.changeMembership(projectId, userId, null);
+  }
 }
 
+// Выражение должно совпадать с индексом defects_search_idx, иначе поиск пойдет полным перебором
+const DEFECT_SEARCH_VECTOR = 'defect_search_vector(defects.title, defects.location, defects.description)';
+
+// В ORDER BY попадают только выражения из этого списка; критичность и статус сортируются по смыслу, а не по алфавиту.
+// type — тип значения в курсоре keyset-пагинации
+const DEFECT_SORT_COLUMNS = {
+  createdAt: { expression: 'defects.created_at', type: 'timestamptz' },
+  updatedAt: { expression: 'defects.updated_at', type: 'timestamptz' },
+  title: { expression: 'defects.title', type: 'text' },
+  severity: {
+    expression: "CASE defects.severity WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 WHEN 'critical' THEN 4 END",
+    type: 'integer'
+  },
+  status: {
+    expression: "CASE defects.status WHEN 'reported' THEN 1 WHEN 'in_progress' THEN 2 WHEN 'resolved' THEN 3 WHEN 'closed' THEN 4 END",
+    type: 'integer'
+  }
+};
+
+const DEFAULT_DEFECT_SORT = [{ field: 'createdAt', direction: 'desc' }];
+
+// Добавляет значения фильтров в params и возвращает условия WHERE.
+// Поисковый запрос разбирается обеими конфигурациями, как и вектор в индексе
+const buildDefectFilters = (filters, params) => {
+  const conditions = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  let searchQuery = null;
+
+  if (filters.search) {
+    const search = param(filters.search);
+    searchQuery = `(websearch_to_tsquery('russian', ${search}) || websearch_to_tsquery('english', ${search}))`;
+    conditions.push(`${DEFECT_SEARCH_VECTOR} @@ ${searchQuery}`);
+  }
+  if (filters.statuses && filters.statuses.length > 0) {
+    conditions.push(`defects.status = ANY(${param(filters.statuses)})`);
+  }
+  if (filters.severities && filters.severities.length > 0) {
+    conditions.push(`defects.severity = ANY(${param(filters.severities)})`);
+  }
+  if (filters.assigneeId === 'none') {
+    conditions.push('defects.assignee_id IS NULL');
+  } else if (filters.assigneeId) {
+    conditions.push(`defects.assignee_id = ${param(filters.assigneeId)}`);
+  }
+  if (filters.reporterId) {
+    conditions.push(`defects.reporter_id = ${param(filters.reporterId)}`);
+  }
+  if (filters.createdFrom) {
+    conditions.push(`defects.created_at >= ${param(filters.createdFrom)}`);
+  }
+  if (filters.createdTo) {
+    conditions.push(`defects.created_at <= ${param(filters.createdTo)}`);
+  }
+  if (filters.updatedFrom) {
+    conditions.push(`defects.updated_at >= ${param(filters.updatedFrom)}`);
+  }
+  if (filters.updatedTo) {
+    conditions.push(`defects.updated_at <= ${param(filters.updatedTo)}`);
+  }
+
+  return { conditions, searchQuery };
+};
+
+// id в конце делает порядок однозначным при совпадении значений сортировки и служит ключом курсора
+const defectKeyset = (sort, searchQuery) => new Keyset([
+  ...sort.map(({ field, direction }) => {
+    const column = field === 'relevance' && searchQuery
+      ? { expression: `ts_rank(${DEFECT_SEARCH_VECTOR}, ${searchQuery})`, type: 'real' }
+      : DEFECT_SORT_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Unsupported defect sort field: ${field}`);
+    }
+    return { name: field, direction, ...column };
+  }),
+  { name: 'id', expression: 'defects.id', type: 'uuid', direction: 'desc' }
+]);
+
+// Страница списка дефектов: по cursor (keyset) или по page (offset); total — только если includeTotal
+const findDefectsPage = async (conditions, params, { page, limit, sort, searchQuery, cursor, includeTotal = true }) => {
+  const keyset = defectKeyset(sort, searchQuery);
+  const position = cursor ? keyset.decode(cursor) : null;
+  const offset = position ? 0 : (page - 1) * limit;
+  const whereClause = (items) => (items.length > 0 ? `WHERE ${items.join(' AND ')}` : '');
+
+  const countParams = [...params];
+  const pageConditions = position ? [...conditions, keyset.where(position, params)] : conditions;
+
+  const countQuery = `
+    SELECT COUNT(*) as total 
+    FROM defects 
+    ${whereClause(conditions)}
+  `;
+
+  const defectsQuery = `
+    SELECT defects.*, projects.title AS project_title, (
+      SELECT COUNT(*)::int FROM defect_comments 
+      WHERE defect_comments.defect_id = defects.id AND defect_comments.deleted_at IS NULL
+    ) AS comment_count, ${keyset.select()}
+    FROM defects 
+    JOIN projects ON projects.id = defects.project_id
+    ${whereClause(pageConditions)}
+    ORDER BY ${keyset.orderBy(position ? position.backward : false)}
+    LIMIT $${params.length + 1} 
+    OFFSET $${params.length + 2}
+  `;
+
+  const [countResult, defectsResult] = await Promise.all([
+    includeTotal ? pool.query(countQuery, countParams) : null,
+    pool.query(defectsQuery, [...params, limit + 1, offset])
+  ]);
+
+  const { rows, nextCursor, prevCursor } = keyset.page(defectsResult.rows, { limit, cursor: position, offset });
+
+  return {
+    defects: rows,
+    total: countResult ? parseInt(countResult.rows[0].total) : undefined,
+    nextCursor,
+    prevCursor
+  };
+};
+
 class DefectRepository {
-  async create(defectData) {
+  async create(defectData, context) {
     const { projectId, title, description, severity, status, reporterId, assigneeId, location } = defectData;
     const query = `
       INSERT INTO defects (project_id, title, description, severity, status, reporter_id, assignee_id, location)
@@ -144,69 +632,88 @@ class DefectRepository {
       RETURNING *
     `;
     
-    const result = await pool.query(query, [
-      projectId, title, description, severity || 'medium', status || 'reported',
-      reporterId, assigneeId, location
-    ]);
-    return result.rows[0];
+    return withTransaction(async (client) => {
+      const result = await client.query(query, [
+        projectId, title, description, severity || 'medium', status || 'reported',
+        reporterId, assigneeId, location
+      ]);
+      const defect = result.rows[0];
+
+      await auditRepository.record(client, {
+        entityType: 'defect', entityId: defect.id, action: 'create', before: null, after: defect, context
+      });
+
+      await outboxRepository.enqueue(client, 'DefectReported', defect.id, {
+        defectId: defect.id,
+        projectId: defect.project_id,
+        reporterId: defect.reporter_id,
+        title: defect.title,
+        severity: defect.severity
+      }, context);
+
+      if (defect.assignee_id) {
+        await outboxRepository.enqueue(client, 'DefectAssigned', defect.id, {
+          defectId: defect.id,
+          projectId: defect.project_id,
+          assigneeId: defect.assignee_id,
+          previousAssigneeId: null
+        }, context);
+      }
+
+      return defect;
+    });
   }
 
-  async findById(id) {
+  async findById(id, client = pool) {
     const query = `
       SELECT * FROM defects 
       WHERE id = $1
       LIMIT 1
     `;
     
-    const result = await pool.query(query, [id]);
+    const result = await client.query(query, [id]);
     return result.rows[0];
   }
 
-  async findByProjectId(projectId, { page = 1, limit = 10, status, severity } = {}) {
-    const offset = (page - 1) * limit;
-    
-    let whereClause = 'WHERE project_id = $1';
+  // filters — результат toDefectFilters (domain/defectFilters)
+  async findByProjectId(projectId, { page = 1, limit = 10, sort = DEFAULT_DEFECT_SORT, cursor, includeTotal, ...filters } = {}) {
     const params = [projectId];
-    let paramCount = 2;
-    
-    if (status) {
-      whereClause += ` AND status = $${paramCount++}`;
-      params.push(status);
+    const { conditions, searchQuery } = buildDefectFilters(filters, params);
+
+    return findDefectsPage(['defects.project_id = $1', ...conditions], params, {
+      page, limit, sort, searchQuery, cursor, includeTotal
+    });
+  }
+
+  // Дефекты всех проектов, доступных пользователю (scope — результат getProjectScope из domain/projectAccess)
+  async findVisible(scope, { page = 1, limit = 10, sort = DEFAULT_DEFECT_SORT, cursor, includeTotal, projectIds, ...filters } = {}) {
+    const params = [];
+    const accessConditions = [];
+
+    if (!scope.allProjects) {
+      params.push(scope.userId);
+      let membership = 'SELECT project_id FROM project_members WHERE user_id = $1';
+      if (scope.roles) {
+        params.push(scope.roles);
+        membership += ' AND role = ANY($2)';
+      }
+      accessConditions.push(`defects.project_id IN (${membership})`);
     }
-    if (severity) {
-      whereClause += ` AND severity = $${paramCount++}`;
-      params.push(severity);
+    if (projectIds && projectIds.length > 0) {
+      params.push(projectIds);
+      accessConditions.push(`defects.project_id = ANY($${params.length})`);
     }
-    
-    const countQuery = `
-      SELECT COUNT(*) as total 
-      FROM defects 
-      ${whereClause}
-    `;
-    
-    const defectsQuery = `
-      SELECT * FROM defects 
-      ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT $${paramCount} 
-      OFFSET $${paramCount + 1}
-    `;
-    
-    params.push(limit, offset);
-    
-    const [countResult, defectsResult] = await Promise.all([
-      pool.query(countQuery, params.slice(0, paramCount - 2)),
-      pool.query(defectsQuery, params)
-    ]);
-    
-    return {
-      defects: defectsResult.rows,
-      total: parseInt(countResult.rows[0].total)
-    };
+
+    const { conditions, searchQuery } = buildDefectFilters(filters, params);
+
+    return findDefectsPage([...accessConditions, ...conditions], params, {
+      page, limit, sort, searchQuery, cursor, includeTotal
+    });
   }
 
-  async update(id, updates) {
-    const { title, description, severity, status, assigneeId, location } = updates;
+  // Статус меняется только через transition(), чтобы соблюдались правила жизненного цикла
+  async update(id, updates, context, client) {
+    const { title, description, severity, assigneeId, location } = updates;
     
     const fields = [];
     const values = [];
@@ -224,10 +731,6 @@ class DefectRepository {
       fields.push(`severity = $${paramCount++}`);
       values.push(severity);
     }
-    if (status !== undefined) {
-      fields.push(`status = $${paramCount++}`);
-      values.push(status);
-    }
     if (assigneeId !== undefined) {
       fields.push(`assignee_id = $${paramCount++}`);
       values.push(assigneeId);
@@ -238,7 +741,7 @@ class DefectRepository {
     }
     
     if (fields.length === 0) {
-      return this.findById(id);
+      return this.findById(id, client);
     }
     
     values.push(id);
@@ -249,19 +752,535 @@ class DefectRepository {
       RETURNING *
     `;
     
-    const result = await pool.query(query, values);
+    return inTransaction(client, async (client) => {
+      const before = (await client.query('SELECT * FROM defects WHERE id = $1 FOR UPDATE', [id])).rows[0];
+      if (!before) {
+        return undefined;
+      }
+
+      const result = await client.query(query, values);
+      const defect = result.rows[0];
+
+      await auditRepository.record(client, {
+        entityType: 'defect', entityId: id, action: 'update', before, after: defect, context
+      });
+
+      if (before.assignee_id !== defect.assignee_id) {
+        await outboxRepository.enqueue(client, 'DefectAssigned', id, {
+          defectId: id,
+          projectId: defect.project_id,
+          assigneeId: defect.assignee_id,
+          previousAssigneeId: before.assignee_id
+        }, context);
+      }
+
+      return defect;
+    });
+  }
+
+  // Возвращает undefined, если статус дефекта успел измениться с момента проверки
+  async transition(id, { fromStatus, toStatus, actorId, resolutionNote, comment }, context, client) {
+    return inTransaction(client, async (client) => {
+      const before = (await client.query(
+        'SELECT * FROM defects WHERE id = $1 AND status = $2 FOR UPDATE',
+        [id, fromStatus]
+      )).rows[0];
+      if (!before) {
+        return undefined;
+      }
+
+      const result = await client.query(`
+        UPDATE defects
+        SET status = $2::text,
+            resolution_note = COALESCE($3, resolution_note),
+            resolved_at = CASE
+              WHEN $2::text = 'resolved' THEN NOW()
+              WHEN $2::text = 'closed' THEN resolved_at
+              ELSE NULL
+            END,
+            closed_at = CASE WHEN $2::text = 'closed' THEN NOW() ELSE NULL END
+        WHERE id = $1
+        RETURNING *
+      `, [id, toStatus, resolutionNote || null]);
+      const defect = result.rows[0];
+
+      await client.query(`
+        INSERT INTO defect_transitions (defect_id, from_status, to_status, actor_id, comment)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [id, fromStatus, toStatus, actorId, comment || null]);
+
+      await auditRepository.record(client, {
+        entityType: 'defect', entityId: id, action: 'update', before, after: defect, context
+      });
+
+      await outboxRepository.enqueue(client, 'DefectStatusChanged', id, {
+        defectId: id,
+        projectId: defect.project_id,
+        oldStatus: fromStatus,
+        newStatus: toStatus
+      }, context);
+
+      if (toStatus === 'resolved') {
+        await outboxRepository.enqueue(client, 'DefectResolved', id, {
+          defectId: id,
+          projectId: defect.project_id,
+          resolutionNote: defect.resolution_note
+        }, context);
+      }
+
+      return defect;
+    });
+  }
+
+  // Смена статуса и остальных полей одним запросом: применяются обе или ни одна.
+  // Возвращает undefined, если статус дефекта успел измениться с момента проверки
+  async updateWithTransition(id, { transition, updates }, context) {
+    return withTransaction(async (client) => {
+      if (transition && !(await this.transition(id, transition, context, client))) {
+        return undefined;
+      }
+
+      return this.update(id, updates, context, client);
+    });
+  }
+
+  async findTransitions(defectId) {
+    const query = `
+      SELECT * FROM defect_transitions
+      WHERE defect_id = $1
+      ORDER BY created_at DESC
+    `;
+
+    const result = await pool.query(query, [defectId]);
+    return result.rows;
+  }
+
+  // Файлы вложений удаляются из хранилища после фиксации транзакции
+  async delete(id, context) {
+    const { defect, fileKeys } = await withTransaction(async (client) => {
+      const attachments = await client.query(
+        'DELETE FROM defect_attachments WHERE defect_id = $1 RETURNING storage_key, thumbnail_key',
+        [id]
+      );
+
+      const result = await client.query('DELETE FROM defects WHERE id = $1 RETURNING *', [id]);
+      const defect = result.rows[0];
+
+      if (defect) {
+        await auditRepository.record(client, {
+          entityType: 'defect', entityId: id, action: 'delete', before: defect, after: null, context
+        });
+
+        await outboxRepository.enqueue(client, 'DefectDeleted', id, {
+          defectId: id,
+          projectId: defect.project_id
+        }, context);
+      }
+
+      return { defect, fileKeys: attachmentFileKeys(attachments.rows) };
+    });
+
+    if (!defect) {
+      return undefined;
+    }
+
+    const fileErrors = await deleteFiles(fileKeys);
+    return { id: defect.id, fileErrors };
+  }
+}
+
+class AttachmentRepository {
+  async create(attachmentData) {
+    const { defectId, uploaderId, originalName, mimeType, sizeBytes, storageKey, thumbnailKey } = attachmentData;
+    const query = `
+      INSERT INTO defect_attachments (defect_id, uploader_id, original_name, mime_type, size_bytes, storage_key, thumbnail_key)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [
+      defectId, uploaderId, originalName, mimeType, sizeBytes, storageKey, thumbnailKey
+    ]);
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT * FROM defect_attachments 
+      WHERE id = $1
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [id]);
     return result.rows[0];
   }
 
+  async findByDefectId(defectId) {
+    const query = `
+      SELECT * FROM defect_attachments 
+      WHERE defect_id = $1
+      ORDER BY created_at
+    `;
+
+    const result = await pool.query(query, [defectId]);
+    return result.rows;
+  }
+
   async delete(id) {
-    const query = 'DELETE FROM defects WHERE id = $1 RETURNING id';
+    const query = 'DELETE FROM defect_attachments WHERE id = $1 RETURNING *';
+    const result = await pool.query(query, [id]);
+    const attachment = result.rows[0];
+
+    if (!attachment) {
+      return undefined;
+    }
+
+    const fileErrors = await deleteFiles(attachmentFileKeys([attachment]));
+    return { id: attachment.id, fileErrors };
+  }
+}
+
+class CommentRepository {
+  async create(commentData) {
+    const { defectId, authorId, body, mentions } = commentData;
+    const query = `
+      INSERT INTO defect_comments (defect_id, author_id, body, mentions)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [defectId, authorId, body, mentions]);
+    return result.rows[0];
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT * FROM defect_comments 
+      WHERE id = $1
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  // Удаленные комментарии остаются в ленте без текста, чтобы не терялся контекст обсуждения
+  async findByDefectId(defectId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const countQuery = `
+      SELECT COUNT(*) as total 
+      FROM defect_comments 
+      WHERE defect_id = $1
+    `;
+
+    const commentsQuery = `
+      SELECT id, defect_id, author_id,
+        CASE WHEN deleted_at IS NULL THEN body END AS body,
+        CASE WHEN deleted_at IS NULL THEN mentions ELSE '{}' END AS mentions,
+        created_at, updated_at, deleted_at
+      FROM defect_comments 
+      WHERE defect_id = $1
+      ORDER BY created_at ASC, id ASC
+      LIMIT $2 
+      OFFSET $3
+    `;
+
+    const [countResult, commentsResult] = await Promise.all([
+      pool.query(countQuery, [defectId]),
+      pool.query(commentsQuery, [defectId, limit, offset])
+    ]);
+
+    return {
+      comments: commentsResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  async update(id, { body, mentions }) {
+    const query = `
+      UPDATE defect_comments 
+      SET body = $2, mentions = $3
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id, body, mentions]);
+    return result.rows[0];
+  }
+
+  async softDelete(id) {
+    const query = `
+      UPDATE defect_comments 
+      SET deleted_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+}
+
+class WebhookRepository {
+  async createSubscription(subscriptionData) {
+    const { url, eventTypes, secret, description, createdBy } = subscriptionData;
+    const query = `
+      INSERT INTO webhook_subscriptions (url, event_types, secret, description, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [url, eventTypes, secret, description, createdBy]);
+    return result.rows[0];
+  }
+
+  async findSubscriptions() {
+    const query = `
+      SELECT * FROM webhook_subscriptions 
+      ORDER BY created_at DESC
+    `;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  async findSubscriptionById(id) {
+    const query = `
+      SELECT * FROM webhook_subscriptions 
+      WHERE id = $1
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async updateSubscription(id, updates) {
+    const { url, eventTypes, secret, description, active } = updates;
+
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (url !== undefined) {
+      fields.push(`url = $${paramCount++}`);
+      values.push(url);
+    }
+    if (eventTypes !== undefined) {
+      fields.push(`event_types = $${paramCount++}`);
+      values.push(eventTypes);
+    }
+    if (secret !== undefined) {
+      fields.push(`secret = $${paramCount++}`);
+      values.push(secret);
+    }
+    if (description !== undefined) {
+      fields.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+    if (active !== undefined) {
+      fields.push(`active = $${paramCount++}`);
+      values.push(active);
+    }
+
+    if (fields.length === 0) {
+      return this.findSubscriptionById(id);
+    }
+
+    values.push(id);
+    const query = `
+      UPDATE webhook_subscriptions 
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  async deleteSubscription(id) {
+    const query = 'DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id';
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  // Повторная доставка того же события из outbox не создает дубликатов
+  async createDeliveriesForEvent(event) {
+    const query = `
+      INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+      SELECT id, $1, $2, $3
+      FROM webhook_subscriptions
+      WHERE active AND $2 = ANY(event_types)
+      ON CONFLICT (subscription_id, event_id) DO NOTHING
+    `;
+
+    const result = await pool.query(query, [event.id, event.type, JSON.stringify(event)]);
+    return result.rowCount;
+  }
+
+  async findDeliveries(subscriptionId, { page = 1, limit = 20, status } = {}) {
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE subscription_id = $1';
+    const params = [subscriptionId];
+
+    if (status) {
+      whereClause += ' AND status = $2';
+      params.push(status);
+    }
+
+    const countQuery = `
+      SELECT COUNT(*) as total 
+      FROM webhook_deliveries 
+      ${whereClause}
+    `;
+
+    const deliveriesQuery = `
+      SELECT id, subscription_id, event_id, event_type, status, attempts, next_attempt_at,
+        last_response_status, last_error, delivered_at, created_at
+      FROM webhook_deliveries 
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} 
+      OFFSET $${params.length + 2}
+    `;
+
+    const [countResult, deliveriesResult] = await Promise.all([
+      pool.query(countQuery, params),
+      pool.query(deliveriesQuery, [...params, limit, offset])
+    ]);
+
+    return {
+      deliveries: deliveriesResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  async findDeliveryById(id) {
+    const query = `
+      SELECT * FROM webhook_deliveries 
+      WHERE id = $1
+      LIMIT 1
+    `;
+
     const result = await pool.query(query, [id]);
     return result.rows[0];
   }
+
+  async findDeliveryAttempts(deliveryId) {
+    const query = `
+      SELECT * FROM webhook_delivery_attempts 
+      WHERE delivery_id = $1
+      ORDER BY attempted_at DESC
+    `;
+
+    const result = await pool.query(query, [deliveryId]);
+    return result.rows;
+  }
+
+  // Доставка получает новый набор попыток и отправляется при ближайшем проходе диспетчера
+  async redeliver(id) {
+    const query = `
+      UPDATE webhook_deliveries 
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), delivered_at = NULL
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  // Доставки забираются одним коротким запросом: next_attempt_at сдвигается на claimSeconds, и другие экземпляры
+  // (SKIP LOCKED) их не видят. Запросы к внешним адресам идут вне транзакции и не держат блокировки и соединение пула;
+  // если экземпляр упал до записи результата, доставка снова станет доступна после окончания аренды
+  async claimPending(limit, claimSeconds) {
+    const { rows } = await pool.query(`
+      WITH claimed AS (
+        UPDATE webhook_deliveries
+        SET next_attempt_at = NOW() + make_interval(secs => $2)
+        WHERE id IN (
+          SELECT d.id
+          FROM webhook_deliveries d
+          JOIN webhook_subscriptions s ON s.id = d.subscription_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.active
+          ORDER BY d.next_attempt_at
+          LIMIT $1
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT claimed.*, s.url, s.secret
+      FROM claimed
+      JOIN webhook_subscriptions s ON s.id = claimed.subscription_id
+      ORDER BY claimed.created_at
+    `, [limit, claimSeconds]);
+
+    return rows;
+  }
+
+  // Попытка и новый статус доставки записываются вместе
+  async recordAttempt(delivery, result, { maxAttempts, retryBaseSeconds }) {
+    const attempts = delivery.attempts + 1;
+
+    await withTransaction(async (client) => {
+      await client.query(`
+        INSERT INTO webhook_delivery_attempts (delivery_id, response_status, response_body, error, duration_ms)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [delivery.id, result.status || null, result.body || null, result.error || null, result.durationMs]);
+
+      if (result.ok) {
+        await client.query(`
+          UPDATE webhook_deliveries
+          SET status = 'succeeded', attempts = $2, delivered_at = NOW(),
+              last_response_status = $3, last_error = NULL
+          WHERE id = $1
+        `, [delivery.id, attempts, result.status]);
+      } else {
+        await client.query(`
+          UPDATE webhook_deliveries
+          SET status = $5,
+              attempts = $2,
+              last_response_status = $3,
+              last_error = $4,
+              next_attempt_at = NOW() + make_interval(secs => $6)
+          WHERE id = $1
+        `, [
+          delivery.id, attempts, result.status || null, result.error || null,
+          attempts >= maxAttempts ? 'failed' : 'pending',
+          retryBaseSeconds * Math.pow(2, attempts - 1)
+        ]);
+      }
+    });
+  }
+
+  // send(delivery) не бросает исключений и возвращает { ok, status, body, error, durationMs }
+  async processPending(limit, send, { maxAttempts, retryBaseSeconds, claimSeconds }) {
+    const deliveries = await this.claimPending(limit, claimSeconds);
+    let succeeded = 0;
+
+    for (const delivery of deliveries) {
+      const result = await send(delivery);
+      if (result.ok) {
+        succeeded++;
+      }
+      await this.recordAttempt(delivery, result, { maxAttempts, retryBaseSeconds });
+    }
+
+    return { processed: deliveries.length, succeeded };
+  }
 }
 
 module.exports = {
   projectRepository: new ProjectRepository(),
   defectRepository: new DefectRepository(),
+  attachmentRepository: new AttachmentRepository(),
+  commentRepository: new CommentRepository(),
+  projectMemberRepository: new ProjectMemberRepository(),
+  webhookRepository: new WebhookRepository(),
+  auditRepository,
+  outboxRepository,
   pool
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const sharp = require('sharp');
+
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || '20') * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+const THUMBNAIL_SIZE = 320;
+
+const ALLOWED_TYPES = {
+  'image/jpeg': { extension: '.jpg', image: true },
+  'image/png': { extension: '.png', image: true },
+  'image/webp': { extension: '.webp', image: true },
+  'application/pdf': { extension: '.pdf', image: false }
+};
+
+// Тип определяется по сигнатуре файла, заявленный клиентом Content-Type не учитывается
+const detectMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+};
+
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality: 80 })
+  .toBuffer();
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_TYPES,
+  detectMimeType,
+  createThumbnail
+};
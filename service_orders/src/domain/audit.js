@@ -0,0 +1,46 @@
+const Joi = require('joi');
+
+// Служебные поля не попадают в историю изменений
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+const normalize = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+};
+
+// Пополевой diff двух версий строки: { field: { from, to } }.
+// Для создания before = null, для удаления after = null.
+const diffChanges = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+const auditContext = (req) => ({
+  actorId: req.user ? req.user.id : null,
+  requestId: req.headers['x-request-id'] || null
+});
+
+// Параметры постраничной истории изменений проекта и дефекта
+const historyQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+module.exports = { diffChanges, auditContext, historyQuerySchema };
@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const { DEFECT_STATUSES } = require('./defectWorkflow');
+const { cursorQuery } = require('../../../config/pagination');
+
+const DEFECT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Поля, по которым разрешена сортировка; relevance — только вместе с поиском q
+const DEFECT_SORT_FIELDS = ['createdAt', 'updatedAt', 'severity', 'status', 'title'];
+
+// Списки в query-параметрах передаются через запятую: severity=high,critical
+const custom = Joi.extend({
+  type: 'list',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      return { value: value.split(',').map(item => item.trim()).filter(Boolean) };
+    }
+  }
+});
+
+// Минус перед полем — сортировка по убыванию: sort=-severity,createdAt
+const sortList = (fields) => custom.list()
+  .items(Joi.string().valid(...fields.flatMap(field => [field, `-${field}`])))
+  .unique((a, b) => a.replace(/^-/, '') === b.replace(/^-/, ''))
+  .max(3);
+
+// me — текущий пользователь, none — дефекты без исполнителя
+const userFilter = (...keywords) => Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid(...keywords));
+
+const defectListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  q: Joi.string().trim().min(2).max(200),
+  status: custom.list().items(Joi.string().valid(...DEFECT_STATUSES)).unique(),
+  severity: custom.list().items(Joi.string().valid(...DEFECT_SEVERITIES)).unique(),
+  assigneeId: userFilter('me', 'none'),
+  reporterId: userFilter('me'),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso().min(Joi.ref('createdFrom')),
+  updatedFrom: Joi.date().iso(),
+  updatedTo: Joi.date().iso().min(Joi.ref('updatedFrom')),
+  sort: Joi.when('q', {
+    is: Joi.exist(),
+    then: sortList([...DEFECT_SORT_FIELDS, 'relevance']),
+    otherwise: sortList(DEFECT_SORT_FIELDS)
+  }),
+  ...cursorQuery
+});
+
+// Список дефектов по всем проектам пользователя: те же фильтры плюс область и ограничение по проектам
+const DEFECT_INBOX_SCOPES = ['all', 'managed'];
+
+const defectInboxQuerySchema = defectListQuerySchema.keys({
+  scope: Joi.string().valid(...DEFECT_INBOX_SCOPES).default('all'),
+  projectId: custom.list().items(Joi.string().uuid()).unique().max(50)
+});
+
+const resolveUser = (value, user) => (value === 'me' ? user.id : value);
+
+// Переводит проверенные query-параметры в фильтры DefectRepository.
+// Без явной сортировки при поиске первыми идут наиболее релевантные, иначе — новые
+const toDefectFilters = (query, user) => {
+  const sort = query.sort || (query.q ? ['-relevance', '-createdAt'] : ['-createdAt']);
+
+  return {
+    page: query.page,
+    limit: query.limit,
+    cursor: query.cursor,
+    includeTotal: query.includeTotal,
+    search: query.q,
+    statuses: query.status,
+    severities: query.severity,
+    assigneeId: resolveUser(query.assigneeId, user),
+    reporterId: resolveUser(query.reporterId, user),
+    createdFrom: query.createdFrom,
+    createdTo: query.createdTo,
+    updatedFrom: query.updatedFrom,
+    updatedTo: query.updatedTo,
+    projectIds: query.projectId,
+    sort: sort.map(item => ({
+      field: item.replace(/^-/, ''),
+      direction: item.startsWith('-') ? 'desc' : 'asc'
+    }))
+  };
+};
+
+module.exports = {
+  DEFECT_SEVERITIES,
+  DEFECT_SORT_FIELDS,
+  DEFECT_INBOX_SCOPES,
+  defectListQuerySchema,
+  defectInboxQuerySchema,
+  toDefectFilters
+};
@@ -0,0 +1,81 @@
+// Жизненный цикл дефекта. Для каждого перехода указано, кто может его выполнить
+// и какие поля обязательны. manager и project_owner — роли пользователя в проекте, admin — глобальная роль,
+// reporter и assignee — роли относительно самого дефекта.
+const DEFECT_TRANSITIONS = {
+  reported: {
+    in_progress: { roles: ['assignee', 'manager', 'admin'] },
+    closed: { roles: ['manager', 'admin'], requires: ['comment'] }
+  },
+  in_progress: {
+    resolved: { roles: ['assignee', 'manager', 'admin'], requires: ['resolutionNote'] },
+    reported: { roles: ['assignee', 'manager', 'admin'], requires: ['comment'] }
+  },
+  resolved: {
+    closed: { roles: ['reporter', 'project_owner', 'manager', 'admin'] },
+    in_progress: { roles: ['reporter', 'project_owner', 'manager', 'admin'], requires: ['comment'] }
+  },
+  closed: {
+    in_progress: { roles: ['manager', 'admin'], requires: ['comment'] }
+  }
+};
+
+const DEFECT_STATUSES = Object.keys(DEFECT_TRANSITIONS);
+
+// access — результат createProjectAccess (см. domain/projectAccess)
+const getActorRoles = (user, defect, access) => {
+  const roles = [];
+
+  if (access.isAdmin) {
+    roles.push('admin');
+  }
+  if (access.role === 'manager') {
+    roles.push('manager');
+  }
+  if (access.role === 'owner') {
+    roles.push('project_owner');
+  }
+  if (defect.reporter_id === user.id) {
+    roles.push('reporter');
+  }
+  if (defect.assignee_id === user.id) {
+    roles.push('assignee');
+  }
+
+  return roles;
+};
+
+const getAllowedTransitions = (fromStatus, actorRoles) => {
+  const transitions = DEFECT_TRANSITIONS[fromStatus] || {};
+
+  return Object.entries(transitions)
+    .filter(([, rule]) => rule.roles.some(role => actorRoles.includes(role)))
+    .map(([toStatus, rule]) => ({ status: toStatus, requires: rule.requires || [] }));
+};
+
+// Возвращает { allowed: true } либо { allowed: false, reason, missing? }
+const checkTransition = (fromStatus, toStatus, actorRoles, payload = {}) => {
+  const rule = (DEFECT_TRANSITIONS[fromStatus] || {})[toStatus];
+
+  if (!rule) {
+    return { allowed: false, reason: 'INVALID_TRANSITION' };
+  }
+
+  if (!rule.roles.some(role => actorRoles.includes(role))) {
+    return { allowed: false, reason: 'TRANSITION_FORBIDDEN' };
+  }
+
+  const missing = (rule.requires || []).filter(field => !payload[field]);
+  if (missing.length > 0) {
+    return { allowed: false, reason: 'MISSING_FIELDS', missing };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  DEFECT_TRANSITIONS,
+  DEFECT_STATUSES,
+  getActorRoles,
+  getAllowedTransitions,
+  checkTransition
+};
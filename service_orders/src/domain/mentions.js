@@ -0,0 +1,15 @@
+// Упоминание записывается как @<id пользователя>, например:
+// "@123e4567-e89b-12d3-a456-426614174000 проверьте, пожалуйста"
+const MENTION_PATTERN = /@([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\b/gi;
+
+const MAX_MENTIONS = 20;
+
+const extractMentions = (body) => {
+  const ids = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    ids.add(match[1].toLowerCase());
+  }
+  return [...ids].slice(0, MAX_MENTIONS);
+};
+
+module.exports = { MAX_MENTIONS, extractMentions };
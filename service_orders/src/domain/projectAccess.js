@@ -0,0 +1,71 @@
+// Права доступа к проекту определяются ролью пользователя в project_members.
+// Глобальная роль admin имеет все права во всех проектах; остальные глобальные роли
+// (в том числе manager) доступа к чужим проектам не дают.
+const PROJECT_ROLES = ['owner', 'manager', 'engineer', 'client_viewer'];
+
+const ALL_ROLES = PROJECT_ROLES;
+const STAFF_ROLES = ['owner', 'manager', 'engineer'];
+const LEAD_ROLES = ['owner', 'manager'];
+
+const PROJECT_PERMISSIONS = {
+  'project:view': ALL_ROLES,
+  'project:update': LEAD_ROLES,
+  'project:delete': ['owner'],
+  'members:manage': LEAD_ROLES,
+  'defect:view': ALL_ROLES,
+  'defect:create': STAFF_ROLES,
+  'defect:update': LEAD_ROLES,
+  'defect:delete': LEAD_ROLES,
+  // Удаление чужих вложений и комментариев
+  'defect:moderate': LEAD_ROLES,
+  'attachment:create': STAFF_ROLES
+};
+
+// Какие роли участник может выдавать и отзывать: менеджер не может назначить
+// другого менеджера или владельца и не может понизить их
+const ASSIGNABLE_ROLES = {
+  owner: PROJECT_ROLES,
+  manager: ['engineer', 'client_viewer']
+};
+
+// Исполнителем дефекта может быть только участник, который работает над проектом
+const ASSIGNEE_ROLES = STAFF_ROLES;
+
+const createProjectAccess = (user, memberRole) => ({
+  role: memberRole || null,
+  isAdmin: (user.roles || []).includes('admin')
+});
+
+const can = (access, permission) => {
+  if (access.isAdmin) {
+    return true;
+  }
+  return access.role !== null && PROJECT_PERMISSIONS[permission].includes(access.role);
+};
+
+const canAssignRole = (access, role) =>
+  access.isAdmin || (ASSIGNABLE_ROLES[access.role] || []).includes(role);
+
+// Проекты, дефекты которых попадают в списки по всем проектам: admin видит все проекты,
+// остальные — те, где они участники; scope managed — только проекты, где пользователь владелец или менеджер
+const getProjectScope = (user, scope = 'all') => ({
+  userId: user.id,
+  allProjects: scope === 'all' && createProjectAccess(user).isAdmin,
+  roles: scope === 'managed' ? LEAD_ROLES : null
+});
+
+// Автор и исполнитель могут редактировать свой дефект, пока остаются участниками проекта
+const canUpdateDefect = (access, user, defect) =>
+  can(access, 'defect:update') ||
+  (can(access, 'defect:view') && (defect.reporter_id === user.id || defect.assignee_id === user.id));
+
+module.exports = {
+  PROJECT_ROLES,
+  PROJECT_PERMISSIONS,
+  ASSIGNEE_ROLES,
+  createProjectAccess,
+  can,
+  canAssignRole,
+  canUpdateDefect,
+  getProjectScope
+};
@@ -0,0 +1,31 @@
+// Брокер внутри процесса: события доставляются подписчикам этого же экземпляра сервиса.
+// Подходит для разработки, тестов и внутренних потребителей (например, вебхуков).
+class InProcessBroker {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  // type = '*' — подписка на все события
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+  }
+
+  // Ошибка любого подписчика считается ошибкой доставки, событие будет отправлено повторно
+  async publish(event) {
+    const handlers = [
+      ...(this.handlers.get(event.type) || []),
+      ...(this.handlers.get('*') || [])
+    ];
+
+    for (const handler of handlers) {
+      await handler(event);
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = InProcessBroker;
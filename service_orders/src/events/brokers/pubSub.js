@@ -0,0 +1,24 @@
+// Адаптер для брокеров с моделью publish(subject, message) — Redis Pub/Sub, NATS и т.п.
+// Клиент передается снаружи, поэтому локально его легко заменить заглушкой с тем же методом publish.
+class PubSubBroker {
+  constructor({ client, prefix = 'orders' }) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  subject(event) {
+    return `${this.prefix}.${event.type}.v${event.version}`;
+  }
+
+  async publish(event) {
+    await this.client.publish(this.subject(event), JSON.stringify(event));
+  }
+
+  async close() {
+    if (typeof this.client.quit === 'function') {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = PubSubBroker;
@@ -0,0 +1,109 @@
+const Joi = require('joi');
+
+// Каталог доменных событий сервиса заказов. Несовместимое изменение схемы payload
+// оформляется как новая версия события; потребители ориентируются на поле version.
+const projectStatus = Joi.string().valid('draft', 'active', 'completed', 'cancelled');
+const defectStatus = Joi.string().valid('reported', 'in_progress', 'resolved', 'closed');
+const severity = Joi.string().valid('low', 'medium', 'high', 'critical');
+const id = Joi.string().uuid();
+
+const EVENT_CATALOG = {
+  ProjectCreated: {
+    version: 1,
+    aggregateType: 'project',
+    schema: Joi.object({
+      projectId: id.required(),
+      ownerId: id.required(),
+      title: Joi.string().required(),
+      status: projectStatus.required()
+    })
+  },
+  ProjectStatusChanged: {
+    version: 1,
+    aggregateType: 'project',
+    schema: Joi.object({
+      projectId: id.required(),
+      oldStatus: projectStatus.required(),
+      newStatus: projectStatus.required()
+    })
+  },
+  ProjectDeleted: {
+    version: 1,
+    aggregateType: 'project',
+    schema: Joi.object({
+      projectId: id.required()
+    })
+  },
+  DefectReported: {
+    version: 1,
+    aggregateType: 'defect',
+    schema: Joi.object({
+      defectId: id.required(),
+      projectId: id.required(),
+      reporterId: id.required(),
+      title: Joi.string().required(),
+      severity: severity.required()
+    })
+  },
+  DefectAssigned: {
+    version: 1,
+    aggregateType: 'defect',
+    schema: Joi.object({
+      defectId: id.required(),
+      projectId: id.required(),
+      assigneeId: id.allow(null).required(),
+      previousAssigneeId: id.allow(null).required()
+    })
+  },
+  DefectStatusChanged: {
+    version: 1,
+    aggregateType: 'defect',
+    schema: Joi.object({
+      defectId: id.required(),
+      projectId: id.required(),
+      oldStatus: defectStatus.required(),
+      newStatus: defectStatus.required()
+    })
+  },
+  DefectResolved: {
+    version: 1,
+    aggregateType: 'defect',
+    schema: Joi.object({
+      defectId: id.required(),
+      projectId: id.required(),
+      resolutionNote: Joi.string().allow(null).required()
+    })
+  },
+  DefectDeleted: {
+    version: 1,
+    aggregateType: 'defect',
+    schema: Joi.object({
+      defectId: id.required(),
+      projectId: id.required()
+    })
+  }
+};
+
+const EVENT_TYPES = Object.keys(EVENT_CATALOG);
+
+// Бросает исключение, если событие не описано в каталоге или payload не соответствует схеме
+const describeEvent = (type, payload) => {
+  const definition = EVENT_CATALOG[type];
+  if (!definition) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const { error, value } = definition.schema.validate(payload);
+  if (error) {
+    throw new Error(`Invalid ${type} payload: ${error.message}`);
+  }
+
+  return {
+    type,
+    version: definition.version,
+    aggregateType: definition.aggregateType,
+    payload: value
+  };
+};
+
+module.exports = { EVENT_CATALOG, EVENT_TYPES, describeEvent };
@@ -0,0 +1,60 @@
+const InProcessBroker = require('./brokers/inProcess');
+const PubSubBroker = require('./brokers/pubSub');
+const { createOutboxRelay } = require('./relay');
+
+// Внутренняя шина для потребителей внутри сервиса (например, вебхуков);
+// события попадают в нее независимо от выбранного внешнего брокера
+const localBus = new InProcessBroker();
+
+// Внешний брокер выбирается переменной EVENT_BROKER: in-process (по умолчанию) или redis
+const createBroker = () => {
+  const driver = process.env.EVENT_BROKER || 'in-process';
+
+  switch (driver) {
+    case 'in-process':
+      return localBus;
+    case 'redis': {
+      const { createClient } = require('redis');
+      const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+      return new PubSubBroker({ client, prefix: process.env.EVENT_SUBJECT_PREFIX || 'orders' });
+    }
+    default:
+      throw new Error(`Unknown EVENT_BROKER: ${driver}`);
+  }
+};
+
+const broker = createBroker();
+let relay = null;
+
+// При повторной доставке внутренние подписчики тоже получат событие еще раз
+const publish = async (event) => {
+  await localBus.publish(event);
+  if (broker !== localBus) {
+    await broker.publish(event);
+  }
+};
+
+const subscribe = (type, handler) => localBus.subscribe(type, handler);
+
+const startRelay = (logger) => {
+  if (relay) {
+    return relay;
+  }
+
+  if (broker.client && typeof broker.client.connect === 'function') {
+    broker.client.on('error', (error) => logger.error(error, 'Event broker connection error'));
+    // Пока соединения нет, публикация завершается ошибкой и событие остается в outbox до следующей попытки
+    broker.client.connect().catch((error) => logger.error(error, 'Event broker connect error'));
+  }
+
+  relay = createOutboxRelay({
+    publish,
+    logger,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE || '50'),
+    intervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '1000')
+  });
+  relay.start();
+  return relay;
+};
+
+module.exports = { broker, subscribe, startRelay };
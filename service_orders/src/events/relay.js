@@ -0,0 +1,26 @@
+const { outboxRepository } = require('../db/queries');
+const PollingWorker = require('../utils/pollingWorker');
+
+// Периодически забирает неопубликованные события из outbox и передает их в publish.
+// Доставка "хотя бы один раз": событие помечается опубликованным только после успешного publish,
+// поэтому потребители должны быть идемпотентны (event.id уникален).
+const createOutboxRelay = ({ publish, logger, batchSize = 50, intervalMs = 1000 }) => new PollingWorker({
+  name: 'Outbox relay',
+  logger,
+  batchSize,
+  intervalMs,
+  task: async (limit) => {
+    const result = await outboxRepository.processPending(limit, publish);
+
+    for (const failure of result.failures) {
+      logger.warn({ err: failure.error, eventId: failure.id }, `Failed to publish event ${failure.type}`);
+    }
+    if (result.published > 0) {
+      logger.debug(`Published ${result.published} event(s) from outbox`);
+    }
+
+    return result.processed;
+  }
+});
+
+module.exports = { createOutboxRelay };
@@ -1,18 +1,39 @@
+// Переменные окружения загружаются до модулей, которые читают их при подключении
+require('dotenv').config();
+// Трассировка подключается раньше express, pino и pg: инструментирование подменяет их при загрузке
+const { initTracing, shutdownTracing } = require('../../config/tracing');
+initTracing('service-orders', { pg: true, undici: true });
 const express = require('express');
 const pino = require('pino');
 const pinoHttp = require('pino-http');
 const cors = require('cors');
+const rTracer = require('cls-rtracer');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
-require('dotenv').config();
+const { startRelay } = require('./events');
+const { startWebhooks } = require('./webhooks');
+const { httpMetrics, registerPoolMetrics, startBusinessMetrics } = require('./metrics');
+const { pool } = require('./db/queries');
+const revokedTokens = require('../../config/revokedTokens');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
-const httpLogger = pinoHttp({ logger });
+// requestId — X-Request-ID, выданный gateway; traceId и spanId активного спана добавляет инструментирование pino
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  mixin: () => {
+    return { requestId: rTracer.id() };
+  }
+});
+const httpLogger = pinoHttp({
+  logger,
+  genReqId: () => rTracer.id()
+});
 
+app.use(rTracer.expressMiddleware({ useHeader: true, headerName: 'X-Request-ID', echoHeader: true }));
 app.use(httpLogger);
+app.use(httpMetrics);
 app.use(cors());
 app.use(express.json());
 
@@ -30,21 +51,25 @@ app.use((req, res, next) => {
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 const projectsRoutes = require('./routes/projects');
+const membersRoutes = require('./routes/members');
 const defectsRoutes = require('./routes/defects');
+const attachmentsRoutes = require('./routes/attachments');
+const commentsRoutes = require('./routes/comments');
+const webhooksRoutes = require('./routes/webhooks');
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
 
 app.use('/api/v1/orders', projectsRoutes);
+app.use('/api/v1/orders', membersRoutes);
 app.use('/api/v1/orders', defectsRoutes);
+app.use('/api/v1/orders', attachmentsRoutes);
+app.use('/api/v1/orders', commentsRoutes);
+app.use('/api/v1/orders', webhooksRoutes);
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    success: true, 
-    data: { 
-      service: 'orders', 
-      status: 'ok',
-      timestamp: new Date().toISOString()
-    } 
-  });
-});
+app.use(healthRoutes);
+app.use(metricsRoutes);
+
+registerPoolMetrics(pool);
 
 app.get('/', (req, res) => {
   res.json({
@@ -57,20 +82,62 @@ app.get('/', (req, res) => {
         list: 'GET /api/v1/orders/projects',
         get: 'GET /api/v1/orders/projects/:id',
         update: 'PUT /api/v1/orders/projects/:id',
+        history: 'GET /api/v1/orders/projects/:id/history',
+        members: 'GET /api/v1/orders/projects/:id/members',
+        addMember: 'POST /api/v1/orders/projects/:id/members',
+        changeMemberRole: 'PATCH /api/v1/orders/projects/:id/members/:userId',
+        removeMember: 'DELETE /api/v1/orders/projects/:id/members/:userId',
         delete: 'DELETE /api/v1/orders/projects/:id'
       },
       defects: {
         create: 'POST /api/v1/orders/defects',
-        get: 'GET /api/v1/orders/defects/:id',
+        inbox: 'GET /api/v1/orders/defects',
         list: 'GET /api/v1/orders/defects/project/:projectId',
+        get: 'GET /api/v1/orders/defects/:id',
         update: 'PUT /api/v1/orders/defects/:id',
+        transition: 'POST /api/v1/orders/defects/:id/transitions',
+        transitions: 'GET /api/v1/orders/defects/:id/transitions',
+        history: 'GET /api/v1/orders/defects/:id/history',
+        uploadAttachments: 'POST /api/v1/orders/defects/:id/attachments',
+        attachments: 'GET /api/v1/orders/defects/:id/attachments',
+        downloadAttachment: 'GET /api/v1/orders/defects/:id/attachments/:attachmentId',
+        addComment: 'POST /api/v1/orders/defects/:id/comments',
+        comments: 'GET /api/v1/orders/defects/:id/comments',
         delete: 'DELETE /api/v1/orders/defects/:id'
-      }
+      },
+      webhooks: {
+        create: 'POST /api/v1/orders/webhooks',
+        list: 'GET /api/v1/orders/webhooks',
+        get: 'GET /api/v1/orders/webhooks/:id',
+        update: 'PUT /api/v1/orders/webhooks/:id',
+        delete: 'DELETE /api/v1/orders/webhooks/:id',
+        deliveries: 'GET /api/v1/orders/webhooks/:id/deliveries',
+        delivery: 'GET /api/v1/orders/webhooks/deliveries/:deliveryId',
+        redeliver: 'POST /api/v1/orders/webhooks/deliveries/:deliveryId/redeliver'
+      },
+      health: {
+        live: 'GET /health/live',
+        ready: 'GET /health/ready'
+      },
+      metrics: 'GET /metrics'
     }
   });
 });
 
+process.once('SIGTERM', () => {
+  shutdownTracing()
+    .catch((error) => logger.error(error, 'Tracing shutdown error'))
+    .finally(() => process.exit(0));
+});
+
 app.listen(PORT, () => {
+  // Список отзыва нужен для JWT, переданных напрямую, минуя gateway
+  revokedTokens.start(logger);
+  // Подписчик вебхуков регистрируется на внутренней шине до первой публикации из outbox
+  startWebhooks(logger);
+  startBusinessMetrics();
+  startRelay(logger);
+
   logger.info(`Orders service running on port ${PORT}`);
   logger.info(`Swagger UI available at http://localhost:${PORT}/api-docs`);
 });
\ No newline at end of file
@@ -0,0 +1,113 @@
+const client = require('prom-client');
+const { outboxRepository } = require('../db/queries');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// RED-метрики: число запросов, доля ошибок (по status_code) и длительность
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Количество обработанных HTTP-запросов',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Длительность обработки HTTP-запросов',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const defectsCreatedTotal = new client.Counter({
+  name: 'defects_created_total',
+  help: 'Количество зарегистрированных дефектов',
+  labelNames: ['severity'],
+  registers: [register]
+});
+
+const projectStatusTransitionsTotal = new client.Counter({
+  name: 'project_status_transitions_total',
+  help: 'Переходы проектов между статусами',
+  labelNames: ['from', 'to'],
+  registers: [register]
+});
+
+const defectStatusTransitionsTotal = new client.Counter({
+  name: 'defect_status_transitions_total',
+  help: 'Переходы дефектов между статусами',
+  labelNames: ['from', 'to'],
+  registers: [register]
+});
+
+// Метка route — шаблон маршрута (/api/v1/orders/defects/project/:projectId), а не фактический путь,
+// иначе каждый id порождал бы отдельный временной ряд
+const routeTemplate = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  return `${req.baseUrl}${req.route.path}`;
+};
+
+const httpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeTemplate(req), status_code: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+  next();
+};
+
+// Значения читаются из пула в момент сбора метрик
+const registerPoolMetrics = (pool) => {
+  new client.Gauge({
+    name: 'pg_pool_total_connections',
+    help: 'Открытые соединения пула PostgreSQL',
+    registers: [register],
+    collect() {
+      this.set(pool.totalCount);
+    }
+  });
+  new client.Gauge({
+    name: 'pg_pool_idle_connections',
+    help: 'Свободные соединения пула PostgreSQL',
+    registers: [register],
+    collect() {
+      this.set(pool.idleCount);
+    }
+  });
+  new client.Gauge({
+    name: 'pg_pool_waiting_clients',
+    help: 'Запросы, ожидающие соединения из пула PostgreSQL',
+    registers: [register],
+    collect() {
+      this.set(pool.waitingCount);
+    }
+  });
+};
+
+// Бизнес-счетчики считаются по доменным событиям в момент их записи в outbox (после фиксации транзакции),
+// а не при публикации: повторная публикация из outbox не учитывает событие дважды
+const BUSINESS_COUNTERS = {
+  DefectReported: (event) => defectsCreatedTotal.inc({ severity: event.payload.severity }),
+  DefectStatusChanged: (event) => defectStatusTransitionsTotal.inc({ from: event.payload.oldStatus, to: event.payload.newStatus }),
+  ProjectStatusChanged: (event) => projectStatusTransitionsTotal.inc({ from: event.payload.oldStatus, to: event.payload.newStatus })
+};
+
+const startBusinessMetrics = () => {
+  outboxRepository.onRecorded((event) => {
+    if (BUSINESS_COUNTERS[event.type]) {
+      BUSINESS_COUNTERS[event.type](event);
+    }
+  });
+};
+
+const metricsHandler = async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+};
+
+module.exports = { register, httpMetrics, registerPoolMetrics, startBusinessMetrics, metricsHandler };
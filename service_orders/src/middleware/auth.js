@@ -1,26 +1,37 @@
 const jwt = require('jsonwebtoken');
+const { hasIdentityHeaders, verifyIdentity } = require('../../../config/serviceIdentity');
+const { JWT_ALGORITHMS, getVerificationKey } = require('../../../config/jwks');
+const { isRevoked } = require('../../../config/revokedTokens');
 
-const authenticateToken = (req, res, next) => {
-  console.log('Headers received:', {
-    'x-user-id': req.headers['x-user-id'],
-    'x-user-email': req.headers['x-user-email'],
-    'x-user-roles': req.headers['x-user-roles'],
-    'authorization': req.headers['authorization'] ? 'present' : 'missing'
-  });
+// Только для локальной разработки: запросы без авторизации выполняются от имени тестового пользователя
+const ALLOW_ANONYMOUS_DEV_USER = process.env.ALLOW_ANONYMOUS_DEV_USER === 'true'
+  && process.env.NODE_ENV !== 'production';
 
-  // Приоритет 1: заголовки от Gateway
-  if (req.headers['x-user-id']) {
-    try {
-      req.user = {
-        id: req.headers['x-user-id'],
-        email: req.headers['x-user-email'] || '',
-        roles: req.headers['x-user-roles'] ? JSON.parse(req.headers['x-user-roles']) : ['engineer']
-      };
-      console.log('User from gateway headers:', req.user);
-      return next();
-    } catch (error) {
-      console.error('Error parsing gateway headers:', error);
+const DEV_USER = {
+  id: 'a4841802-6006-42ec-9074-65fdf2138880',
+  email: 'test@example.com',
+  roles: ['engineer']
+};
+
+const unauthorized = (res, code, message) => res.status(401).json({
+  success: false,
+  error: {
+    code,
+    message
+  }
+});
+
+const authenticateToken = (req, res, next) => {
+  // Приоритет 1: подписанные заголовки от Gateway; неподписанные или устаревшие отклоняются
+  if (hasIdentityHeaders(req)) {
+    const { user, error } = verifyIdentity(req);
+    if (error) {
+      req.log.warn(`Rejected gateway identity: ${error}`);
+      return unauthorized(res, 'INVALID_IDENTITY', 'Заголовки пользователя не подписаны gateway или устарели');
     }
+
+    req.user = user;
+    return next();
   }
 
   // Приоритет 2: JWT токен напрямую
@@ -28,39 +39,48 @@ const authenticateToken = (req, res, next) => {
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
-    console.log('Trying to verify JWT token directly');
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    return jwt.verify(token, getVerificationKey, { algorithms: JWT_ALGORITHMS }, (err, decoded) => {
+      if (err) {
+        req.log.debug(`JWT verification error: ${err.message}`);
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INVALID_TOKEN',
+            message: 'Неверный или просроченный токен'
+          }
+        });
+      }
+
+      if (isRevoked(decoded.jti)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'TOKEN_REVOKED',
+            message: 'Токен отозван'
+          }
+        });
+      }
+
       req.user = {
         id: decoded.id,
         email: decoded.email,
         roles: decoded.roles || ['engineer']
       };
-      console.log('User from JWT token:', req.user);
-      return next();
-    } catch (error) {
-      console.error('JWT verification error:', error.message);
-    }
+      next();
+    });
   }
 
-  // Если ничего не сработало
-  console.log('No valid auth found, using default user');
-  req.user = { 
-    id: 'a4841802-6006-42ec-9074-65fdf2138880',
-    email: 'test@example.com',
-    roles: ['engineer']
-  };
-  
-  next();
+  if (ALLOW_ANONYMOUS_DEV_USER) {
+    req.log.warn('No valid auth found, using dev user (ALLOW_ANONYMOUS_DEV_USER)');
+    req.user = DEV_USER;
+    return next();
+  }
+
+  return unauthorized(res, 'TOKEN_REQUIRED', 'Требуется токен авторизации');
 };
 
 const authorizeRoles = (...allowedRoles) => {
   return (req, res, next) => {
-    console.log('Checking roles:', {
-      userRoles: req.user?.roles,
-      allowedRoles: allowedRoles
-    });
-    
     if (!req.user || !req.user.roles) {
       return res.status(403).json({
         success: false,
@@ -0,0 +1,59 @@
+const { projectRepository, defectRepository } = require('../db/queries');
+const { can } = require('../domain/projectAccess');
+const { loadProjectAccess } = require('./projectAccess');
+
+// Загружает дефект, его проект и права пользователя в req.defect / req.project / req.projectAccess.
+// Просматривать дефект могут участники проекта и администраторы.
+const requireDefectAccess = async (req, res, next) => {
+  try {
+    const defect = await defectRepository.findById(req.params.id);
+
+    if (!defect) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DEFECT_NOT_FOUND',
+          message: 'Дефект не найден'
+        }
+      });
+    }
+
+    const project = await projectRepository.findById(defect.project_id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROJECT_NOT_FOUND',
+          message: 'Проект не найден'
+        }
+      });
+    }
+
+    const access = await loadProjectAccess(req.user, project);
+    if (!can(access, 'defect:view')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Нет доступа к этому дефекту'
+        }
+      });
+    }
+
+    req.defect = defect;
+    req.project = project;
+    req.projectAccess = access;
+    next();
+  } catch (error) {
+    req.log.error(error, 'Check defect access error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении дефекта'
+      }
+    });
+  }
+};
+
+module.exports = { requireDefectAccess };
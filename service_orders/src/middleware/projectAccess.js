@@ -0,0 +1,66 @@
+const { projectRepository, projectMemberRepository } = require('../db/queries');
+const { createProjectAccess, can } = require('../domain/projectAccess');
+
+const DENIED_MESSAGES = {
+  'project:update': 'Нет прав на обновление проекта',
+  'project:delete': 'Нет прав на удаление проекта',
+  'members:manage': 'Нет прав на управление участниками проекта',
+  'defect:create': 'Нет прав на создание дефектов в этом проекте',
+  'attachment:create': 'Нет прав на добавление вложений'
+};
+
+const loadProjectAccess = async (user, project) =>
+  createProjectAccess(user, await projectMemberRepository.findRole(project.id, user.id));
+
+const denyProjectAccess = (res, permission) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'FORBIDDEN',
+    message: DENIED_MESSAGES[permission] || 'Нет доступа к этому проекту'
+  }
+});
+
+// Загружает проект из req.params[param] в req.project, права пользователя — в req.projectAccess
+const requireProjectAccess = (permission, { param = 'id' } = {}) => async (req, res, next) => {
+  try {
+    const project = await projectRepository.findById(req.params[param]);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROJECT_NOT_FOUND',
+          message: 'Проект не найден'
+        }
+      });
+    }
+
+    const access = await loadProjectAccess(req.user, project);
+    if (!can(access, permission)) {
+      return denyProjectAccess(res, permission);
+    }
+
+    req.project = project;
+    req.projectAccess = access;
+    next();
+  } catch (error) {
+    req.log.error(error, 'Check project access error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении проекта'
+      }
+    });
+  }
+};
+
+// Проверяет право по уже загруженному req.projectAccess (после requireDefectAccess)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!can(req.projectAccess, permission)) {
+    return denyProjectAccess(res, permission);
+  }
+  next();
+};
+
+module.exports = { loadProjectAccess, denyProjectAccess, requireProjectAccess, requirePermission };
@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { attachmentRepository } = require('../db/queries');
+const { authenticateToken } = require('../middleware/auth');
+const { requireDefectAccess } = require('../middleware/defectAccess');
+const { requirePermission } = require('../middleware/projectAccess');
+const { can } = require('../domain/projectAccess');
+const { storage, deleteFiles } = require('../storage');
+const {
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_TYPES,
+  detectMimeType,
+  createThumbnail
+} = require('../domain/attachments');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: {
+          code: 'FILE_TOO_LARGE',
+          message: `Максимальный размер файла — ${Math.round(MAX_ATTACHMENT_SIZE / 1024 / 1024)} МБ`
+        }
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: err instanceof multer.MulterError
+          ? `Ошибка загрузки файлов: ${err.message}`
+          : 'Ожидается запрос multipart/form-data с полем files'
+      }
+    });
+  });
+};
+
+const findAttachment = async (req, res) => {
+  const attachment = await attachmentRepository.findById(req.params.attachmentId);
+
+  if (!attachment || attachment.defect_id !== req.defect.id) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'ATTACHMENT_NOT_FOUND',
+        message: 'Вложение не найдено'
+      }
+    });
+    return undefined;
+  }
+
+  return attachment;
+};
+
+const toAttachmentResponse = (attachment) => {
+  const baseUrl = `/api/v1/orders/defects/${attachment.defect_id}/attachments/${attachment.id}`;
+
+  return {
+    id: attachment.id,
+    defect_id: attachment.defect_id,
+    uploader_id: attachment.uploader_id,
+    original_name: attachment.original_name,
+    mime_type: attachment.mime_type,
+    size_bytes: Number(attachment.size_bytes),
+    download_url: baseUrl,
+    thumbnail_url: attachment.thumbnail_key ? `${baseUrl}/thumbnail` : null,
+    created_at: attachment.created_at
+  };
+};
+
+const sendFile = async (req, res, { key, contentType, contentLength, fileName }) => {
+  const stream = await storage.get(key);
+
+  res.setHeader('Content-Type', contentType);
+  if (contentLength) {
+    res.setHeader('Content-Length', contentLength);
+  }
+  res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  stream.on('error', (error) => {
+    req.log.error(error, 'Attachment stream error');
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/attachments:
+ *   post:
+ *     summary: Загрузить фото или документы к дефекту
+ *     description: Допустимые форматы — JPEG, PNG, WebP и PDF. Для изображений создается миниатюра.
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID дефекта
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Файлы загружены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Файлы не переданы или повреждены
+ *       403:
+ *         description: Наблюдателям заказчика добавлять вложения нельзя
+ *       413:
+ *         description: Файл слишком большой
+ *       415:
+ *         description: Недопустимый тип файла
+ */
+router.post('/defects/:id/attachments', authenticateToken, requireDefectAccess, requirePermission('attachment:create'), handleUpload, async (req, res) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Не передано ни одного файла'
+      }
+    });
+  }
+
+  // Сначала проверяем все файлы, чтобы не сохранять часть пакета
+  const prepared = [];
+  for (const file of files) {
+    const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8').slice(0, 255);
+    const mimeType = detectMimeType(file.buffer);
+
+    if (!mimeType) {
+      return res.status(415).json({
+        success: false,
+        error: {
+          code: 'UNSUPPORTED_MEDIA_TYPE',
+          message: `Недопустимый тип файла "${originalName}". Разрешены: ${Object.keys(ALLOWED_TYPES).join(', ')}`
+        }
+      });
+    }
+
+    let thumbnail = null;
+    if (ALLOWED_TYPES[mimeType].image) {
+      try {
+        thumbnail = await createThumbnail(file.buffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FILE',
+            message: `Не удалось обработать изображение "${originalName}"`
+          }
+        });
+      }
+    }
+
+    prepared.push({ file, originalName, mimeType, thumbnail });
+  }
+
+  const storedKeys = [];
+
+  try {
+    const attachments = [];
+
+    for (const { file, originalName, mimeType, thumbnail } of prepared) {
+      const baseKey = `defects/${req.defect.id}/${crypto.randomUUID()}`;
+      const storageKey = `${baseKey}${ALLOWED_TYPES[mimeType].extension}`;
+      const thumbnailKey = thumbnail ? `${baseKey}.thumb.jpg` : null;
+
+      await storage.put(storageKey, file.buffer, mimeType);
+      storedKeys.push(storageKey);
+
+      if (thumbnail) {
+        await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+        storedKeys.push(thumbnailKey);
+      }
+
+      attachments.push(await attachmentRepository.create({
+        defectId: req.defect.id,
+        uploaderId: req.user.id,
+        originalName,
+        mimeType,
+        sizeBytes: file.size,
+        storageKey,
+        thumbnailKey
+      }));
+    }
+
+    req.log.info(`Attachments uploaded to defect ${req.defect.id}: ${attachments.length}`);
+
+    res.status(201).json({
+      success: true,
+      data: attachments.map(toAttachmentResponse)
+    });
+  } catch (error) {
+    req.log.error(error, 'Upload attachments error');
+    await deleteFiles(storedKeys);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STORAGE_ERROR',
+        message: 'Ошибка при сохранении вложений'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/attachments:
+ *   get:
+ *     summary: Получить список вложений дефекта
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID дефекта
+ *     responses:
+ *       200:
+ *         description: Список вложений
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ */
+router.get('/defects/:id/attachments', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const attachments = await attachmentRepository.findByDefectId(req.defect.id);
+
+    res.json({
+      success: true,
+      data: attachments.map(toAttachmentResponse)
+    });
+  } catch (error) {
+    req.log.error(error, 'Get attachments error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении вложений'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Скачать вложение
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Содержимое файла
+ *       404:
+ *         description: Вложение не найдено
+ */
+router.get('/defects/:id/attachments/:attachmentId', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) {
+      return;
+    }
+
+    await sendFile(req, res, {
+      key: attachment.storage_key,
+      contentType: attachment.mime_type,
+      contentLength: attachment.size_bytes,
+      fileName: attachment.original_name
+    });
+  } catch (error) {
+    req.log.error(error, 'Download attachment error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STORAGE_ERROR',
+        message: 'Ошибка при получении файла'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/attachments/{attachmentId}/thumbnail:
+ *   get:
+ *     summary: Получить миниатюру изображения
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Миниатюра в формате JPEG
+ *       404:
+ *         description: Вложение или миниатюра не найдены
+ */
+router.get('/defects/:id/attachments/:attachmentId/thumbnail', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) {
+      return;
+    }
+
+    if (!attachment.thumbnail_key) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'THUMBNAIL_NOT_FOUND',
+          message: 'Для этого вложения нет миниатюры'
+        }
+      });
+    }
+
+    await sendFile(req, res, {
+      key: attachment.thumbnail_key,
+      contentType: 'image/jpeg',
+      fileName: `thumb-${attachment.original_name}`
+    });
+  } catch (error) {
+    req.log.error(error, 'Download thumbnail error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STORAGE_ERROR',
+        message: 'Ошибка при получении миниатюры'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Удалить вложение
+ *     description: Удалять может загрузивший файл пользователь, владелец проекта, менеджер или админ.
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Вложение удалено
+ *       403:
+ *         description: Нет прав на удаление
+ *       404:
+ *         description: Вложение не найдено
+ */
+router.delete('/defects/:id/attachments/:attachmentId', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) {
+      return;
+    }
+
+    const canDelete =
+      attachment.uploader_id === req.user.id ||
+      can(req.projectAccess, 'defect:moderate');
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Нет прав на удаление вложения'
+        }
+      });
+    }
+
+    const deleted = await attachmentRepository.delete(attachment.id);
+    if (deleted && deleted.fileErrors.length > 0) {
+      req.log.warn({ errors: deleted.fileErrors }, `Failed to delete files of attachment ${attachment.id}`);
+    }
+
+    req.log.info(`Attachment deleted: ${attachment.id}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Вложение успешно удалено' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Delete attachment error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при удалении вложения'
+      }
+    });
+  }
+});
+
+module.exports = router;
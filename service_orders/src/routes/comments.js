@@ -0,0 +1,432 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { commentRepository } = require('../db/queries');
+const { authenticateToken } = require('../middleware/auth');
+const { requireDefectAccess } = require('../middleware/defectAccess');
+const { can } = require('../domain/projectAccess');
+const { lookupUsers } = require('../clients/usersClient');
+const { extractMentions } = require('../domain/mentions');
+
+const commentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required()
+});
+
+const listCommentsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Оставляет только упоминания существующих пользователей
+const resolveMentions = async (req, body) => {
+  const ids = extractMentions(body);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const users = await lookupUsers(req, ids);
+  return users.map(user => user.id);
+};
+
+const findComment = async (req, res) => {
+  const comment = await commentRepository.findById(req.params.commentId);
+
+  if (!comment || comment.defect_id !== req.defect.id || comment.deleted_at) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'COMMENT_NOT_FOUND',
+        message: 'Комментарий не найден'
+      }
+    });
+    return undefined;
+  }
+
+  return comment;
+};
+
+const mentionsUnavailable = (req, res, error) => {
+  req.log.error(error, 'Resolve mentions error');
+  return res.status(502).json({
+    success: false,
+    error: {
+      code: 'USERS_SERVICE_UNAVAILABLE',
+      message: 'Не удалось проверить упомянутых пользователей, попробуйте позже'
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/comments:
+ *   post:
+ *     summary: Добавить комментарий к дефекту
+ *     description: Пользователей можно упомянуть в тексте как @<id пользователя>. Упоминания несуществующих пользователей игнорируются.
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID дефекта
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "@123e4567-e89b-12d3-a456-426614174000 посмотрите, пожалуйста, трещину на фото"
+ *     responses:
+ *       201:
+ *         description: Комментарий добавлен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Ошибка валидации
+ *       502:
+ *         description: Сервис пользователей недоступен
+ */
+router.post('/defects/:id/comments', authenticateToken, requireDefectAccess, async (req, res) => {
+  const { error, value } = commentSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  let mentions;
+  try {
+    mentions = await resolveMentions(req, value.body);
+  } catch (error) {
+    return mentionsUnavailable(req, res, error);
+  }
+
+  try {
+    const comment = await commentRepository.create({
+      defectId: req.defect.id,
+      authorId: req.user.id,
+      body: value.body,
+      mentions
+    });
+
+    req.log.info(`Comment added to defect ${req.defect.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    req.log.error(error, 'Create comment error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при добавлении комментария'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/comments:
+ *   get:
+ *     summary: Получить комментарии к дефекту
+ *     description: Комментарии упорядочены от старых к новым. Удаленные комментарии возвращаются без текста.
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID дефекта
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *           minimum: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: Список комментариев
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Comment'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *       400:
+ *         description: Некорректные параметры пагинации
+ */
+router.get('/defects/:id/comments', authenticateToken, requireDefectAccess, async (req, res) => {
+  const { error, value } = listCommentsQuerySchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const { page, limit } = value;
+
+  try {
+    const { comments, total } = await commentRepository.findByDefectId(req.defect.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get comments error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении комментариев'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Изменить свой комментарий
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Комментарий изменен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Comment'
+ *       403:
+ *         description: Можно изменять только свои комментарии
+ *       404:
+ *         description: Комментарий не найден
+ */
+router.put('/defects/:id/comments/:commentId', authenticateToken, requireDefectAccess, async (req, res) => {
+  const { error, value } = commentSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+
+    if (comment.author_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Можно изменять только свои комментарии'
+        }
+      });
+    }
+
+    let mentions;
+    try {
+      mentions = await resolveMentions(req, value.body);
+    } catch (error) {
+      return mentionsUnavailable(req, res, error);
+    }
+
+    const updatedComment = await commentRepository.update(comment.id, { body: value.body, mentions });
+
+    res.json({
+      success: true,
+      data: updatedComment
+    });
+  } catch (error) {
+    req.log.error(error, 'Update comment error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при изменении комментария'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Удалить комментарий
+ *     description: Удалять может автор комментария, менеджер или админ. Комментарий остается в ленте без текста.
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Комментарий удален
+ *       403:
+ *         description: Нет прав на удаление
+ *       404:
+ *         description: Комментарий не найден
+ */
+router.delete('/defects/:id/comments/:commentId', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+
+    const canDelete =
+      comment.author_id === req.user.id ||
+      can(req.projectAccess, 'defect:moderate');
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Нет прав на удаление комментария'
+        }
+      });
+    }
+
+    await commentRepository.softDelete(comment.id);
+    req.log.info(`Comment deleted: ${comment.id}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Комментарий успешно удален' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Delete comment error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при удалении комментария'
+      }
+    });
+  }
+});
+
+module.exports = router;
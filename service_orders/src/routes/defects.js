@@ -1,8 +1,20 @@
 const express = require('express');
 const Joi = require('joi');
 const router = express.Router();
-const { projectRepository, defectRepository } = require('../db/queries');
+const { projectRepository, defectRepository, auditRepository, projectMemberRepository } = require('../db/queries');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { requireDefectAccess } = require('../middleware/defectAccess');
+const { requireProjectAccess, loadProjectAccess, denyProjectAccess } = require('../middleware/projectAccess');
+const { ASSIGNEE_ROLES, can, canUpdateDefect, getProjectScope } = require('../domain/projectAccess');
+const {
+  DEFECT_STATUSES,
+  getActorRoles,
+  getAllowedTransitions,
+  checkTransition
+} = require('../domain/defectWorkflow');
+const { auditContext, historyQuerySchema } = require('../domain/audit');
+const { defectListQuerySchema, defectInboxQuerySchema, toDefectFilters } = require('../domain/defectFilters');
+const { paginationMeta, invalidCursorResponse } = require('../../../config/pagination');
 
 const createDefectSchema = Joi.object({
   projectId: Joi.string().uuid().required(),
@@ -19,7 +31,58 @@ const updateDefectSchema = Joi.object({
   severity: Joi.string().valid('low', 'medium', 'high', 'critical'),
   status: Joi.string().valid('reported', 'in_progress', 'resolved', 'closed'),
   assigneeId: Joi.string().uuid().allow(null, ''),
-  location: Joi.string().min(3).max(500)
+  location: Joi.string().min(3).max(500),
+  resolutionNote: Joi.string().min(3).max(5000),
+  comment: Joi.string().min(3).max(2000)
+});
+
+const transitionSchema = Joi.object({
+  status: Joi.string().valid(...DEFECT_STATUSES).required(),
+  resolutionNote: Joi.string().min(3).max(5000),
+  comment: Joi.string().min(3).max(2000)
+});
+
+// Ответ на отклоненный переход: вместе с ошибкой возвращаем допустимые для пользователя статусы
+const rejectTransition = (res, defect, toStatus, actorRoles, check) => {
+  const allowedTransitions = getAllowedTransitions(defect.status, actorRoles);
+
+  if (check.reason === 'MISSING_FIELDS') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `Для перехода в статус "${toStatus}" обязательны поля: ${check.missing.join(', ')}`,
+        details: { currentStatus: defect.status, missing: check.missing }
+      }
+    });
+  }
+
+  const forbidden = check.reason === 'TRANSITION_FORBIDDEN';
+
+  return res.status(forbidden ? 403 : 409).json({
+    success: false,
+    error: {
+      code: check.reason,
+      message: forbidden
+        ? `Недостаточно прав для перевода дефекта из статуса "${defect.status}" в "${toStatus}"`
+        : `Переход из статуса "${defect.status}" в "${toStatus}" недопустим`,
+      details: { currentStatus: defect.status, allowedTransitions }
+    }
+  });
+};
+
+// Исполнителем может быть только участник проекта, работающий над ним (не client_viewer)
+const isAssignable = async (projectId, userId) => {
+  const role = await projectMemberRepository.findRole(projectId, userId);
+  return ASSIGNEE_ROLES.includes(role);
+};
+
+const assigneeNotMember = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'ASSIGNEE_NOT_MEMBER',
+    message: 'Исполнитель должен быть участником проекта'
+  }
 });
 
 /**
@@ -103,19 +166,13 @@ router.post('/defects', authenticateToken, async (req, res) => {
       });
     }
 
-    const hasAccess = 
-      project.user_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
+    const access = await loadProjectAccess(req.user, project);
+    if (!can(access, 'defect:create')) {
+      return denyProjectAccess(res, 'defect:create');
+    }
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Нет доступа к этому проекту'
-        }
-      });
+    if (assigneeId && !(await isAssignable(projectId, assigneeId))) {
+      return assigneeNotMember(res);
     }
 
     const newDefect = await defectRepository.create({
@@ -126,17 +183,9 @@ router.post('/defects', authenticateToken, async (req, res) => {
       reporterId: req.user.id,
       assigneeId: assigneeId || null,
       location
-    });
+    }, auditContext(req));
 
     req.log.info(`Defect created: ${title} in project ${projectId}`);
-    
-    req.log.info(`Event: DEFECT_CREATED, payload: ${JSON.stringify({
-      defectId: newDefect.id,
-      projectId: newDefect.project_id,
-      reporterId: newDefect.reporter_id,
-      severity: newDefect.severity,
-      timestamp: new Date().toISOString()
-    })}`);
 
     res.status(201).json({
       success: true,
@@ -156,23 +205,57 @@ router.post('/defects', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/orders/defects/{id}:
+ * /api/v1/orders/defects:
  *   get:
- *     summary: Получить дефект по ID
+ *     summary: Дефекты по всем проектам пользователя
+ *     description: |
+ *       Входящие дефекты без перебора проектов: assigneeId=me — назначенные пользователю, reporterId=me — созданные им.
+ *       Возвращаются только дефекты проектов, где пользователь участник (admin видит все проекты).
+ *       scope=managed оставляет проекты, где пользователь владелец или менеджер.
  *     tags: [Defects]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: scope
  *         schema:
  *           type: string
- *           format: uuid
- *         description: ID дефекта
+ *           enum: [all, managed]
+ *           default: all
+ *         description: all — все доступные проекты, managed — проекты, где пользователь владелец или менеджер
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: ID проектов через запятую (не больше 50); недоступные проекты не учитываются
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Количество записей на странице
+ *       - $ref: '#/components/parameters/DefectSearch'
+ *       - $ref: '#/components/parameters/DefectStatusFilter'
+ *       - $ref: '#/components/parameters/DefectSeverityFilter'
+ *       - $ref: '#/components/parameters/DefectAssigneeFilter'
+ *       - $ref: '#/components/parameters/DefectReporterFilter'
+ *       - $ref: '#/components/parameters/DefectCreatedFrom'
+ *       - $ref: '#/components/parameters/DefectCreatedTo'
+ *       - $ref: '#/components/parameters/DefectUpdatedFrom'
+ *       - $ref: '#/components/parameters/DefectUpdatedTo'
+ *       - $ref: '#/components/parameters/DefectSort'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
- *         description: Данные дефекта
+ *         description: Список дефектов
  *         content:
  *           application/json:
  *             schema:
@@ -182,66 +265,94 @@ router.post('/defects', authenticateToken, async (req, res) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Defect'
+ *                   type: object
+ *                   properties:
+ *                     defects:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Defect'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Ошибка валидации фильтров, сортировки или недействительный курсор
  */
-router.get('/defects/:id', authenticateToken, async (req, res) => {
-  try {
-    const defect = await defectRepository.findById(req.params.id);
-    
-    if (!defect) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'DEFECT_NOT_FOUND',
-          message: 'Дефект не найден'
-        }
-      });
-    }
-
-    const project = await projectRepository.findById(defect.project_id);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
-        }
-      });
-    }
-
-    const hasAccess = 
-      project.user_id === req.user.id ||
-      defect.reporter_id === req.user.id ||
-      defect.assignee_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
+router.get('/defects', authenticateToken, async (req, res) => {
+  const { error, value } = defectInboxQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Нет доступа к этому дефекту'
-        }
-      });
-    }
+  try {
+    const { defects, total, nextCursor, prevCursor } = await defectRepository.findVisible(
+      getProjectScope(req.user, value.scope),
+      toDefectFilters(value, req.user)
+    );
 
     res.json({
       success: true,
-      data: defect
+      data: {
+        defects,
+        pagination: paginationMeta(value, { total, nextCursor, prevCursor })
+      }
     });
   } catch (error) {
-    req.log.error(error, 'Get defect error');
+    if (error.code === 'INVALID_CURSOR') {
+      return invalidCursorResponse(res);
+    }
+    req.log.error(error, 'Get defects error');
     res.status(500).json({
       success: false,
       error: {
         code: 'DATABASE_ERROR',
-        message: 'Ошибка при получении дефекта'
+        message: 'Ошибка при получении списка дефектов'
       }
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}:
+ *   get:
+ *     summary: Получить дефект по ID
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID дефекта
+ *     responses:
+ *       200:
+ *         description: Данные дефекта
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Defect'
+ */
+router.get('/defects/:id', authenticateToken, requireDefectAccess, (req, res) => {
+  res.json({
+    success: true,
+    data: req.defect
+  });
+});
+
 /**
  * @swagger
  * /api/v1/orders/defects/project/{projectId}:
@@ -269,19 +380,20 @@ router.get('/defects/:id', authenticateToken, async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Количество записей на странице
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [reported, in_progress, resolved, closed]
- *         description: Фильтр по статусу
- *       - in: query
- *         name: severity
- *         schema:
- *           type: string
- *           enum: [low, medium, high, critical]
- *         description: Фильтр по критичности
+ *       - $ref: '#/components/parameters/DefectSearch'
+ *       - $ref: '#/components/parameters/DefectStatusFilter'
+ *       - $ref: '#/components/parameters/DefectSeverityFilter'
+ *       - $ref: '#/components/parameters/DefectAssigneeFilter'
+ *       - $ref: '#/components/parameters/DefectReporterFilter'
+ *       - $ref: '#/components/parameters/DefectCreatedFrom'
+ *       - $ref: '#/components/parameters/DefectCreatedTo'
+ *       - $ref: '#/components/parameters/DefectUpdatedFrom'
+ *       - $ref: '#/components/parameters/DefectUpdatedTo'
+ *       - $ref: '#/components/parameters/DefectSort'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Список дефектов проекта
@@ -301,68 +413,36 @@ router.get('/defects/:id', authenticateToken, async (req, res) => {
  *                       items:
  *                         $ref: '#/components/schemas/Defect'
  *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         total:
- *                           type: integer
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Ошибка валидации фильтров, сортировки или недействительный курсор
  */
-router.get('/defects/project/:projectId', authenticateToken, async (req, res) => {
-  const { projectId } = req.params;
-  const { page = 1, limit = 10, status, severity } = req.query;
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
+router.get('/defects/project/:projectId', authenticateToken, requireProjectAccess('defect:view', { param: 'projectId' }), async (req, res) => {
+  const { error, value } = defectListQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
 
   try {
-    const project = await projectRepository.findById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
-        }
-      });
-    }
-
-    const hasAccess = 
-      project.user_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Нет доступа к этому проекту'
-        }
-      });
-    }
-
-    const { defects, total } = await defectRepository.findByProjectId(projectId, {
-      page: pageNum,
-      limit: limitNum,
-      status,
-      severity
-    });
+    const { defects, total, nextCursor, prevCursor } = await defectRepository.findByProjectId(req.params.projectId, toDefectFilters(value, req.user));
 
     res.json({
       success: true,
       data: {
         defects,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total,
-          totalPages: Math.ceil(total / limitNum)
-        }
+        pagination: paginationMeta(value, { total, nextCursor, prevCursor })
       }
     });
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return invalidCursorResponse(res);
+    }
     req.log.error(error, 'Get project defects error');
     res.status(500).json({
       success: false,
@@ -409,8 +489,16 @@ router.get('/defects/project/:projectId', authenticateToken, async (req, res) =>
  *               assigneeId:
  *                 type: string
  *                 format: uuid
+ *                 nullable: true
+ *                 description: null или пустая строка снимают исполнителя
  *               location:
  *                 type: string
+ *               resolutionNote:
+ *                 type: string
+ *                 description: Обязательно при переводе в статус resolved
+ *               comment:
+ *                 type: string
+ *                 description: Обязательно для возврата, переоткрытия и закрытия без исправления
  *     responses:
  *       200:
  *         description: Дефект обновлен
@@ -425,7 +513,7 @@ router.get('/defects/project/:projectId', authenticateToken, async (req, res) =>
  *                 data:
  *                   $ref: '#/components/schemas/Defect'
  */
-router.put('/defects/:id', authenticateToken, async (req, res) => {
+router.put('/defects/:id', authenticateToken, requireDefectAccess, async (req, res) => {
   const { error, value } = updateDefectSchema.validate(req.body);
   
   if (error) {
@@ -439,56 +527,75 @@ router.put('/defects/:id', authenticateToken, async (req, res) => {
   }
 
   try {
-    const defect = await defectRepository.findById(req.params.id);
-    
-    if (!defect) {
-      return res.status(404).json({
+    const { defect } = req;
+
+    if (!canUpdateDefect(req.projectAccess, req.user, defect)) {
+      return res.status(403).json({
         success: false,
         error: {
-          code: 'DEFECT_NOT_FOUND',
-          message: 'Дефект не найден'
+          code: 'FORBIDDEN',
+          message: 'Нет прав на обновление дефекта'
         }
       });
     }
 
-    const project = await projectRepository.findById(defect.project_id);
-    if (!project) {
-      return res.status(404).json({
+    const { status, resolutionNote, comment, ...fields } = value;
+
+    // Пустая строка из формы снимает исполнителя так же, как null; в uuid-колонку ее записать нельзя
+    if (fields.assigneeId === '') {
+      fields.assigneeId = null;
+    }
+
+    if (fields.assigneeId && fields.assigneeId !== defect.assignee_id &&
+        !(await isAssignable(defect.project_id, fields.assigneeId))) {
+      return assigneeNotMember(res);
+    }
+
+    let transition;
+    if (status && status !== defect.status) {
+      const actorRoles = getActorRoles(req.user, defect, req.projectAccess);
+      const check = checkTransition(defect.status, status, actorRoles, { resolutionNote, comment });
+      if (!check.allowed) {
+        return rejectTransition(res, defect, status, actorRoles, check);
+      }
+
+      transition = {
+        fromStatus: defect.status,
+        toStatus: status,
+        actorId: req.user.id,
+        resolutionNote,
+        comment
+      };
+    }
+
+    const updatedDefect = await defectRepository.updateWithTransition(req.params.id, {
+      transition,
+      updates: fields
+    }, auditContext(req));
+
+    if (transition && !updatedDefect) {
+      return res.status(409).json({
         success: false,
         error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
+          code: 'STATUS_CONFLICT',
+          message: 'Статус дефекта был изменен другим пользователем, повторите запрос'
         }
       });
     }
 
-    const canUpdate = 
-      defect.reporter_id === req.user.id ||
-      defect.assignee_id === req.user.id ||
-      project.user_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
-
-    if (!canUpdate) {
-      return res.status(403).json({
+    // Без перехода пустой результат означает, что дефект удалили между проверкой доступа и обновлением
+    if (!updatedDefect) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'FORBIDDEN',
-          message: 'Нет прав на обновление дефекта'
+          code: 'DEFECT_NOT_FOUND',
+          message: 'Дефект не найден'
         }
       });
     }
 
-    const updatedDefect = await defectRepository.update(req.params.id, value);
-
-    if (value.status && value.status !== defect.status) {
-      req.log.info(`Event: DEFECT_STATUS_UPDATED, payload: ${JSON.stringify({
-        defectId: defect.id,
-        oldStatus: defect.status,
-        newStatus: value.status,
-        updatedBy: req.user.id,
-        timestamp: new Date().toISOString()
-      })}`);
+    if (transition) {
+      req.log.info(`Defect ${defect.id} status changed: ${defect.status} -> ${updatedDefect.status}`);
     }
 
     res.json({
@@ -509,9 +616,18 @@ router.put('/defects/:id', authenticateToken, async (req, res) => {
 
 /**
  * @swagger
- * /api/v1/orders/defects/{id}:
- *   delete:
- *     summary: Удалить дефект
+ * /api/v1/orders/defects/{id}/transitions:
+ *   post:
+ *     summary: Перевести дефект в другой статус
+ *     description: |
+ *       Допустимые переходы:
+ *       reported → in_progress (исполнитель, менеджер, админ),
+ *       reported → closed (менеджер, админ; нужен comment),
+ *       in_progress → resolved (исполнитель, менеджер, админ; нужен resolutionNote),
+ *       in_progress → reported (исполнитель, менеджер, админ; нужен comment),
+ *       resolved → closed (автор, владелец проекта, менеджер, админ),
+ *       resolved → in_progress (автор, владелец проекта, менеджер, админ; нужен comment),
+ *       closed → in_progress (менеджер, админ; нужен comment).
  *     tags: [Defects]
  *     security:
  *       - bearerAuth: []
@@ -522,41 +638,312 @@ router.put('/defects/:id', authenticateToken, async (req, res) => {
  *         schema:
  *           type: string
  *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [reported, in_progress, resolved, closed]
+ *               resolutionNote:
+ *                 type: string
+ *                 example: Трещина заделана ремонтным составом
+ *               comment:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Дефект удален
+ *         description: Статус дефекта изменен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Defect'
+ *       400:
+ *         description: Не переданы обязательные для перехода поля
+ *       403:
+ *         description: Недостаточно прав для перехода
+ *       409:
+ *         description: Переход недопустим; в error.details.allowedTransitions перечислены допустимые статусы
  */
-router.delete('/defects/:id', authenticateToken, async (req, res) => {
+router.post('/defects/:id/transitions', authenticateToken, requireDefectAccess, async (req, res) => {
+  const { error, value } = transitionSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const { status, resolutionNote, comment } = value;
+
   try {
-    const defect = await defectRepository.findById(req.params.id);
-    
-    if (!defect) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'DEFECT_NOT_FOUND',
-          message: 'Дефект не найден'
-        }
-      });
+    const { defect } = req;
+
+    const actorRoles = getActorRoles(req.user, defect, req.projectAccess);
+    const check = checkTransition(defect.status, status, actorRoles, { resolutionNote, comment });
+    if (!check.allowed) {
+      return rejectTransition(res, defect, status, actorRoles, check);
     }
 
-    const project = await projectRepository.findById(defect.project_id);
-    if (!project) {
-      return res.status(404).json({
+    const updatedDefect = await defectRepository.transition(defect.id, {
+      fromStatus: defect.status,
+      toStatus: status,
+      actorId: req.user.id,
+      resolutionNote,
+      comment
+    }, auditContext(req));
+
+    if (!updatedDefect) {
+      return res.status(409).json({
         success: false,
         error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
+          code: 'STATUS_CONFLICT',
+          message: 'Статус дефекта был изменен другим пользователем, повторите запрос'
         }
       });
     }
 
-    const canDelete = 
-      project.user_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
+    req.log.info(`Defect ${defect.id} status changed: ${defect.status} -> ${updatedDefect.status}`);
+
+    res.json({
+      success: true,
+      data: updatedDefect
+    });
+  } catch (error) {
+    req.log.error(error, 'Defect transition error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при изменении статуса дефекта'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/transitions:
+ *   get:
+ *     summary: Получить историю статусов дефекта и доступные переходы
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Текущий статус, доступные текущему пользователю переходы и история
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentStatus:
+ *                       type: string
+ *                     allowedTransitions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                           requires:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ */
+router.get('/defects/:id/transitions', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const { defect } = req;
+
+    const history = await defectRepository.findTransitions(defect.id);
+
+    res.json({
+      success: true,
+      data: {
+        currentStatus: defect.status,
+        allowedTransitions: getAllowedTransitions(defect.status, getActorRoles(req.user, defect, req.projectAccess)),
+        history
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get defect transitions error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении истории статусов дефекта'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}/history:
+ *   get:
+ *     summary: Получить историю изменений дефекта
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID дефекта
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: История изменений, от новых к старым
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEntry'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *       400:
+ *         description: Некорректные параметры пагинации
+ *       403:
+ *         description: Нет доступа
+ *       404:
+ *         description: Дефект не найден
+ */
+router.get('/defects/:id/history', authenticateToken, requireDefectAccess, async (req, res) => {
+  const { error, value } = historyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const { page, limit } = value;
+
+  try {
+    const { defect } = req;
+
+    const { history, total } = await auditRepository.findByEntity('defect', defect.id, {
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get defect history error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении истории дефекта'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/defects/{id}:
+ *   delete:
+ *     summary: Удалить дефект
+ *     tags: [Defects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Дефект удален
+ */
+router.delete('/defects/:id', authenticateToken, requireDefectAccess, async (req, res) => {
+  try {
+    const { defect } = req;
 
-    if (!canDelete) {
+    if (!can(req.projectAccess, 'defect:delete')) {
       return res.status(403).json({
         success: false,
         error: {
@@ -566,7 +953,10 @@ router.delete('/defects/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    await defectRepository.delete(req.params.id);
+    const deleted = await defectRepository.delete(req.params.id, auditContext(req));
+    if (deleted && deleted.fileErrors.length > 0) {
+      req.log.warn({ errors: deleted.fileErrors }, `Failed to delete attachment files of defect ${defect.id}`);
+    }
     req.log.info(`Defect deleted: ${defect.id}`);
 
     res.json({
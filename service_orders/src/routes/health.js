@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { ordersPool } = require('../../../config/database');
+const { createHealthHandlers } = require('../../../config/health');
+
+const { liveness, readiness } = createHealthHandlers('orders', ordersPool);
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Проверка, что процесс сервиса работает (то же, что /health/live)
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Сервис работает
+ */
+router.get('/health', liveness);
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness — процесс сервиса работает
+ *     description: Не проверяет зависимости; используется, чтобы решить, нужно ли перезапускать процесс.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Сервис работает
+ */
+router.get('/health/live', liveness);
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness — сервис готов обрабатывать запросы
+ *     description: Проверяет доступность PostgreSQL через пул соединений.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Сервис готов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Зависимость недоступна
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/health/ready', readiness);
+
+module.exports = router;
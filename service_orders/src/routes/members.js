@@ -0,0 +1,399 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { projectMemberRepository } = require('../db/queries');
+const { authenticateToken } = require('../middleware/auth');
+const { requireProjectAccess, denyProjectAccess } = require('../middleware/projectAccess');
+const { PROJECT_ROLES, can, canAssignRole } = require('../domain/projectAccess');
+const { lookupUsers } = require('../clients/usersClient');
+
+const inviteSchema = Joi.object({
+  userId: Joi.string().uuid().required(),
+  role: Joi.string().valid(...PROJECT_ROLES).required()
+});
+
+const changeRoleSchema = Joi.object({
+  role: Joi.string().valid(...PROJECT_ROLES).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: error.details[0].message
+  }
+});
+
+const memberNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'MEMBER_NOT_FOUND',
+    message: 'Пользователь не является участником проекта'
+  }
+});
+
+const lastOwner = (res) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'LAST_OWNER',
+    message: 'В проекте должен остаться хотя бы один владелец'
+  }
+});
+
+const roleForbidden = (res) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'FORBIDDEN',
+    message: 'Недостаточно прав для назначения этой роли'
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/projects/{id}/members:
+ *   get:
+ *     summary: Получить участников проекта
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID проекта
+ *     responses:
+ *       200:
+ *         description: Список участников
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectMember'
+ *       403:
+ *         description: Нет доступа к проекту
+ */
+router.get('/projects/:id/members', authenticateToken, requireProjectAccess('project:view'), async (req, res) => {
+  try {
+    const members = await projectMemberRepository.findByProjectId(req.project.id);
+
+    res.json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    req.log.error(error, 'Get project members error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении участников проекта'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/projects/{id}/members:
+ *   post:
+ *     summary: Добавить участника в проект
+ *     description: |
+ *       Владелец проекта может назначить любую роль, менеджер проекта — только engineer и client_viewer.
+ *       Роли в проекте: owner — полный доступ, manager — управление проектом, дефектами и участниками,
+ *       engineer — создание дефектов и работа с назначенными, client_viewer — просмотр и комментарии.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID проекта
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - role
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 format: uuid
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, engineer, client_viewer]
+ *     responses:
+ *       201:
+ *         description: Участник добавлен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ProjectMember'
+ *       403:
+ *         description: Нет прав на управление участниками или назначение роли
+ *       404:
+ *         description: Пользователь не найден
+ *       409:
+ *         description: Пользователь уже состоит в проекте
+ *       502:
+ *         description: Сервис пользователей недоступен
+ */
+router.post('/projects/:id/members', authenticateToken, requireProjectAccess('members:manage'), async (req, res) => {
+  const { error, value } = inviteSchema.validate(req.body);
+
+  if (error) {
+    return validationError(res, error);
+  }
+
+  if (!canAssignRole(req.projectAccess, value.role)) {
+    return roleForbidden(res);
+  }
+
+  let users;
+  try {
+    users = await lookupUsers(req, [value.userId]);
+  } catch (error) {
+    req.log.error(error, 'Lookup invited user error');
+    return res.status(502).json({
+      success: false,
+      error: {
+        code: 'USERS_SERVICE_UNAVAILABLE',
+        message: 'Не удалось проверить пользователя, попробуйте позже'
+      }
+    });
+  }
+
+  if (users.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'Пользователь не найден'
+      }
+    });
+  }
+
+  try {
+    const member = await projectMemberRepository.add({
+      projectId: req.project.id,
+      userId: value.userId,
+      role: value.role,
+      invitedBy: req.user.id
+    });
+
+    if (!member) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_MEMBER',
+          message: 'Пользователь уже состоит в проекте'
+        }
+      });
+    }
+
+    req.log.info(`User ${value.userId} added to project ${req.project.id} as ${value.role} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    req.log.error(error, 'Add project member error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при добавлении участника'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/projects/{id}/members/{userId}:
+ *   patch:
+ *     summary: Изменить роль участника проекта
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID проекта
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, engineer, client_viewer]
+ *     responses:
+ *       200:
+ *         description: Роль изменена
+ *       403:
+ *         description: Недостаточно прав
+ *       404:
+ *         description: Участник не найден
+ *       409:
+ *         description: Нельзя понизить последнего владельца
+ */
+router.patch('/projects/:id/members/:userId', authenticateToken, requireProjectAccess('members:manage'), async (req, res) => {
+  const { error, value } = changeRoleSchema.validate(req.body);
+
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const currentRole = await projectMemberRepository.findRole(req.project.id, req.params.userId);
+    if (!currentRole) {
+      return memberNotFound(res);
+    }
+
+    if (!canAssignRole(req.projectAccess, currentRole) || !canAssignRole(req.projectAccess, value.role)) {
+      return roleForbidden(res);
+    }
+
+    const result = await projectMemberRepository.updateRole(req.project.id, req.params.userId, value.role);
+
+    if (result.status === 'not_found') {
+      return memberNotFound(res);
+    }
+    if (result.status === 'last_owner') {
+      return lastOwner(res);
+    }
+
+    req.log.info(`Project ${req.project.id} member ${req.params.userId} role changed: ${currentRole} -> ${value.role}`);
+
+    res.json({
+      success: true,
+      data: result.member
+    });
+  } catch (error) {
+    req.log.error(error, 'Change project member role error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при изменении роли участника'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Удалить участника из проекта
+ *     description: Участник может выйти из проекта сам. Последнего владельца удалить нельзя.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID проекта
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Участник удален
+ *       403:
+ *         description: Недостаточно прав
+ *       404:
+ *         description: Участник не найден
+ *       409:
+ *         description: Нельзя удалить последнего владельца
+ */
+router.delete('/projects/:id/members/:userId', authenticateToken, requireProjectAccess('project:view'), async (req, res) => {
+  const isSelf = req.params.userId === req.user.id;
+
+  if (!isSelf && !can(req.projectAccess, 'members:manage')) {
+    return denyProjectAccess(res, 'members:manage');
+  }
+
+  try {
+    const currentRole = await projectMemberRepository.findRole(req.project.id, req.params.userId);
+    if (!currentRole) {
+      return memberNotFound(res);
+    }
+
+    if (!isSelf && !canAssignRole(req.projectAccess, currentRole)) {
+      return roleForbidden(res);
+    }
+
+    const result = await projectMemberRepository.remove(req.project.id, req.params.userId);
+
+    if (result.status === 'not_found') {
+      return memberNotFound(res);
+    }
+    if (result.status === 'last_owner') {
+      return lastOwner(res);
+    }
+
+    req.log.info(`User ${req.params.userId} removed from project ${req.project.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Участник удален из проекта' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Remove project member error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при удалении участника'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { metricsHandler } = require('../metrics');
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Метрики сервиса в формате Prometheus
+ *     description: HTTP-запросы по шаблонам маршрутов, состояние пула PostgreSQL, счетчики дефектов и переходов статусов, метрики процесса Node.js.
+ *     tags: [Monitoring]
+ *     responses:
+ *       200:
+ *         description: Метрики в текстовом формате Prometheus
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/metrics', metricsHandler);
+
+module.exports = router;
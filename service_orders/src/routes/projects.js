@@ -3,6 +3,10 @@ const Joi = require('joi');
 const router = express.Router();
 const { projectRepository } = require('../db/queries');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth'); // Добавляем
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const { auditContext, historyQuerySchema } = require('../domain/audit');
+const { auditRepository } = require('../db/queries');
+const { cursorQuery, paginationMeta, invalidCursorResponse } = require('../../../config/pagination');
 
 
 const createProjectSchema = Joi.object({
@@ -17,6 +21,13 @@ const createProjectSchema = Joi.object({
   status: Joi.string().valid('draft', 'active', 'completed', 'cancelled').default('draft')
 });
 
+const listProjectsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid('draft', 'active', 'completed', 'cancelled'),
+  ...cursorQuery
+});
+
 /**
  * @swagger
  * /api/v1/orders/projects:
@@ -89,18 +100,9 @@ router.post('/projects', authenticateToken, async (req, res) => {
     const newProject = await projectRepository.create({
       userId: req.user.id,
       ...value
-    });
+    }, auditContext(req));
 
     req.log.info(`Project created: ${newProject.title} by user ${req.user.id}`);
-    
-    // Публикация события
-    req.log.info(`Event: PROJECT_CREATED, payload: ${JSON.stringify({
-      projectId: newProject.id,
-      userId: newProject.user_id,
-      title: newProject.title,
-      status: newProject.status,
-      timestamp: new Date().toISOString()
-    })}`);
 
     res.status(201).json({
       success: true,
@@ -123,6 +125,7 @@ router.post('/projects', authenticateToken, async (req, res) => {
  * /api/v1/orders/projects/{id}:
  *   get:
  *     summary: Получить проект по ID
+ *     description: Доступно участникам проекта и администраторам. В memberRole возвращается роль текущего пользователя в проекте.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -152,50 +155,14 @@ router.post('/projects', authenticateToken, async (req, res) => {
  *       404:
  *         description: Проект не найден
  */
-router.get('/projects/:id', authenticateToken, async (req, res) => {
-  try {
-    const project = await projectRepository.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
-        }
-      });
+router.get('/projects/:id', authenticateToken, requireProjectAccess('project:view'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.project,
+      member_role: req.projectAccess.role
     }
-
-    // Проверка прав доступа (только создатель, менеджер или админ)
-    const hasAccess = 
-      project.user_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
-
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Нет доступа к этому проекту'
-        }
-      });
-    }
-
-    res.json({
-      success: true,
-      data: project
-    });
-  } catch (error) {
-    req.log.error(error, 'Get project error');
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'DATABASE_ERROR',
-        message: 'Ошибка при получении проекта'
-      }
-    });
-  }
+  });
 });
 
 /**
@@ -203,6 +170,7 @@ router.get('/projects/:id', authenticateToken, async (req, res) => {
  * /api/v1/orders/projects:
  *   get:
  *     summary: Получить список проектов пользователя
+ *     description: Возвращает проекты, в которых пользователь состоит участником, с его ролью в memberRole.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -225,6 +193,8 @@ router.get('/projects/:id', authenticateToken, async (req, res) => {
  *           type: string
  *           enum: [draft, active, completed, cancelled]
  *         description: Фильтр по статусу
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Список проектов
@@ -244,42 +214,42 @@ router.get('/projects/:id', authenticateToken, async (req, res) => {
  *                       items:
  *                         $ref: '#/components/schemas/Project'
  *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         total:
- *                           type: integer
- *                         totalPages:
- *                           type: integer
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Ошибка валидации или недействительный курсор
  */
 router.get('/projects', authenticateToken, async (req, res) => {
-  const { page = 1, limit = 10, status } = req.query;
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
+  const { error, value } = listProjectsSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
   
   try {
-    const { projects, total } = await projectRepository.findByUserId(req.user.id, {
-      page: pageNum,
-      limit: limitNum,
-      status
+    const { projects, total, nextCursor, prevCursor } = await projectRepository.findByUserId(req.user.id, {
+      page: value.page,
+      limit: value.limit,
+      status: value.status,
+      cursor: value.cursor,
+      includeTotal: value.includeTotal
     });
 
     res.json({
       success: true,
       data: {
         projects,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total,
-          totalPages: Math.ceil(total / limitNum)
-        }
+        pagination: paginationMeta(value, { total, nextCursor, prevCursor })
       }
     });
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return invalidCursorResponse(res);
+    }
     req.log.error(error, 'Get projects list error');
     res.status(500).json({
       success: false,
@@ -349,36 +319,8 @@ router.get('/projects', authenticateToken, async (req, res) => {
  *       403:
  *         description: Нет прав на обновление
  */
-router.put('/projects/:id', authenticateToken, async (req, res) => {
+router.put('/projects/:id', authenticateToken, requireProjectAccess('project:update'), async (req, res) => {
   try {
-    const project = await projectRepository.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
-        }
-      });
-    }
-
-    // Проверка прав (только создатель, менеджер или админ)
-    const canUpdate = 
-      project.user_id === req.user.id ||
-      req.user.roles.includes('manager') ||
-      req.user.roles.includes('admin');
-
-    if (!canUpdate) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Нет прав на обновление проекта'
-        }
-      });
-    }
-
     const updateSchema = Joi.object({
       title: Joi.string().min(3).max(100),
       description: Joi.string().min(10).max(1000),
@@ -402,18 +344,7 @@ router.put('/projects/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const updatedProject = await projectRepository.update(req.params.id, value);
-
-    // Публикация события обновления статуса
-    if (value.status && value.status !== project.status) {
-      req.log.info(`Event: PROJECT_STATUS_UPDATED, payload: ${JSON.stringify({
-        projectId: project.id,
-        oldStatus: project.status,
-        newStatus: value.status,
-        updatedBy: req.user.id,
-        timestamp: new Date().toISOString()
-      })}`);
-    }
+    const updatedProject = await projectRepository.update(req.params.id, value, auditContext(req));
 
     res.json({
       success: true,
@@ -431,6 +362,116 @@ router.put('/projects/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/orders/projects/{id}/history:
+ *   get:
+ *     summary: Получить историю изменений проекта
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID проекта
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: История изменений, от новых к старым
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEntry'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *       400:
+ *         description: Некорректные параметры пагинации
+ *       403:
+ *         description: Нет доступа
+ *       404:
+ *         description: Проект не найден
+ */
+router.get('/projects/:id/history', authenticateToken, requireProjectAccess('project:view'), async (req, res) => {
+  const { error, value } = historyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const { page, limit } = value;
+
+  try {
+    const { history, total } = await auditRepository.findByEntity('project', req.project.id, {
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get project history error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении истории проекта'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/orders/projects/{id}:
@@ -454,36 +495,14 @@ router.put('/projects/:id', authenticateToken, async (req, res) => {
  *       404:
  *         description: Проект не найден
  */
-router.delete('/projects/:id', authenticateToken, async (req, res) => {
+router.delete('/projects/:id', authenticateToken, requireProjectAccess('project:delete'), async (req, res) => {
   try {
-    const project = await projectRepository.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Проект не найден'
-        }
-      });
-    }
-
-    // Удалять могут только создатель или админ
-    const canDelete = 
-      project.user_id === req.user.id ||
-      req.user.roles.includes('admin');
+    const { project } = req;
 
-    if (!canDelete) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'FORBIDDEN',
-          message: 'Нет прав на удаление проекта'
-        }
-      });
+    const deleted = await projectRepository.delete(req.params.id, auditContext(req));
+    if (deleted && deleted.fileErrors.length > 0) {
+      req.log.warn({ errors: deleted.fileErrors }, `Failed to delete attachment files of project ${project.id}`);
     }
-
-    await projectRepository.delete(req.params.id);
     req.log.info(`Project deleted: ${project.id}`);
 
     res.json({
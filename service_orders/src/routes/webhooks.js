@@ -0,0 +1,604 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { webhookRepository } = require('../db/queries');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../events/catalog');
+const { generateSecret } = require('../webhooks/signature');
+
+const urlSchema = Joi.string().uri({ scheme: ['http', 'https'] }).max(2000);
+const eventTypesSchema = Joi.array().items(Joi.string().valid(...EVENT_TYPES)).min(1).unique();
+
+const createSubscriptionSchema = Joi.object({
+  url: urlSchema.required(),
+  eventTypes: eventTypesSchema.required(),
+  secret: Joi.string().min(16).max(255),
+  description: Joi.string().max(500).allow('')
+});
+
+const updateSubscriptionSchema = Joi.object({
+  url: urlSchema,
+  eventTypes: eventTypesSchema,
+  secret: Joi.string().min(16).max(255),
+  description: Joi.string().max(500).allow(''),
+  active: Joi.boolean()
+}).min(1);
+
+const deliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Секрет возвращается только при создании подписки
+const hideSecret = ({ secret, ...subscription }) => subscription;
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: error.details[0].message
+  }
+});
+
+// Невалидный идентификатор отклоняется до запроса в БД, иначе pg отвечает ошибкой приведения к uuid
+const validateIdParam = (param, message) => (req, res, next) => {
+  const { error } = Joi.string().uuid().validate(req.params[param]);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message
+      }
+    });
+  }
+  next();
+};
+
+const validateSubscriptionId = validateIdParam('id', 'Некорректный ID подписки');
+const validateDeliveryId = validateIdParam('deliveryId', 'Некорректный ID доставки');
+
+const subscriptionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'WEBHOOK_NOT_FOUND',
+    message: 'Подписка не найдена'
+  }
+});
+
+const databaseError = (res, message) => res.status(500).json({
+  success: false,
+  error: {
+    code: 'DATABASE_ERROR',
+    message
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks:
+ *   post:
+ *     summary: Создать подписку на события
+ *     description: |
+ *       Доступно только администраторам. На каждое событие выбранного типа выполняется POST на url
+ *       с телом события в JSON. Запрос подписывается HMAC-SHA256: заголовок X-Webhook-Signature
+ *       содержит `sha256=<hex>` от строки `<X-Webhook-Timestamp>.<тело запроса>`.
+ *       Если secret не передан, он будет сгенерирован. Секрет возвращается только в ответе на этот запрос.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - eventTypes
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: "https://example.com/hooks/construction"
+ *               eventTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["ProjectStatusChanged", "DefectStatusChanged"]
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Подписка создана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookSubscription'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *       400:
+ *         description: Ошибка валидации
+ *       403:
+ *         description: Недостаточно прав
+ */
+router.post('/webhooks', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const { error, value } = createSubscriptionSchema.validate(req.body);
+
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const subscription = await webhookRepository.createSubscription({
+      url: value.url,
+      eventTypes: value.eventTypes,
+      secret: value.secret || generateSecret(),
+      description: value.description,
+      createdBy: req.user.id
+    });
+
+    req.log.info(`Webhook subscription created: ${subscription.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    req.log.error(error, 'Create webhook subscription error');
+    databaseError(res, 'Ошибка при создании подписки');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks:
+ *   get:
+ *     summary: Получить список подписок
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Список подписок
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       403:
+ *         description: Недостаточно прав
+ */
+router.get('/webhooks', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const subscriptions = await webhookRepository.findSubscriptions();
+
+    res.json({
+      success: true,
+      data: subscriptions.map(hideSecret)
+    });
+  } catch (error) {
+    req.log.error(error, 'Get webhook subscriptions error');
+    databaseError(res, 'Ошибка при получении подписок');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Получить доставку с историей попыток
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Доставка и попытки отправки (от новых к старым)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookDelivery'
+ *                     - type: object
+ *                       properties:
+ *                         payload:
+ *                           type: object
+ *                         attempts_log:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/WebhookDeliveryAttempt'
+ *       404:
+ *         description: Доставка не найдена
+ */
+router.get('/webhooks/deliveries/:deliveryId', authenticateToken, authorizeRoles('admin'), validateDeliveryId, async (req, res) => {
+  try {
+    const delivery = await webhookRepository.findDeliveryById(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DELIVERY_NOT_FOUND',
+          message: 'Доставка не найдена'
+        }
+      });
+    }
+
+    const attempts = await webhookRepository.findDeliveryAttempts(delivery.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...delivery,
+        attempts_log: attempts
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get webhook delivery error');
+    databaseError(res, 'Ошибка при получении доставки');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Отправить доставку повторно
+ *     description: Доставка возвращается в очередь с новым набором попыток, в том числе после исчерпания повторов или успешной отправки.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Доставка поставлена в очередь
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Доставка не найдена
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', authenticateToken, authorizeRoles('admin'), validateDeliveryId, async (req, res) => {
+  try {
+    const delivery = await webhookRepository.redeliver(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DELIVERY_NOT_FOUND',
+          message: 'Доставка не найдена'
+        }
+      });
+    }
+
+    req.log.info(`Webhook delivery ${delivery.id} requeued by user ${req.user.id}`);
+
+    const { payload, ...data } = delivery;
+
+    res.status(202).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    req.log.error(error, 'Redeliver webhook error');
+    databaseError(res, 'Ошибка при повторной отправке');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks/{id}:
+ *   get:
+ *     summary: Получить подписку по ID
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Подписка
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       404:
+ *         description: Подписка не найдена
+ */
+router.get('/webhooks/:id', authenticateToken, authorizeRoles('admin'), validateSubscriptionId, async (req, res) => {
+  try {
+    const subscription = await webhookRepository.findSubscriptionById(req.params.id);
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: hideSecret(subscription)
+    });
+  } catch (error) {
+    req.log.error(error, 'Get webhook subscription error');
+    databaseError(res, 'Ошибка при получении подписки');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks/{id}:
+ *   put:
+ *     summary: Обновить подписку
+ *     description: Через active подписку можно приостановить; ожидающие доставки не отправляются, пока она выключена.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               eventTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Подписка обновлена
+ *       400:
+ *         description: Ошибка валидации
+ *       404:
+ *         description: Подписка не найдена
+ */
+router.put('/webhooks/:id', authenticateToken, authorizeRoles('admin'), validateSubscriptionId, async (req, res) => {
+  const { error, value } = updateSubscriptionSchema.validate(req.body);
+
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const subscription = await webhookRepository.updateSubscription(req.params.id, value);
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    req.log.info(`Webhook subscription updated: ${subscription.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: hideSecret(subscription)
+    });
+  } catch (error) {
+    req.log.error(error, 'Update webhook subscription error');
+    databaseError(res, 'Ошибка при обновлении подписки');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks/{id}:
+ *   delete:
+ *     summary: Удалить подписку
+ *     description: Вместе с подпиской удаляется журнал ее доставок.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Подписка удалена
+ *       404:
+ *         description: Подписка не найдена
+ */
+router.delete('/webhooks/:id', authenticateToken, authorizeRoles('admin'), validateSubscriptionId, async (req, res) => {
+  try {
+    const deleted = await webhookRepository.deleteSubscription(req.params.id);
+
+    if (!deleted) {
+      return subscriptionNotFound(res);
+    }
+
+    req.log.info(`Webhook subscription deleted: ${deleted.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Подписка удалена'
+    });
+  } catch (error) {
+    req.log.error(error, 'Delete webhook subscription error');
+    databaseError(res, 'Ошибка при удалении подписки');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/orders/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Журнал доставок подписки
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Доставки (от новых к старым)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *       400:
+ *         description: Некорректный ID подписки или параметры пагинации
+ *       404:
+ *         description: Подписка не найдена
+ */
+router.get('/webhooks/:id/deliveries', authenticateToken, authorizeRoles('admin'), validateSubscriptionId, async (req, res) => {
+  const { error, value } = deliveriesQuerySchema.validate(req.query);
+
+  if (error) {
+    return validationError(res, error);
+  }
+
+  const { page, limit, status } = value;
+
+  try {
+    const subscription = await webhookRepository.findSubscriptionById(req.params.id);
+
+    if (!subscription) {
+      return subscriptionNotFound(res);
+    }
+
+    const { deliveries, total } = await webhookRepository.findDeliveries(subscription.id, {
+      page,
+      limit,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get webhook deliveries error');
+    databaseError(res, 'Ошибка при получении доставок');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const path = require('path');
+
+// Хранилище файлов выбирается переменной STORAGE_DRIVER: local (по умолчанию) или s3.
+// Любая реализация предоставляет put(key, body, contentType), get(key) -> Readable, delete(key).
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local': {
+      const LocalStorage = require('./local');
+      return new LocalStorage({
+        root: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', '..', 'uploads')
+      });
+    }
+    case 's3': {
+      const S3Storage = require('./s3');
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET || 'defect-attachments',
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+
+// Удаление файлов не должно ломать удаление записей: ошибки возвращаются вызывающему
+const deleteFiles = async (keys) => {
+  const results = await Promise.allSettled(keys.filter(Boolean).map(key => storage.delete(key)));
+  return results.filter(result => result.status === 'rejected').map(result => result.reason);
+};
+
+module.exports = { storage, deleteFiles };
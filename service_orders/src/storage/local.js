@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+class LocalStorage {
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  }
+
+  async get(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -23,10 +23,18 @@ const options = {
         name: 'Defects',
         description: 'Управление дефектами в проектах',
       },
+      {
+        name: 'Webhooks',
+        description: 'Исходящие вебхуки о событиях проектов и дефектов (только для администраторов)',
+      },
       {
         name: 'Health',
         description: 'Проверка состояния сервиса',
       },
+      {
+        name: 'Monitoring',
+        description: 'Метрики для Prometheus',
+      },
     ],
     components: {
       schemas: {
@@ -72,6 +80,12 @@ const options = {
               type: 'number',
               example: 5000000
             },
+            memberRole: {
+              type: 'string',
+              enum: ['owner', 'manager', 'engineer', 'client_viewer'],
+              nullable: true,
+              description: 'Роль текущего пользователя в проекте'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -124,6 +138,171 @@ const options = {
               type: 'string',
               example: 'Корпус А, этаж 3, квартира 15'
             },
+            resolutionNote: {
+              type: 'string',
+              nullable: true,
+              description: 'Описание выполненного исправления'
+            },
+            resolvedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            closedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            commentCount: {
+              type: 'integer',
+              description: 'Количество комментариев (в списках дефектов)'
+            },
+            project_title: {
+              type: 'string',
+              description: 'Название проекта (в списках дефектов)'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: {
+              type: 'integer',
+              description: 'Только при пагинации по page'
+            },
+            limit: {
+              type: 'integer'
+            },
+            total: {
+              type: 'integer',
+              description: 'Только если includeTotal'
+            },
+            totalPages: {
+              type: 'integer',
+              description: 'Только при пагинации по page и includeTotal'
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Курсор следующей страницы; null, если страница последняя'
+            },
+            prevCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Курсор предыдущей страницы; null, если страница первая'
+            }
+          }
+        },
+        Comment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            defectId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            authorId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            body: {
+              type: 'string',
+              nullable: true,
+              description: 'null для удаленного комментария'
+            },
+            mentions: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              description: 'ID упомянутых пользователей'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            defectId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            uploaderId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            originalName: {
+              type: 'string',
+              example: 'трещина.jpg'
+            },
+            mimeType: {
+              type: 'string',
+              enum: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+            },
+            sizeBytes: {
+              type: 'integer'
+            },
+            downloadUrl: {
+              type: 'string'
+            },
+            thumbnailUrl: {
+              type: 'string',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ProjectMember: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            userId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'manager', 'engineer', 'client_viewer']
+            },
+            invitedBy: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -134,6 +313,151 @@ const options = {
             }
           }
         },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            action: {
+              type: 'string',
+              enum: ['create', 'update', 'delete']
+            },
+            actorId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true
+            },
+            requestId: {
+              type: 'string',
+              nullable: true
+            },
+            changes: {
+              type: 'object',
+              description: 'Изменения по полям: { поле: { from, to } }',
+              example: { severity: { from: 'critical', to: 'low' } }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        WebhookSubscription: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            url: {
+              type: 'string',
+              format: 'uri'
+            },
+            eventTypes: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['DefectStatusChanged']
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            active: {
+              type: 'boolean'
+            },
+            createdBy: {
+              type: 'string',
+              format: 'uuid'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            subscriptionId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            eventId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            eventType: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'succeeded', 'failed']
+            },
+            attempts: {
+              type: 'integer'
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            lastResponseStatus: {
+              type: 'integer',
+              nullable: true
+            },
+            lastError: {
+              type: 'string',
+              nullable: true
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        WebhookDeliveryAttempt: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            responseStatus: {
+              type: 'integer',
+              nullable: true
+            },
+            responseBody: {
+              type: 'string',
+              nullable: true,
+              description: 'Первые 2048 символов ответа'
+            },
+            error: {
+              type: 'string',
+              nullable: true
+            },
+            durationMs: {
+              type: 'integer'
+            },
+            attemptedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -155,6 +479,175 @@ const options = {
               }
             }
           }
+        },
+        Readiness: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                service: {
+                  type: 'string'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['ok', 'down']
+                },
+                timestamp: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                checks: {
+                  type: 'object',
+                  properties: {
+                    database: {
+                      type: 'object',
+                      properties: {
+                        status: {
+                          type: 'string',
+                          enum: ['ok', 'down']
+                        },
+                        latencyMs: {
+                          type: 'integer'
+                        },
+                        error: {
+                          type: 'string'
+                        },
+                        pool: {
+                          type: 'object',
+                          description: 'Соединения пула: всего, свободных и ожидающих запросов',
+                          properties: {
+                            total: {
+                              type: 'integer'
+                            },
+                            idle: {
+                              type: 'integer'
+                            },
+                            waiting: {
+                              type: 'integer'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      // Общие параметры пагинации, фильтрации и сортировки списков
+      parameters: {
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: {
+            type: 'string'
+          },
+          description: 'Курсор nextCursor или prevCursor из предыдущего ответа. Если указан, page не учитывается'
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'includeTotal',
+          schema: {
+            type: 'boolean'
+          },
+          description: 'Считать ли общее количество записей. По умолчанию true без cursor и false с cursor'
+        },
+        DefectSearch: {
+          in: 'query',
+          name: 'q',
+          schema: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 200
+          },
+          description: 'Полнотекстовый поиск по названию, месту и описанию (русский и английский). Поддерживает "фразы в кавычках", OR и -исключение',
+          example: 'трещина'
+        },
+        DefectStatusFilter: {
+          in: 'query',
+          name: 'status',
+          schema: {
+            type: 'string'
+          },
+          description: 'Статусы через запятую: reported, in_progress, resolved, closed',
+          example: 'reported,in_progress'
+        },
+        DefectSeverityFilter: {
+          in: 'query',
+          name: 'severity',
+          schema: {
+            type: 'string'
+          },
+          description: 'Критичности через запятую: low, medium, high, critical',
+          example: 'high,critical'
+        },
+        DefectAssigneeFilter: {
+          in: 'query',
+          name: 'assigneeId',
+          schema: {
+            type: 'string'
+          },
+          description: 'ID исполнителя, me — текущий пользователь, none — без исполнителя'
+        },
+        DefectReporterFilter: {
+          in: 'query',
+          name: 'reporterId',
+          schema: {
+            type: 'string'
+          },
+          description: 'ID автора или me — текущий пользователь'
+        },
+        DefectCreatedFrom: {
+          in: 'query',
+          name: 'createdFrom',
+          schema: {
+            type: 'string',
+            format: 'date-time'
+          },
+          description: 'Созданы не раньше указанного момента'
+        },
+        DefectCreatedTo: {
+          in: 'query',
+          name: 'createdTo',
+          schema: {
+            type: 'string',
+            format: 'date-time'
+          },
+          description: 'Созданы не позже указанного момента'
+        },
+        DefectUpdatedFrom: {
+          in: 'query',
+          name: 'updatedFrom',
+          schema: {
+            type: 'string',
+            format: 'date-time'
+          },
+          description: 'Изменены не раньше указанного момента'
+        },
+        DefectUpdatedTo: {
+          in: 'query',
+          name: 'updatedTo',
+          schema: {
+            type: 'string',
+            format: 'date-time'
+          },
+          description: 'Изменены не позже указанного момента'
+        },
+        DefectSort: {
+          in: 'query',
+          name: 'sort',
+          schema: {
+            type: 'string',
+            default: '-createdAt'
+          },
+          description: 'До трех полей через запятую, минус — по убыванию: createdAt, updatedAt, severity, status, title; relevance — только вместе с q. При поиске по умолчанию -relevance,-createdAt',
+          example: '-severity,createdAt'
         }
       },
       securitySchemes: {
@@ -0,0 +1,48 @@
+// Фоновая задача, которая запускается раз в intervalMs. Если task вернула полную пачку
+// (processed >= batchSize), следующий запуск выполняется сразу.
+class PollingWorker {
+  constructor({ name, task, logger, batchSize, intervalMs }) {
+    this.name = name;
+    this.task = task;
+    this.logger = logger;
+    this.batchSize = batchSize;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  schedule(delay) {
+    if (this.stopped) {
+      return;
+    }
+    this.timer = setTimeout(() => this.run(), delay);
+    this.timer.unref();
+  }
+
+  async run() {
+    let processed = 0;
+
+    try {
+      processed = await this.task(this.batchSize);
+    } catch (error) {
+      this.logger.error(error, `${this.name} error`);
+    }
+
+    this.schedule(processed >= this.batchSize ? 0 : this.intervalMs);
+  }
+}
+
+module.exports = PollingWorker;
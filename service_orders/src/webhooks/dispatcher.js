@@ -0,0 +1,79 @@
+const { webhookRepository } = require('../db/queries');
+const PollingWorker = require('../utils/pollingWorker');
+const { signPayload } = require('./signature');
+
+const MAX_STORED_BODY_LENGTH = 2048;
+
+// Отправляет одну доставку; ошибки сети и таймауты возвращаются как результат, а не исключение
+const sendDelivery = async (delivery, { timeoutMs }) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'construction-orders-webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const text = await response.text().catch(() => '');
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      body: text.slice(0, MAX_STORED_BODY_LENGTH),
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: error.name === 'TimeoutError' ? `Timeout after ${timeoutMs}ms` : String(error.message || error),
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+// Повторы с экспоненциальной задержкой: retryBaseSeconds, 2x, 4x ... до maxAttempts попыток,
+// после чего доставка получает статус failed и может быть отправлена повторно вручную
+const createWebhookDispatcher = ({
+  logger,
+  batchSize = 10,
+  intervalMs = 2000,
+  timeoutMs = 10000,
+  maxAttempts = 8,
+  retryBaseSeconds = 30
+}) => new PollingWorker({
+  name: 'Webhook dispatcher',
+  logger,
+  batchSize,
+  intervalMs,
+  task: async (limit) => {
+    // Аренда покрывает последовательную отправку всей пачки с запасом
+    const result = await webhookRepository.processPending(
+      limit,
+      (delivery) => sendDelivery(delivery, { timeoutMs }),
+      { maxAttempts, retryBaseSeconds, claimSeconds: Math.ceil(limit * timeoutMs / 1000) + 30 }
+    );
+
+    if (result.processed > result.succeeded) {
+      logger.warn(`Webhook deliveries failed: ${result.processed - result.succeeded} of ${result.processed}`);
+    }
+
+    return result.processed;
+  }
+});
+
+module.exports = { createWebhookDispatcher, sendDelivery };
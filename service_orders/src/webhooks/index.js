@@ -0,0 +1,28 @@
+const { subscribe } = require('../events');
+const { webhookRepository } = require('../db/queries');
+const { createWebhookDispatcher } = require('./dispatcher');
+
+let dispatcher = null;
+
+// Каждое опубликованное событие раскладывается на доставки для подходящих подписок.
+// Ошибка записи приводит к повторной публикации события из outbox, дубликаты отсекает UNIQUE(subscription_id, event_id)
+const startWebhooks = (logger) => {
+  if (dispatcher) {
+    return dispatcher;
+  }
+
+  subscribe('*', (event) => webhookRepository.createDeliveriesForEvent(event));
+
+  dispatcher = createWebhookDispatcher({
+    logger,
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '10'),
+    intervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '2000'),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30')
+  });
+  dispatcher.start();
+  return dispatcher;
+};
+
+module.exports = { startWebhooks };
@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// Подпись вычисляется по строке `${timestamp}.${body}`: получатель проверяет и подпись,
+// и возраст метки времени, чтобы перехваченный запрос нельзя было воспроизвести позже
+const signPayload = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+module.exports = { signPayload, generateSecret };
@@ -0,0 +1,54 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { ALLOWED_TYPES, detectMimeType, createThumbnail } = require('../src/domain/attachments');
+
+const image = (format) => sharp({
+  create: { width: 640, height: 480, channels: 3, background: { r: 200, g: 120, b: 40 } }
+})[format]().toBuffer();
+
+describe('тип вложения по содержимому', () => {
+  const files = {};
+
+  before(async () => {
+    files.jpeg = await image('jpeg');
+    files.png = await image('png');
+    files.webp = await image('webp');
+  });
+
+  it('распознает JPEG, PNG и WebP по сигнатуре', () => {
+    assert.equal(detectMimeType(files.jpeg), 'image/jpeg');
+    assert.equal(detectMimeType(files.png), 'image/png');
+    assert.equal(detectMimeType(files.webp), 'image/webp');
+  });
+
+  it('распознает PDF по заголовку %PDF-', () => {
+    assert.equal(detectMimeType(Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n')), 'application/pdf');
+  });
+
+  it('отклоняет файл с подмененным расширением: тип берется из содержимого, а не из имени', () => {
+    // «photo.jpg» с HTML и «report.pdf» с исполняемым файлом
+    assert.equal(detectMimeType(Buffer.from('<html><script>alert(1)</script></html>')), null);
+    assert.equal(detectMimeType(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00])), null);
+    assert.equal(detectMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+  });
+
+  it('не принимает обрезанные и пустые сигнатуры', () => {
+    assert.equal(detectMimeType(Buffer.alloc(0)), null);
+    assert.equal(detectMimeType(files.png.subarray(0, 4)), null);
+    assert.equal(detectMimeType(Buffer.from('RIFF\x00\x00\x00\x00WAVE')), null);
+    assert.equal(detectMimeType(Buffer.from('%PD')), null);
+  });
+
+  it('расширение сохраненного файла задается распознанным типом', () => {
+    assert.equal(ALLOWED_TYPES[detectMimeType(files.png)].extension, '.png');
+  });
+
+  it('миниатюра — JPEG, вписанный в 320 точек', async () => {
+    const thumbnail = await createThumbnail(files.png);
+    const metadata = await sharp(thumbnail).metadata();
+
+    assert.equal(detectMimeType(thumbnail), 'image/jpeg');
+    assert.deepEqual([metadata.width, metadata.height], [320, 240]);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffChanges, auditContext, historyQuerySchema } = require('../src/domain/audit');
+
+const defect = {
+  id: '44444444-4444-4444-8444-444444444444',
+  title: 'Трещина в стене',
+  severity: 'high',
+  assignee_id: null,
+  location: 'Секция 2',
+  created_at: new Date('2024-01-01T10:00:00Z'),
+  updated_at: new Date('2024-01-01T10:00:00Z')
+};
+
+describe('diff версий записи', () => {
+  it('неизмененные поля и служебные поля в историю не попадают', () => {
+    const after = { ...defect, updated_at: new Date('2024-02-01T10:00:00Z') };
+
+    assert.deepEqual(diffChanges(defect, after), {});
+  });
+
+  it('измененное, назначенное и очищенное поле записываются со старым и новым значением', () => {
+    const after = {
+      ...defect,
+      severity: 'critical',
+      assignee_id: '22222222-2222-4222-8222-222222222222',
+      location: null
+    };
+
+    assert.deepEqual(diffChanges(defect, after), {
+      severity: { from: 'high', to: 'critical' },
+      assignee_id: { from: null, to: '22222222-2222-4222-8222-222222222222' },
+      location: { from: 'Секция 2', to: null }
+    });
+  });
+
+  it('при создании и удалении все поля сравниваются с null', () => {
+    assert.deepEqual(diffChanges(null, { id: defect.id, title: defect.title, assignee_id: null }), {
+      title: { from: null, to: 'Трещина в стене' }
+    });
+    assert.deepEqual(diffChanges({ title: defect.title }, null), {
+      title: { from: 'Трещина в стене', to: null }
+    });
+  });
+
+  it('даты сравниваются по значению, поле без значения равно null', () => {
+    const due = new Date('2024-03-01T00:00:00Z');
+
+    assert.deepEqual(diffChanges({ due_at: due }, { due_at: new Date(due.getTime()) }), {});
+    assert.deepEqual(diffChanges({ due_at: due }, {}), { due_at: { from: '2024-03-01T00:00:00.000Z', to: null } });
+    assert.deepEqual(diffChanges({ note: undefined }, { note: null }), {});
+  });
+});
+
+describe('контекст записи аудита', () => {
+  it('содержит автора и идентификатор запроса', () => {
+    const req = { user: { id: 'user-1' }, headers: { 'x-request-id': 'req-1' } };
+
+    assert.deepEqual(auditContext(req), { actorId: 'user-1', requestId: 'req-1' });
+    assert.deepEqual(auditContext({ headers: {} }), { actorId: null, requestId: null });
+  });
+});
+
+describe('параметры истории изменений', () => {
+  it('по умолчанию первая страница по 20 записей', () => {
+    assert.deepEqual(historyQuerySchema.validate({}).value, { page: 1, limit: 20 });
+  });
+
+  it('limit ограничен сотней, page и limit — положительные целые', () => {
+    assert.deepEqual(historyQuerySchema.validate({ page: '2', limit: '100' }).value, { page: 2, limit: 100 });
+
+    for (const query of [{ limit: '101' }, { limit: '0' }, { limit: 'abc' }, { page: '0' }, { page: '1.5' }]) {
+      assert.ok(historyQuerySchema.validate(query).error, JSON.stringify(query));
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { defectListQuerySchema, toDefectFilters } = require('../src/domain/defectFilters');
+const { defectRepository, pool } = require('../src/db/queries');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111' };
+const PROJECT_ID = '33333333-3333-4333-8333-333333333333';
+const ASSIGNEE = '22222222-2222-4222-8222-222222222222';
+
+const parse = (query) => defectListQuerySchema.validate(query);
+
+const filtersFor = (query) => {
+  const { error, value } = parse(query);
+  assert.ifError(error);
+  return toDefectFilters(value, USER);
+};
+
+describe('параметры списка дефектов', () => {
+  it('списки через запятую разбираются в массивы без пустых элементов', () => {
+    const filters = filtersFor({ status: 'reported, in_progress', severity: 'high,,critical' });
+
+    assert.deepEqual(filters.statuses, ['reported', 'in_progress']);
+    assert.deepEqual(filters.severities, ['high', 'critical']);
+  });
+
+  it('неизвестные и повторяющиеся значения списка отклоняются', () => {
+    assert.ok(parse({ status: 'reported,archived' }).error);
+    assert.ok(parse({ severity: 'high,high' }).error);
+  });
+
+  it('сортировка принимает только разрешенные поля, каждое один раз и не больше трех', () => {
+    assert.deepEqual(filtersFor({ sort: '-severity,createdAt' }).sort, [
+      { field: 'severity', direction: 'desc' },
+      { field: 'createdAt', direction: 'asc' }
+    ]);
+    assert.ok(parse({ sort: 'reporter_id' }).error);
+    assert.ok(parse({ sort: 'title,-title' }).error);
+    assert.ok(parse({ sort: 'title,status,severity,createdAt' }).error);
+  });
+
+  it('сортировка по релевантности допустима только вместе с поиском q', () => {
+    assert.ok(parse({ sort: '-relevance' }).error);
+    assert.deepEqual(filtersFor({ q: 'трещина', sort: '-relevance' }).sort, [{ field: 'relevance', direction: 'desc' }]);
+  });
+
+  it('по умолчанию новые первыми, а при поиске — сначала наиболее релевантные', () => {
+    assert.deepEqual(filtersFor({}).sort, [{ field: 'createdAt', direction: 'desc' }]);
+    assert.deepEqual(filtersFor({ q: 'трещина' }).sort, [
+      { field: 'relevance', direction: 'desc' },
+      { field: 'createdAt', direction: 'desc' }
+    ]);
+  });
+
+  it('me заменяется на текущего пользователя, none остается признаком отсутствия исполнителя', () => {
+    assert.equal(filtersFor({ assigneeId: 'me', reporterId: 'me' }).assigneeId, USER.id);
+    assert.equal(filtersFor({ reporterId: 'me' }).reporterId, USER.id);
+    assert.equal(filtersFor({ assigneeId: 'none' }).assigneeId, 'none');
+    assert.ok(parse({ reporterId: 'none' }).error);
+  });
+
+  it('конец периода не может быть раньше начала', () => {
+    assert.ok(parse({ createdFrom: '2024-05-01', createdTo: '2024-04-01' }).error);
+    assert.ifError(parse({ updatedFrom: '2024-04-01', updatedTo: '2024-05-01' }).error);
+  });
+
+  it('короткий поисковый запрос и limit больше 100 отклоняются', () => {
+    assert.ok(parse({ q: 'a' }).error);
+    assert.ok(parse({ limit: 101 }).error);
+  });
+});
+
+describe('запрос списка дефектов проекта', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // Возвращает текст и параметры запроса страницы (второй вызов — подсчет total)
+  const runQuery = async (query) => {
+    const calls = [];
+    mock.method(pool, 'query', async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: sql.includes('COUNT(*) as total') ? [{ total: '0' }] : [] };
+    });
+
+    await defectRepository.findByProjectId(PROJECT_ID, filtersFor(query));
+    return calls.find(call => !call.sql.includes('COUNT(*) as total'));
+  };
+
+  it('фильтры передаются параметрами, а не подставляются в текст', async () => {
+    const { sql, params } = await runQuery({
+      status: 'reported,in_progress',
+      severity: 'critical',
+      assigneeId: ASSIGNEE,
+      reporterId: 'me',
+      createdFrom: '2024-01-01',
+      limit: '5'
+    });
+
+    assert.match(sql, /defects\.project_id = \$1/);
+    assert.match(sql, /defects\.status = ANY\(\$2\)/);
+    assert.match(sql, /defects\.severity = ANY\(\$3\)/);
+    assert.match(sql, /defects\.assignee_id = \$4/);
+    assert.match(sql, /defects\.reporter_id = \$5/);
+    assert.match(sql, /defects\.created_at >= \$6/);
+    assert.deepEqual(params.slice(0, 5), [PROJECT_ID, ['reported', 'in_progress'], ['critical'], ASSIGNEE, USER.id]);
+    assert.deepEqual(params[5], new Date('2024-01-01'));
+    // limit + 1 — признак следующей страницы, затем offset
+    assert.deepEqual(params.slice(6), [6, 0]);
+    assert.ok(!sql.includes(ASSIGNEE));
+  });
+
+  it('assigneeId=none ищет дефекты без исполнителя без параметра', async () => {
+    const { sql, params } = await runQuery({ assigneeId: 'none' });
+
+    assert.match(sql, /defects\.assignee_id IS NULL/);
+    assert.deepEqual(params, [PROJECT_ID, 11, 0]);
+  });
+
+  it('поиск использует один параметр для обеих конфигураций и ранжирует по нему', async () => {
+    const { sql, params } = await runQuery({ q: 'трещина в стене' });
+
+    assert.match(sql, /websearch_to_tsquery\('russian', \$2\) \|\| websearch_to_tsquery\('english', \$2\)/);
+    assert.match(sql, /ORDER BY ts_rank\(/);
+    assert.equal(params[1], 'трещина в стене');
+  });
+
+  it('сортировка по критичности идет по смыслу, а не по алфавиту', async () => {
+    const { sql } = await runQuery({ sort: '-severity' });
+
+    assert.match(sql, /ORDER BY CASE defects\.severity WHEN 'low' THEN 1 .* END DESC, defects\.id DESC/);
+  });
+});
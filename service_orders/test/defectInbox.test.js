@@ -0,0 +1,108 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { signIdentity } = require('../../config/serviceIdentity');
+const { pool } = require('../src/db/queries');
+const defectRoutes = require('../src/routes/defects');
+
+const ENGINEER = { id: '11111111-1111-4111-8111-111111111111', email: 'engineer@example.com', roles: ['engineer'] };
+const ADMIN = { id: '99999999-9999-4999-8999-999999999999', email: 'admin@example.com', roles: ['admin'] };
+const PROJECT_ID = '33333333-3333-4333-8333-333333333333';
+
+// Заголовки пользователя, подписанные так же, как их подписывает gateway
+const identityHeaders = (user, method, path) => {
+  const identity = {
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    method,
+    path,
+    id: user.id,
+    email: user.email,
+    roles: JSON.stringify(user.roles)
+  };
+
+  return {
+    'x-user-id': identity.id,
+    'x-user-email': identity.email,
+    'x-user-roles': identity.roles,
+    'x-identity-timestamp': identity.timestamp,
+    'x-identity-signature': signIdentity(identity)
+  };
+};
+
+describe('дефекты по всем проектам пользователя', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.log = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+      next();
+    });
+    app.use('/api/v1/orders', defectRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // Возвращает ответ и запрос страницы дефектов, отправленный в БД
+  const listDefects = async (user, query = '') => {
+    const path = `/api/v1/orders/defects${query}`;
+    const queries = [];
+    mock.method(pool, 'query', async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: sql.includes('COUNT(*) as total') ? [{ total: '0' }] : [] };
+    });
+
+    const response = await fetch(`${baseUrl}${path}`, { headers: identityHeaders(user, 'GET', path) });
+    const page = queries.find(item => !item.sql.includes('COUNT(*) as total'));
+    return { status: response.status, body: await response.json(), page };
+  };
+
+  it('участник видит дефекты только своих проектов', async () => {
+    const { status, page } = await listDefects(ENGINEER);
+
+    assert.equal(status, 200);
+    assert.match(page.sql, /defects\.project_id IN \(SELECT project_id FROM project_members WHERE user_id = \$1\)/);
+    assert.equal(page.params[0], ENGINEER.id);
+  });
+
+  it('scope=managed оставляет проекты, где пользователь владелец или менеджер', async () => {
+    const { page } = await listDefects(ENGINEER, '?scope=managed');
+
+    assert.match(page.sql, /WHERE user_id = \$1 AND role = ANY\(\$2\)/);
+    assert.deepEqual(page.params.slice(0, 2), [ENGINEER.id, ['owner', 'manager']]);
+  });
+
+  it('admin видит все проекты без условия участия', async () => {
+    const { page } = await listDefects(ADMIN);
+
+    assert.ok(!page.sql.includes('project_members'));
+  });
+
+  it('«назначенные мне» и «созданные мной» фильтруются по текущему пользователю', async () => {
+    const assigned = await listDefects(ENGINEER, '?assigneeId=me');
+    assert.match(assigned.page.sql, /defects\.assignee_id = \$2/);
+    assert.equal(assigned.page.params[1], ENGINEER.id);
+
+    const reported = await listDefects(ENGINEER, `?reporterId=me&projectId=${PROJECT_ID}`);
+    assert.match(reported.page.sql, /defects\.project_id = ANY\(\$2\)/);
+    assert.match(reported.page.sql, /defects\.reporter_id = \$3/);
+    assert.deepEqual(reported.page.params.slice(0, 3), [ENGINEER.id, [PROJECT_ID], ENGINEER.id]);
+  });
+
+  it('неизвестный scope отклоняется', async () => {
+    const { status, body, page } = await listDefects(ENGINEER, '?scope=everything');
+
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'VALIDATION_ERROR');
+    assert.equal(page, undefined);
+  });
+});
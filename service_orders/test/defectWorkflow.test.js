@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFECT_STATUSES,
+  getActorRoles,
+  getAllowedTransitions,
+  checkTransition
+} = require('../src/domain/defectWorkflow');
+
+const REPORTER = '11111111-1111-4111-8111-111111111111';
+const ASSIGNEE = '22222222-2222-4222-8222-222222222222';
+const defect = { reporter_id: REPORTER, assignee_id: ASSIGNEE };
+
+describe('роли участника относительно дефекта', () => {
+  it('объединяют роль в проекте и роль относительно дефекта', () => {
+    assert.deepEqual(getActorRoles({ id: ASSIGNEE }, defect, { isAdmin: false, role: 'engineer' }), ['assignee']);
+    assert.deepEqual(getActorRoles({ id: REPORTER }, defect, { isAdmin: false, role: 'owner' }), ['project_owner', 'reporter']);
+    assert.deepEqual(getActorRoles({ id: 'other' }, defect, { isAdmin: true, role: 'manager' }), ['admin', 'manager']);
+    assert.deepEqual(getActorRoles({ id: 'other' }, defect, { isAdmin: false, role: 'client_viewer' }), []);
+  });
+});
+
+describe('переходы статуса дефекта', () => {
+  it('исполнитель берет дефект в работу и исправляет его с описанием решения', () => {
+    assert.deepEqual(checkTransition('reported', 'in_progress', ['assignee']), { allowed: true });
+    assert.deepEqual(
+      checkTransition('in_progress', 'resolved', ['assignee'], { resolutionNote: 'Трещина заделана' }),
+      { allowed: true }
+    );
+  });
+
+  it('без обязательных полей переход отклоняется со списком полей', () => {
+    assert.deepEqual(
+      checkTransition('in_progress', 'resolved', ['assignee'], {}),
+      { allowed: false, reason: 'MISSING_FIELDS', missing: ['resolutionNote'] }
+    );
+    assert.deepEqual(
+      checkTransition('reported', 'closed', ['manager'], { comment: '' }),
+      { allowed: false, reason: 'MISSING_FIELDS', missing: ['comment'] }
+    );
+  });
+
+  it('исправление принимает автор или владелец проекта, но не исполнитель', () => {
+    assert.deepEqual(checkTransition('resolved', 'closed', ['reporter']), { allowed: true });
+    assert.deepEqual(checkTransition('resolved', 'closed', ['project_owner']), { allowed: true });
+    assert.deepEqual(checkTransition('resolved', 'closed', ['assignee']), { allowed: false, reason: 'TRANSITION_FORBIDDEN' });
+  });
+
+  it('закрытый дефект переоткрывает только менеджер или админ с комментарием', () => {
+    assert.deepEqual(checkTransition('closed', 'in_progress', ['reporter'], { comment: 'Снова течет' }), {
+      allowed: false,
+      reason: 'TRANSITION_FORBIDDEN'
+    });
+    assert.deepEqual(checkTransition('closed', 'in_progress', ['manager'], { comment: 'Снова течет' }), { allowed: true });
+  });
+
+  it('переходы в обход жизненного цикла недопустимы для любой роли', () => {
+    const everyone = ['admin', 'manager', 'project_owner', 'reporter', 'assignee'];
+
+    assert.deepEqual(checkTransition('reported', 'resolved', everyone, { resolutionNote: 'Готово' }), {
+      allowed: false,
+      reason: 'INVALID_TRANSITION'
+    });
+    assert.deepEqual(checkTransition('closed', 'resolved', everyone), { allowed: false, reason: 'INVALID_TRANSITION' });
+    assert.deepEqual(checkTransition('unknown', 'closed', everyone), { allowed: false, reason: 'INVALID_TRANSITION' });
+  });
+
+  it('для каждого статуса перечисляет только доступные роли переходы', () => {
+    assert.deepEqual(getAllowedTransitions('reported', ['assignee']), [{ status: 'in_progress', requires: [] }]);
+    assert.deepEqual(getAllowedTransitions('reported', ['manager']), [
+      { status: 'in_progress', requires: [] },
+      { status: 'closed', requires: ['comment'] }
+    ]);
+    assert.deepEqual(getAllowedTransitions('closed', ['reporter']), []);
+  });
+
+  it('все статусы достижимы и из каждого есть выход', () => {
+    const reachable = new Set(['reported']);
+    for (const status of DEFECT_STATUSES) {
+      const targets = getAllowedTransitions(status, ['admin']).map(transition => transition.status);
+      assert.ok(targets.length > 0, status);
+      targets.forEach(target => reachable.add(target));
+    }
+
+    assert.deepEqual([...reachable].sort(), [...DEFECT_STATUSES].sort());
+  });
+});
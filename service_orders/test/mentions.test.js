@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MENTIONS, extractMentions } = require('../src/domain/mentions');
+
+const ENGINEER = '123e4567-e89b-12d3-a456-426614174000';
+const MANAGER = '22222222-2222-4222-8222-222222222222';
+
+const userId = (index) => `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`;
+
+describe('упоминания в комментарии', () => {
+  it('находит все упоминания в порядке появления', () => {
+    assert.deepEqual(
+      extractMentions(`@${ENGINEER} проверьте, пожалуйста. Копия: @${MANAGER}`),
+      [ENGINEER, MANAGER]
+    );
+  });
+
+  it('повторные упоминания и упоминания в другом регистре учитываются один раз', () => {
+    const body = `@${ENGINEER.toUpperCase()} и еще раз @${ENGINEER}, @${ENGINEER}`;
+
+    assert.deepEqual(extractMentions(body), [ENGINEER]);
+  });
+
+  it('не считает упоминанием email, обрезанный id и текст без @', () => {
+    const body = `пишите на user@example.com, @123e4567-e89b-12d3, ${MANAGER}, @${ENGINEER}x`;
+
+    assert.deepEqual(extractMentions(body), []);
+  });
+
+  it(`возвращает не больше ${MAX_MENTIONS} первых пользователей`, () => {
+    const body = Array.from({ length: MAX_MENTIONS + 5 }, (_, index) => `@${userId(index)}`).join(' ');
+    const mentions = extractMentions(body);
+
+    assert.equal(mentions.length, MAX_MENTIONS);
+    assert.equal(mentions.at(-1), userId(MAX_MENTIONS - 1));
+  });
+});
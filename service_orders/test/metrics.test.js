@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { register, httpMetrics, startBusinessMetrics } = require('../src/metrics');
+const { outboxRepository } = require('../src/db/queries');
+
+const DEFECT_ID = '44444444-4444-4444-8444-444444444444';
+
+// Значения счетчика с метками, например [{ method, route, status_code }, 2]
+const counterValues = async (name) => {
+  const metric = (await register.getMetricsAsJSON()).find(item => item.name === name);
+  return metric.values.map(({ labels, value }) => [labels, value]);
+};
+
+describe('метрики HTTP-запросов', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const router = express.Router();
+    router.get('/defects/:id', (req, res) => res.json({ success: true }));
+    router.put('/defects/:id', (req, res) => res.status(404).json({ success: false }));
+
+    const app = express();
+    app.use(httpMetrics);
+    app.use('/api/v1/orders', router);
+    app.use((req, res) => res.status(404).json({ success: false }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('помечаются шаблоном маршрута, а не фактическим путем', async () => {
+    await fetch(`${baseUrl}/api/v1/orders/defects/${DEFECT_ID}`);
+    await fetch(`${baseUrl}/api/v1/orders/defects/another-id`);
+    await fetch(`${baseUrl}/api/v1/orders/defects/${DEFECT_ID}`, { method: 'PUT' });
+    await fetch(`${baseUrl}/api/v1/orders/unknown/${DEFECT_ID}`);
+
+    assert.deepEqual(await counterValues('http_requests_total'), [
+      [{ method: 'GET', route: '/api/v1/orders/defects/:id', status_code: 200 }, 2],
+      [{ method: 'PUT', route: '/api/v1/orders/defects/:id', status_code: 404 }, 1],
+      [{ method: 'GET', route: 'unmatched', status_code: 404 }, 1]
+    ]);
+
+    const exposition = await register.metrics();
+    assert.ok(!exposition.includes(DEFECT_ID));
+  });
+});
+
+describe('бизнес-метрики', () => {
+  // Клиент транзакции, которая сразу фиксируется
+  const client = {
+    query: async () => ({ rows: [] }),
+    afterCommit: (callback) => callback()
+  };
+
+  it('считаются по событиям, записанным в outbox', async () => {
+    startBusinessMetrics();
+
+    await outboxRepository.enqueue(client, 'DefectReported', DEFECT_ID, {
+      defectId: DEFECT_ID,
+      projectId: '33333333-3333-4333-8333-333333333333',
+      reporterId: '11111111-1111-4111-8111-111111111111',
+      title: 'Трещина в стене',
+      severity: 'critical'
+    });
+    await outboxRepository.enqueue(client, 'DefectStatusChanged', DEFECT_ID, {
+      defectId: DEFECT_ID,
+      projectId: '33333333-3333-4333-8333-333333333333',
+      oldStatus: 'reported',
+      newStatus: 'in_progress'
+    });
+
+    assert.deepEqual(await counterValues('defects_created_total'), [[{ severity: 'critical' }, 1]]);
+    assert.deepEqual(await counterValues('defect_status_transitions_total'), [[{ from: 'reported', to: 'in_progress' }, 1]]);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_TYPES, describeEvent } = require('../src/events/catalog');
+const { outboxRepository, pool } = require('../src/db/queries');
+const { createOutboxRelay } = require('../src/events/relay');
+
+const DEFECT_ID = '44444444-4444-4444-8444-444444444444';
+const PROJECT_ID = '33333333-3333-4333-8333-333333333333';
+const REPORTER_ID = '11111111-1111-4111-8111-111111111111';
+
+const reported = {
+  defectId: DEFECT_ID,
+  projectId: PROJECT_ID,
+  reporterId: REPORTER_ID,
+  title: 'Трещина в стене',
+  severity: 'high'
+};
+
+describe('каталог событий', () => {
+  it('описывает событие с версией и типом агрегата', () => {
+    assert.deepEqual(describeEvent('DefectReported', reported), {
+      type: 'DefectReported',
+      version: 1,
+      aggregateType: 'defect',
+      payload: reported
+    });
+  });
+
+  it('отклоняет неизвестный тип события', () => {
+    assert.ok(!EVENT_TYPES.includes('DefectArchived'));
+    assert.throws(() => describeEvent('DefectArchived', reported), /Unknown event type: DefectArchived/);
+  });
+
+  it('отклоняет payload без обязательных полей, с лишними полями и неверными значениями', () => {
+    const withoutTitle = { ...reported };
+    delete withoutTitle.title;
+
+    for (const payload of [
+      withoutTitle,
+      { ...reported, severity: 'urgent' },
+      { ...reported, projectId: 'project-1' },
+      { ...reported, internalNote: 'не для потребителей' }
+    ]) {
+      assert.throws(() => describeEvent('DefectReported', payload), /Invalid DefectReported payload/);
+    }
+  });
+
+  it('снятие исполнителя передается явным null', () => {
+    const payload = { defectId: DEFECT_ID, projectId: PROJECT_ID, assigneeId: null, previousAssigneeId: REPORTER_ID };
+
+    assert.equal(describeEvent('DefectAssigned', payload).payload.assigneeId, null);
+    assert.throws(() => describeEvent('DefectAssigned', { ...payload, assigneeId: undefined }), /"assigneeId" is required/);
+  });
+});
+
+describe('публикация событий из outbox', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const row = (id, createdAt) => ({
+    id,
+    event_type: 'DefectReported',
+    event_version: 1,
+    aggregate_type: 'defect',
+    aggregate_id: DEFECT_ID,
+    payload: reported,
+    metadata: { actorId: REPORTER_ID, requestId: null },
+    created_at: new Date(createdAt)
+  });
+
+  // Запрос аренды возвращает rows, остальные запросы записываются
+  const mockOutbox = (rows) => {
+    const queries = [];
+    mock.method(pool, 'query', async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: /RETURNING \*/.test(sql) ? rows : [] };
+    });
+    return queries;
+  };
+
+  it('пачка берется в аренду на OUTBOX_CLAIM_SECONDS и возвращается в порядке создания', async () => {
+    const queries = mockOutbox([row('event-2', '2024-01-01T10:00:02Z'), row('event-1', '2024-01-01T10:00:01Z')]);
+
+    const rows = await outboxRepository.claimPending(10);
+
+    assert.deepEqual(rows.map(item => item.id), ['event-1', 'event-2']);
+    assert.match(queries[0].sql, /SET next_attempt_at = NOW\(\) \+ make_interval\(secs => \$2\)/);
+    assert.match(queries[0].sql, /FOR UPDATE SKIP LOCKED/);
+    assert.deepEqual(queries[0].params, [10, 60]);
+  });
+
+  it('при ошибке брокера событие остается неопубликованным и получает задержку вместо аренды', async () => {
+    const queries = mockOutbox([row('event-1', '2024-01-01T10:00:01Z'), row('event-2', '2024-01-01T10:00:02Z')]);
+    const published = [];
+
+    const result = await outboxRepository.processPending(10, async (event) => {
+      if (event.id === 'event-1') {
+        throw new Error('Broker unavailable');
+      }
+      published.push(event);
+    });
+
+    assert.equal(result.processed, 2);
+    assert.equal(result.published, 1);
+    assert.deepEqual(result.failures.map(failure => failure.id), ['event-1']);
+
+    const [, failed, succeeded] = queries;
+    assert.match(failed.sql, /attempts = attempts \+ 1/);
+    assert.match(failed.sql, /next_attempt_at = NOW\(\) \+ make_interval\(secs => LEAST\(POWER\(2, attempts \+ 1\), \$3\)\)/);
+    assert.ok(!/published_at/.test(failed.sql));
+    assert.deepEqual(failed.params, ['event-1', 'Broker unavailable', 300]);
+
+    assert.match(succeeded.sql, /SET published_at = NOW\(\)/);
+    assert.deepEqual(succeeded.params, ['event-2']);
+
+    assert.deepEqual(published[0], {
+      id: 'event-2',
+      type: 'DefectReported',
+      version: 1,
+      aggregateType: 'defect',
+      aggregateId: DEFECT_ID,
+      occurredAt: '2024-01-01T10:00:02.000Z',
+      payload: reported,
+      metadata: { actorId: REPORTER_ID, requestId: null }
+    });
+  });
+
+  it('relay сообщает об ошибке публикации и продолжает работу', async () => {
+    mockOutbox([row('event-1', '2024-01-01T10:00:01Z')]);
+    const logger = { warn: mock.fn(), debug: mock.fn(), error: mock.fn() };
+    const relay = createOutboxRelay({
+      publish: async () => {
+        throw new Error('Broker unavailable');
+      },
+      logger,
+      batchSize: 50
+    });
+
+    assert.equal(await relay.task(50), 1);
+    assert.equal(logger.warn.mock.callCount(), 1);
+    assert.equal(logger.warn.mock.calls[0].arguments[0].eventId, 'event-1');
+    assert.equal(logger.debug.mock.callCount(), 0);
+  });
+});
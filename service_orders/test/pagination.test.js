@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Joi = require('joi');
+const { cursorQuery, Keyset, paginationMeta } = require('../../config/pagination');
+
+const keyset = new Keyset([
+  { name: 'createdAt', expression: 'created_at', type: 'timestamptz', direction: 'desc' },
+  { name: 'id', expression: 'id', type: 'uuid', direction: 'desc' }
+]);
+
+const row = (index) => ({
+  id: `00000000-0000-4000-8000-00000000000${index}`,
+  title: `row ${index}`,
+  cursor_values: [`2024-01-0${index} 10:00:00.123456+00`, `00000000-0000-4000-8000-00000000000${index}`]
+});
+
+const encodeRaw = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const assertInvalid = (cursor) => {
+  assert.throws(() => keyset.decode(cursor), (error) => error.code === 'INVALID_CURSOR');
+};
+
+describe('курсор keyset-пагинации', () => {
+  it('декодирует выданный курсор без потери точности значений', () => {
+    const cursor = keyset.encode(row(1), 'next');
+
+    assert.deepEqual(keyset.decode(cursor), { values: row(1).cursor_values, backward: false });
+    assert.equal(keyset.decode(keyset.encode(row(1), 'prev')).backward, true);
+  });
+
+  it('не принимает курсор другой сортировки', () => {
+    const other = new Keyset([
+      { name: 'createdAt', expression: 'created_at', type: 'timestamptz', direction: 'asc' },
+      { name: 'id', expression: 'id', type: 'uuid', direction: 'asc' }
+    ]);
+
+    assertInvalid(other.encode(row(1), 'next'));
+  });
+
+  it('не принимает поврежденный курсор', () => {
+    assertInvalid('not-a-cursor');
+    assertInvalid(encodeRaw(null));
+    assertInvalid(encodeRaw({ k: keyset.key, d: 'sideways', v: row(1).cursor_values }));
+    assertInvalid(encodeRaw({ k: keyset.key, d: 'next', v: [row(1).cursor_values[0]] }));
+  });
+
+  it('проверяет значения по типу столбца до запроса', () => {
+    assertInvalid(encodeRaw({ k: keyset.key, d: 'next', v: ['yesterday', row(1).id] }));
+    assertInvalid(encodeRaw({ k: keyset.key, d: 'next', v: [row(1).cursor_values[0], "1' OR '1'='1"] }));
+    assertInvalid(encodeRaw({ k: keyset.key, d: 'next', v: [row(1).cursor_values[0], 42] }));
+  });
+});
+
+describe('условие и порядок keyset', () => {
+  it('передает значения курсора параметрами с приведением типа', () => {
+    const params = ['project-id'];
+    const where = keyset.where({ values: row(1).cursor_values, backward: false }, params);
+
+    assert.equal(where, '((created_at < $2::timestamptz) OR (created_at = $2::timestamptz AND id < $3::uuid))');
+    assert.deepEqual(params, ['project-id', ...row(1).cursor_values]);
+  });
+
+  it('при движении назад меняет сравнение и порядок на обратные', () => {
+    const where = keyset.where({ values: row(1).cursor_values, backward: true }, []);
+
+    assert.equal(where, '((created_at > $1::timestamptz) OR (created_at = $1::timestamptz AND id > $2::uuid))');
+    assert.equal(keyset.orderBy(), 'created_at DESC, id DESC');
+    assert.equal(keyset.orderBy(true), 'created_at ASC, id ASC');
+  });
+});
+
+describe('страница keyset', () => {
+  it('первая страница: есть следующая, нет предыдущей', () => {
+    const { rows, nextCursor, prevCursor } = keyset.page([row(1), row(2), row(3)], { limit: 2 });
+
+    assert.deepEqual(rows.map(item => item.title), ['row 1', 'row 2']);
+    assert.ok(!('cursor_values' in rows[0]));
+    assert.deepEqual(keyset.decode(nextCursor), { values: row(2).cursor_values, backward: false });
+    assert.equal(prevCursor, null);
+  });
+
+  it('последняя страница по курсору: есть только предыдущая', () => {
+    const cursor = { values: row(2).cursor_values, backward: false };
+    const { rows, nextCursor, prevCursor } = keyset.page([row(3)], { limit: 2, cursor });
+
+    assert.deepEqual(rows.map(item => item.title), ['row 3']);
+    assert.equal(nextCursor, null);
+    assert.deepEqual(keyset.decode(prevCursor), { values: row(3).cursor_values, backward: true });
+  });
+
+  it('страница назад возвращается в прямом порядке', () => {
+    const cursor = { values: row(4).cursor_values, backward: true };
+    const { rows, nextCursor, prevCursor } = keyset.page([row(3), row(2), row(1)], { limit: 2, cursor });
+
+    assert.deepEqual(rows.map(item => item.title), ['row 2', 'row 3']);
+    assert.deepEqual(keyset.decode(nextCursor).values, row(3).cursor_values);
+    assert.deepEqual(keyset.decode(prevCursor).values, row(2).cursor_values);
+  });
+});
+
+describe('параметры и блок pagination', () => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    ...cursorQuery
+  });
+
+  it('total считается по умолчанию только без курсора', () => {
+    assert.equal(schema.validate({}).value.includeTotal, true);
+    assert.equal(schema.validate({ cursor: 'abc' }).value.includeTotal, false);
+    assert.equal(schema.validate({ cursor: 'abc', includeTotal: 'true' }).value.includeTotal, true);
+    assert.ok(schema.validate({ cursor: 'a'.repeat(2049) }).error);
+  });
+
+  it('page и totalPages возвращаются только в режиме page/limit', () => {
+    assert.deepEqual(
+      paginationMeta({ page: 2, limit: 10 }, { total: 25, nextCursor: 'n', prevCursor: 'p' }),
+      { page: 2, limit: 10, total: 25, totalPages: 3, nextCursor: 'n', prevCursor: 'p' }
+    );
+    assert.deepEqual(
+      paginationMeta({ cursor: 'c', limit: 10 }, { nextCursor: null, prevCursor: 'p' }),
+      { limit: 10, nextCursor: null, prevCursor: 'p' }
+    );
+  });
+});
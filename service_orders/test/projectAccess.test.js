@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROJECT_ROLES,
+  PROJECT_PERMISSIONS,
+  createProjectAccess,
+  can,
+  canAssignRole,
+  canUpdateDefect,
+  getProjectScope
+} = require('../src/domain/projectAccess');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111', roles: ['engineer'] };
+const ADMIN = { id: '99999999-9999-4999-8999-999999999999', roles: ['admin'] };
+const OTHER = '22222222-2222-4222-8222-222222222222';
+
+// Роли участника, которым разрешено действие
+const PERMISSION_MATRIX = {
+  'project:view': ['owner', 'manager', 'engineer', 'client_viewer'],
+  'project:update': ['owner', 'manager'],
+  'project:delete': ['owner'],
+  'members:manage': ['owner', 'manager'],
+  'defect:view': ['owner', 'manager', 'engineer', 'client_viewer'],
+  'defect:create': ['owner', 'manager', 'engineer'],
+  'defect:update': ['owner', 'manager'],
+  'defect:delete': ['owner', 'manager'],
+  'defect:moderate': ['owner', 'manager'],
+  'attachment:create': ['owner', 'manager', 'engineer']
+};
+
+describe('права участника проекта', () => {
+  it('матрица покрывает все действия', () => {
+    assert.deepEqual(Object.keys(PERMISSION_MATRIX).sort(), Object.keys(PROJECT_PERMISSIONS).sort());
+  });
+
+  for (const [permission, allowed] of Object.entries(PERMISSION_MATRIX)) {
+    for (const role of PROJECT_ROLES) {
+      const expected = allowed.includes(role);
+
+      it(`${role} ${expected ? 'может' : 'не может'} ${permission}`, () => {
+        assert.equal(can(createProjectAccess(USER, role), permission), expected);
+      });
+    }
+  }
+
+  it('не участник проекта не имеет прав, даже с глобальной ролью manager', () => {
+    const access = createProjectAccess({ id: USER.id, roles: ['manager'] }, undefined);
+
+    for (const permission of Object.keys(PROJECT_PERMISSIONS)) {
+      assert.equal(can(access, permission), false, permission);
+    }
+  });
+
+  it('admin имеет все права в любом проекте', () => {
+    const access = createProjectAccess(ADMIN, undefined);
+
+    for (const permission of Object.keys(PROJECT_PERMISSIONS)) {
+      assert.equal(can(access, permission), true, permission);
+    }
+  });
+});
+
+describe('назначение ролей участникам', () => {
+  const cases = [
+    { actor: 'owner', role: 'owner', allowed: true },
+    { actor: 'owner', role: 'manager', allowed: true },
+    { actor: 'owner', role: 'engineer', allowed: true },
+    { actor: 'owner', role: 'client_viewer', allowed: true },
+    { actor: 'manager', role: 'owner', allowed: false },
+    { actor: 'manager', role: 'manager', allowed: false },
+    { actor: 'manager', role: 'engineer', allowed: true },
+    { actor: 'manager', role: 'client_viewer', allowed: true },
+    { actor: 'engineer', role: 'engineer', allowed: false },
+    { actor: 'client_viewer', role: 'client_viewer', allowed: false },
+    { actor: undefined, role: 'client_viewer', allowed: false }
+  ];
+
+  for (const { actor, role, allowed } of cases) {
+    it(`${actor || 'не участник'} ${allowed ? 'может' : 'не может'} назначить ${role}`, () => {
+      assert.equal(canAssignRole(createProjectAccess(USER, actor), role), allowed);
+    });
+  }
+
+  it('admin назначает любую роль', () => {
+    for (const role of PROJECT_ROLES) {
+      assert.equal(canAssignRole(createProjectAccess(ADMIN, undefined), role), true, role);
+    }
+  });
+});
+
+describe('редактирование дефекта', () => {
+  const cases = [
+    { title: 'менеджер — любой дефект проекта', role: 'manager', defect: { reporter_id: OTHER, assignee_id: OTHER }, allowed: true },
+    { title: 'инженер — свой дефект', role: 'engineer', defect: { reporter_id: USER.id, assignee_id: null }, allowed: true },
+    { title: 'инженер — назначенный ему дефект', role: 'engineer', defect: { reporter_id: OTHER, assignee_id: USER.id }, allowed: true },
+    { title: 'инженер — чужой дефект', role: 'engineer', defect: { reporter_id: OTHER, assignee_id: OTHER }, allowed: false },
+    { title: 'наблюдатель — свой дефект', role: 'client_viewer', defect: { reporter_id: USER.id, assignee_id: null }, allowed: true },
+    { title: 'бывший участник — свой дефект', role: undefined, defect: { reporter_id: USER.id, assignee_id: USER.id }, allowed: false }
+  ];
+
+  for (const { title, role, defect, allowed } of cases) {
+    it(title, () => {
+      assert.equal(canUpdateDefect(createProjectAccess(USER, role), USER, defect), allowed);
+    });
+  }
+});
+
+describe('проекты в списках по всем проектам', () => {
+  it('admin видит все проекты, остальные — только свои', () => {
+    assert.deepEqual(getProjectScope(ADMIN), { userId: ADMIN.id, allProjects: true, roles: null });
+    assert.deepEqual(getProjectScope(USER), { userId: USER.id, allProjects: false, roles: null });
+  });
+
+  it('scope managed ограничивает проекты ролями владельца и менеджера, в том числе для admin', () => {
+    assert.deepEqual(getProjectScope(USER, 'managed'), { userId: USER.id, allProjects: false, roles: ['owner', 'manager'] });
+    assert.deepEqual(getProjectScope(ADMIN, 'managed'), { userId: ADMIN.id, allProjects: false, roles: ['owner', 'manager'] });
+  });
+});
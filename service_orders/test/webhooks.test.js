@@ -0,0 +1,133 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { signPayload } = require('../src/webhooks/signature');
+const { sendDelivery } = require('../src/webhooks/dispatcher');
+const { webhookRepository, pool } = require('../src/db/queries');
+
+const SECRET = 'whsec-0123456789abcdef';
+
+// Проверка на стороне получателя: HMAC-SHA256 от `${timestamp}.${body}` и сравнение за постоянное время
+const verifySignature = (secret, headers, body) => {
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  const actual = headers['x-webhook-signature'] || '';
+
+  return actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+};
+
+describe('подпись доставки', () => {
+  it('зависит от секрета, метки времени и тела', () => {
+    const signature = signPayload(SECRET, '1700000000', '{"a":1}');
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.notEqual(signPayload('other-secret', '1700000000', '{"a":1}'), signature);
+    assert.notEqual(signPayload(SECRET, '1700000001', '{"a":1}'), signature);
+    assert.notEqual(signPayload(SECRET, '1700000000', '{"a":2}'), signature);
+  });
+
+  describe('получатель проверяет подпись отправленного запроса', () => {
+    let server;
+    let url;
+    let received;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          received = { headers: req.headers, body };
+          res.end('ok');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('по секрету подписки, но не по чужому секрету', async () => {
+      const delivery = {
+        id: '55555555-5555-4555-8555-555555555555',
+        url,
+        secret: SECRET,
+        event_type: 'DefectReported',
+        payload: { type: 'DefectReported', payload: { title: 'Трещина' } }
+      };
+
+      const result = await sendDelivery(delivery, { timeoutMs: 2000 });
+
+      assert.equal(result.ok, true);
+      assert.equal(received.headers['x-webhook-event'], 'DefectReported');
+      assert.equal(received.headers['x-webhook-delivery'], delivery.id);
+      assert.deepEqual(JSON.parse(received.body), delivery.payload);
+      assert.ok(verifySignature(SECRET, received.headers, received.body));
+      assert.ok(!verifySignature('other-secret', received.headers, received.body));
+    });
+  });
+});
+
+describe('повторы доставки', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const policy = { maxAttempts: 4, retryBaseSeconds: 30 };
+  const failure = { ok: false, status: 503, body: 'unavailable', error: 'HTTP 503', durationMs: 12 };
+
+  // Клиент транзакции, который записывает все запросы
+  const mockTransaction = () => {
+    const queries = [];
+    mock.method(pool, 'connect', async () => ({
+      query: async (sql, params) => {
+        queries.push({ sql, params });
+        return { rows: [] };
+      },
+      release: () => {}
+    }));
+    return queries;
+  };
+
+  const deliveryUpdate = (queries) => queries.find(query => /UPDATE webhook_deliveries/.test(query.sql));
+
+  // Статус и задержка после неудачной попытки с номером attempts + 1
+  const recordFailure = async (attempts) => {
+    const queries = mockTransaction();
+
+    await webhookRepository.recordAttempt({ id: 'delivery-1', attempts }, failure, policy);
+    mock.restoreAll();
+
+    const [, , , , status, delaySeconds] = deliveryUpdate(queries).params;
+    return { status, delaySeconds };
+  };
+
+  it('задержка перед повтором удваивается с каждой неудачей', async () => {
+    const delays = [];
+    for (let attempts = 0; attempts < policy.maxAttempts - 1; attempts++) {
+      const { status, delaySeconds } = await recordFailure(attempts);
+      assert.equal(status, 'pending');
+      delays.push(delaySeconds);
+    }
+
+    assert.deepEqual(delays, [30, 60, 120]);
+  });
+
+  it('после maxAttempts попыток доставка больше не повторяется', async () => {
+    assert.equal((await recordFailure(policy.maxAttempts - 1)).status, 'failed');
+  });
+
+  it('успешная попытка завершает доставку', async () => {
+    const queries = mockTransaction();
+
+    await webhookRepository.recordAttempt({ id: 'delivery-1', attempts: 2 }, { ok: true, status: 200, durationMs: 5 }, policy);
+
+    const update = deliveryUpdate(queries);
+    assert.match(update.sql, /status = 'succeeded'/);
+    assert.deepEqual(update.params, ['delivery-1', 3, 200]);
+    assert.equal(queries.at(-1).sql, 'COMMIT');
+  });
+});
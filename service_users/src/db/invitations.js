@@ -0,0 +1,163 @@
+const { usersPool } = require('../../../config/database');
+const userRepository = require('./queries');
+
+// Статус приглашения вычисляется из отметок времени
+const STATUS_SQL = `
+  CASE
+    WHEN accepted_at IS NOT NULL THEN 'accepted'
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END
+`;
+
+const COLUMNS = `
+  id, email, role, invited_by, expires_at, accepted_at, accepted_user_id, revoked_at, created_at,
+  ${STATUS_SQL} AS status
+`;
+
+class InvitationRepository {
+  // Новое приглашение на тот же адрес отменяет предыдущие неиспользованные
+  async create({ email, role, tokenHash, invitedBy, expiresAt }) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE invitations SET revoked_at = NOW()
+        WHERE lower(email) = lower($1) AND accepted_at IS NULL AND revoked_at IS NULL
+      `, [email]);
+
+      const result = await client.query(`
+        INSERT INTO invitations (email, role, token_hash, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING ${COLUMNS}
+      `, [email, role, tokenHash, invitedBy, expiresAt]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async findById(id) {
+    const query = `
+      SELECT ${COLUMNS} FROM invitations
+      WHERE id = $1
+      LIMIT 1
+    `;
+
+    const result = await usersPool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async findAll({ page = 1, limit = 10, status, invitedBy } = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`${STATUS_SQL} = $${params.length}`);
+    }
+    if (invitedBy) {
+      params.push(invitedBy);
+      conditions.push(`invited_by = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countQuery = `
+      SELECT COUNT(*) as total 
+      FROM invitations 
+      ${whereClause}
+    `;
+
+    const invitationsQuery = `
+      SELECT ${COLUMNS} FROM invitations 
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} 
+      OFFSET $${params.length + 2}
+    `;
+
+    const [countResult, invitationsResult] = await Promise.all([
+      usersPool.query(countQuery, params),
+      usersPool.query(invitationsQuery, [...params, limit, offset])
+    ]);
+
+    return {
+      invitations: invitationsResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  // Отозвать можно только еще не принятое приглашение
+  async revoke(id) {
+    const query = `
+      UPDATE invitations SET revoked_at = NOW()
+      WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING ${COLUMNS}
+    `;
+
+    const result = await usersPool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  // Возвращает { status } со значениями: accepted, invalid, user_exists.
+  // Пользователь создается в той же транзакции, поэтому при ошибке приглашение остается действующим
+  async accept(tokenHash, { name, passwordHash }) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(`
+        SELECT * FROM invitations
+        WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+        FOR UPDATE
+      `, [tokenHash]);
+      const invitation = rows[0];
+
+      if (!invitation) {
+        await client.query('ROLLBACK');
+        return { status: 'invalid' };
+      }
+
+      if (await userRepository.findByEmail(invitation.email, client)) {
+        await client.query('ROLLBACK');
+        return { status: 'user_exists' };
+      }
+
+      // Ссылка пришла на этот адрес, поэтому email сразу считается подтвержденным
+      const user = await userRepository.create({
+        email: invitation.email,
+        passwordHash,
+        name,
+        role: invitation.role,
+        verified: true
+      }, client);
+
+      await client.query(
+        'UPDATE invitations SET accepted_at = NOW(), accepted_user_id = $2 WHERE id = $1',
+        [invitation.id, user.id]
+      );
+
+      await client.query('COMMIT');
+      return { status: 'accepted', user };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new InvitationRepository();
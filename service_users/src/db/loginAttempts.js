@@ -0,0 +1,71 @@
+const { usersPool } = require('../../../config/database');
+
+class LoginAttemptRepository {
+  async record({ userId, email, ipAddress, userAgent, outcome }) {
+    const query = `
+      INSERT INTO login_attempts (user_id, email, ip_address, user_agent, outcome)
+      VALUES ($1, $2, $3, $4, $5)
+    `;
+
+    await usersPool.query(query, [userId || null, email, ipAddress, userAgent, outcome]);
+  }
+
+  async findAll({ page = 1, limit = 20, userId, email, ipAddress, outcome, from, to } = {}) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (userId) {
+      addCondition('user_id = ?', userId);
+    }
+    if (email) {
+      addCondition('lower(email) = lower(?)', email);
+    }
+    if (ipAddress) {
+      addCondition('ip_address = ?', ipAddress);
+    }
+    if (outcome) {
+      addCondition('outcome = ?', outcome);
+    }
+    if (from) {
+      addCondition('created_at >= ?', from);
+    }
+    if (to) {
+      addCondition('created_at < ?', to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countQuery = `
+      SELECT COUNT(*) as total 
+      FROM login_attempts 
+      ${whereClause}
+    `;
+
+    const attemptsQuery = `
+      SELECT * FROM login_attempts 
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} 
+      OFFSET $${params.length + 2}
+    `;
+
+    const [countResult, attemptsResult] = await Promise.all([
+      usersPool.query(countQuery, params),
+      usersPool.query(attemptsQuery, [...params, limit, offset])
+    ]);
+
+    return {
+      attempts: attemptsResult.rows,
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+}
+
+module.exports = new LoginAttemptRepository();
@@ -0,0 +1,122 @@
+const { usersPool } = require('../../../config/database');
+
+class MfaRepository {
+  async findTotp(userId) {
+    const query = `
+      SELECT * FROM user_totp 
+      WHERE user_id = $1
+    `;
+
+    const result = await usersPool.query(query, [userId]);
+    return result.rows[0];
+  }
+
+  // Новый секрет заменяет неподтвержденный; подключенный TOTP не перезаписывается (вернется undefined)
+  async saveTotpSecret(userId, secretEncrypted) {
+    const query = `
+      INSERT INTO user_totp (user_id, secret_encrypted)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL
+      WHERE user_totp.confirmed_at IS NULL
+      RETURNING *
+    `;
+
+    const result = await usersPool.query(query, [userId, secretEncrypted]);
+    return result.rows[0];
+  }
+
+  // Включает TOTP и выдает первый набор кодов восстановления
+  async confirmTotp(userId, step, recoveryCodeHashes) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(`
+        UPDATE user_totp 
+        SET confirmed_at = NOW(), last_used_step = $2
+        WHERE user_id = $1 AND confirmed_at IS NULL
+        RETURNING *
+      `, [userId, step]);
+
+      if (!rows[0]) {
+        await client.query('ROLLBACK');
+        return undefined;
+      }
+
+      await this.replaceRecoveryCodes(userId, recoveryCodeHashes, client);
+
+      await client.query('COMMIT');
+      return rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Атомарно запоминает использованный шаг: при параллельной отправке одного кода пройдет только один запрос
+  async markStepUsed(userId, step) {
+    const query = `
+      UPDATE user_totp 
+      SET last_used_step = $2
+      WHERE user_id = $1 AND confirmed_at IS NOT NULL AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING user_id
+    `;
+
+    const result = await usersPool.query(query, [userId, step]);
+    return result.rowCount > 0;
+  }
+
+  async replaceRecoveryCodes(userId, codeHashes, client = usersPool) {
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(`
+      INSERT INTO user_recovery_codes (user_id, code_hash)
+      SELECT $1, unnest($2::char(64)[])
+    `, [userId, codeHashes]);
+  }
+
+  async consumeRecoveryCode(userId, codeHash) {
+    const query = `
+      UPDATE user_recovery_codes 
+      SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `;
+
+    const result = await usersPool.query(query, [userId, codeHash]);
+    return result.rowCount > 0;
+  }
+
+  async countRecoveryCodes(userId) {
+    const query = `
+      SELECT COUNT(*) as remaining 
+      FROM user_recovery_codes 
+      WHERE user_id = $1 AND used_at IS NULL
+    `;
+
+    const result = await usersPool.query(query, [userId]);
+    return parseInt(result.rows[0].remaining);
+  }
+
+  async disable(userId) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query('DELETE FROM user_totp WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('COMMIT');
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new MfaRepository();
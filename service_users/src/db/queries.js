@@ -1,32 +1,40 @@
 const { usersPool } = require('../../../config/database');
+const { Keyset } = require('../../../config/pagination');
+
+// Новые пользователи первыми; id делает порядок однозначным при совпадении created_at
+const USER_KEYSET = new Keyset([
+  { name: 'createdAt', expression: 'created_at', type: 'timestamptz', direction: 'desc' },
+  { name: 'id', expression: 'id', type: 'uuid', direction: 'desc' }
+]);
 
 class UserRepository {
-  async create(userData) {
-    const { email, passwordHash, name, role } = userData;
+  async create(userData, client = usersPool) {
+    const { email, passwordHash, name, role, verified = false } = userData;
     const query = `
-      INSERT INTO users (email, password_hash, name, roles)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, email, name, roles, created_at, updated_at
+      INSERT INTO users (email, password_hash, name, roles, verified, verified_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 THEN NOW() END)
+      RETURNING id, email, name, roles, verified, created_at, updated_at
     `;
     
-    const result = await usersPool.query(query, [email, passwordHash, name, [role]]);
+    const result = await client.query(query, [email, passwordHash, name, [role], verified]);
     return result.rows[0];
   }
 
-  async findByEmail(email) {
+  async findByEmail(email, client = usersPool) {
     const query = `
       SELECT * FROM users 
       WHERE email = $1
       LIMIT 1
     `;
     
-    const result = await usersPool.query(query, [email]);
+    const result = await client.query(query, [email]);
     return result.rows[0];
   }
 
   async findById(id) {
     const query = `
-      SELECT id, email, name, roles, created_at, updated_at 
+      SELECT id, email, name, roles, active, verified, deactivated_at,
+        locked_until, failed_login_count, last_failed_login_at, created_at, updated_at 
       FROM users 
       WHERE id = $1
       LIMIT 1
@@ -36,6 +44,17 @@ class UserRepository {
     return result.rows[0];
   }
 
+  async findByIds(ids) {
+    const query = `
+      SELECT id, email, name, roles, active 
+      FROM users 
+      WHERE id = ANY($1::uuid[])
+    `;
+    
+    const result = await usersPool.query(query, [ids]);
+    return result.rows;
+  }
+
   async update(id, updates) {
     const { name } = updates;
     const query = `
@@ -49,44 +68,192 @@ class UserRepository {
     return result.rows[0];
   }
 
-  async findAll({ page = 1, limit = 10, role }) {
-    const offset = (page - 1) * limit;
+  async findAll({ page = 1, limit = 10, role, cursor, includeTotal = true }) {
+    const position = cursor ? USER_KEYSET.decode(cursor) : null;
+    const offset = position ? 0 : (page - 1) * limit;
     
-    let whereClause = '';
+    const conditions = [];
     const params = [];
     
     if (role) {
-      whereClause = `WHERE $1 = ANY(roles)`;
       params.push(role);
+      conditions.push(`$${params.length} = ANY(roles)`);
     }
     
+    const countParams = [...params];
     const countQuery = `
       SELECT COUNT(*) as total 
       FROM users 
-      ${whereClause}
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
     `;
     
+    if (position) {
+      conditions.push(USER_KEYSET.where(position, params));
+    }
+    
     const usersQuery = `
-      SELECT id, email, name, roles, created_at, updated_at 
+      SELECT id, email, name, roles, active, deactivated_at, created_at, updated_at, ${USER_KEYSET.select()}
       FROM users 
-      ${whereClause}
-      ORDER BY created_at DESC
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${USER_KEYSET.orderBy(position ? position.backward : false)}
       LIMIT $${params.length + 1} 
       OFFSET $${params.length + 2}
     `;
     
-    params.push(limit, offset);
-    
     const [countResult, usersResult] = await Promise.all([
-      usersPool.query(countQuery, role ? [role] : []),
-      usersPool.query(usersQuery, params)
+      includeTotal ? usersPool.query(countQuery, countParams) : null,
+      usersPool.query(usersQuery, [...params, limit + 1, offset])
     ]);
     
+    const { rows, nextCursor, prevCursor } = USER_KEYSET.page(usersResult.rows, { limit, cursor: position, offset });
+    
     return {
-      users: usersResult.rows,
-      total: parseInt(countResult.rows[0].total)
+      users: rows,
+      total: countResult ? parseInt(countResult.rows[0].total) : undefined,
+      nextCursor,
+      prevCursor
     };
   }
+
+  async isActive(id) {
+    const query = `
+      SELECT active FROM users 
+      WHERE id = $1
+      LIMIT 1
+    `;
+
+    const result = await usersPool.query(query, [id]);
+    return Boolean(result.rows[0] && result.rows[0].active);
+  }
+
+  // Изменение учетных данных администратором
+  async updateByAdmin(id, updates) {
+    const { name, email } = updates;
+    const query = `
+      UPDATE users 
+      SET name = COALESCE($2, name),
+          email = COALESCE($3, email)
+      WHERE id = $1
+      RETURNING id, email, name, roles, active, deactivated_at, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id, name, email]);
+    return result.rows[0];
+  }
+
+  async addRole(id, role) {
+    const query = `
+      UPDATE users 
+      SET roles = CASE WHEN $2 = ANY(roles) THEN roles ELSE array_append(roles, $2) END
+      WHERE id = $1
+      RETURNING id, email, name, roles, active, deactivated_at, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id, role]);
+    return result.rows[0];
+  }
+
+  async removeRole(id, role) {
+    const query = `
+      UPDATE users 
+      SET roles = array_remove(roles, $2)
+      WHERE id = $1
+      RETURNING id, email, name, roles, active, deactivated_at, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id, role]);
+    return result.rows[0];
+  }
+
+  async markVerified(id) {
+    const query = `
+      UPDATE users 
+      SET verified = TRUE, verified_at = COALESCE(verified_at, NOW())
+      WHERE id = $1
+      RETURNING id, email, name, roles, verified, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async updatePassword(id, passwordHash) {
+    const query = `
+      UPDATE users 
+      SET password_hash = $2
+      WHERE id = $1
+      RETURNING id
+    `;
+
+    const result = await usersPool.query(query, [id, passwordHash]);
+    return result.rows[0];
+  }
+
+  // Засчитывает неудачную попытку входа; при достижении порога блокирует учетную запись.
+  // Счетчик начинается заново, если предыдущая неудача была раньше окна failureWindowMinutes
+  async recordLoginFailure(id, { failureWindowMinutes, lockoutThreshold, lockoutMinutes }) {
+    const query = `
+      WITH next AS (
+        SELECT id,
+          CASE
+            WHEN last_failed_login_at IS NULL OR last_failed_login_at < NOW() - make_interval(mins => $2) THEN 1
+            ELSE failed_login_count + 1
+          END AS failed_login_count
+        FROM users
+        WHERE id = $1
+        FOR UPDATE
+      )
+      UPDATE users u
+      SET failed_login_count = next.failed_login_count,
+          last_failed_login_at = NOW(),
+          locked_until = CASE
+            WHEN next.failed_login_count >= $3 THEN NOW() + make_interval(mins => $4)
+            ELSE u.locked_until
+          END
+      FROM next
+      WHERE u.id = next.id
+      RETURNING u.failed_login_count, u.locked_until
+    `;
+
+    const result = await usersPool.query(query, [id, failureWindowMinutes, lockoutThreshold, lockoutMinutes]);
+    return result.rows[0];
+  }
+
+  async resetLoginFailures(id) {
+    const query = `
+      UPDATE users 
+      SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = $1
+      RETURNING id, email, name, roles, active, verified, locked_until, failed_login_count, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id]);
+    return result.rows[0];
+  }
+
+  async deactivate(id, actorId) {
+    const query = `
+      UPDATE users 
+      SET active = FALSE, deactivated_at = NOW(), deactivated_by = $2
+      WHERE id = $1
+      RETURNING id, email, name, roles, active, deactivated_at, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id, actorId]);
+    return result.rows[0];
+  }
+
+  async activate(id) {
+    const query = `
+      UPDATE users 
+      SET active = TRUE, deactivated_at = NULL, deactivated_by = NULL
+      WHERE id = $1
+      RETURNING id, email, name, roles, active, deactivated_at, created_at, updated_at
+    `;
+
+    const result = await usersPool.query(query, [id]);
+    return result.rows[0];
+  }
 }
 
 module.exports = new UserRepository();
\ No newline at end of file
@@ -0,0 +1,230 @@
+const { usersPool } = require('../../../config/database');
+
+class TokenRepository {
+  async createRefreshToken(tokenData, client = usersPool) {
+    const { userId, familyId, tokenHash, accessTokenJti, accessTokenExpiresAt, expiresAt } = tokenData;
+    const query = `
+      INSERT INTO refresh_tokens (user_id, family_id, token_hash, access_token_jti, access_token_expires_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      userId, familyId, tokenHash, accessTokenJti, accessTokenExpiresAt, expiresAt
+    ]);
+    return result.rows[0];
+  }
+
+  async findRefreshTokenByHash(tokenHash) {
+    const query = `
+      SELECT * FROM refresh_tokens
+      WHERE token_hash = $1
+      LIMIT 1
+    `;
+
+    const result = await usersPool.query(query, [tokenHash]);
+    return result.rows[0];
+  }
+
+  // Возвращает { status } со значениями: rotated, not_found, expired, revoked, reused
+  async rotateRefreshToken(tokenHash, next) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        'SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+        [tokenHash]
+      );
+      const current = rows[0];
+
+      if (!current) {
+        await client.query('ROLLBACK');
+        return { status: 'not_found' };
+      }
+
+      if (current.revoked_at) {
+        // Повторное предъявление уже обменянного токена — признак кражи, отзываем всё семейство
+        if (current.replaced_by) {
+          await this.revokeFamily(current.family_id, client);
+          await client.query('COMMIT');
+          return { status: 'reused', userId: current.user_id, familyId: current.family_id };
+        }
+
+        await client.query('ROLLBACK');
+        return { status: 'revoked' };
+      }
+
+      if (current.expires_at <= new Date()) {
+        await client.query('ROLLBACK');
+        return { status: 'expired' };
+      }
+
+      const replacement = await this.createRefreshToken({
+        ...next,
+        userId: current.user_id,
+        familyId: current.family_id
+      }, client);
+
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+        [current.id, replacement.id]
+      );
+
+      await client.query('COMMIT');
+      return { status: 'rotated', userId: current.user_id, token: replacement };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Отзывает все refresh-токены семейства и ещё не истекшие access-токены, выданные вместе с ними
+  async revokeFamily(familyId, client) {
+    const run = async (db) => {
+      await db.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [familyId]
+      );
+
+      await db.query(`
+        INSERT INTO revoked_access_tokens (jti, user_id, expires_at)
+        SELECT access_token_jti, user_id, access_token_expires_at
+        FROM refresh_tokens
+        WHERE family_id = $1 AND access_token_expires_at > NOW()
+        ON CONFLICT (jti) DO NOTHING
+      `, [familyId]);
+    };
+
+    if (client) {
+      return run(client);
+    }
+
+    const ownClient = await usersPool.connect();
+    try {
+      await ownClient.query('BEGIN');
+      await run(ownClient);
+      await ownClient.query('COMMIT');
+    } catch (error) {
+      await ownClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
+
+  // Завершает все сессии пользователя: при деактивации и отзыве ролей старые токены не должны действовать
+  async revokeAllForUser(userId) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+
+      await client.query(`
+        INSERT INTO revoked_access_tokens (jti, user_id, expires_at)
+        SELECT access_token_jti, user_id, access_token_expires_at
+        FROM refresh_tokens
+        WHERE user_id = $1 AND access_token_expires_at > NOW()
+        ON CONFLICT (jti) DO NOTHING
+      `, [userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Новый токен для письма заменяет все неиспользованные токены того же назначения
+  async createActionToken({ userId, purpose, tokenHash, expiresAt }) {
+    const client = await usersPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'UPDATE user_action_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+      );
+
+      await client.query(`
+        INSERT INTO user_action_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4)
+      `, [userId, purpose, tokenHash, expiresAt]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Атомарно помечает токен использованным; возвращает user_id или undefined,
+  // если токен не найден, уже использован или истек
+  async consumeActionToken(purpose, tokenHash) {
+    const query = `
+      UPDATE user_action_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `;
+
+    const result = await usersPool.query(query, [tokenHash, purpose]);
+    return result.rows[0] && result.rows[0].user_id;
+  }
+
+  async revokeAccessToken(jti, userId, expiresAt) {
+    const query = `
+      INSERT INTO revoked_access_tokens (jti, user_id, expires_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (jti) DO NOTHING
+    `;
+
+    await usersPool.query(query, [jti, userId, expiresAt]);
+  }
+
+  async isAccessTokenRevoked(jti) {
+    const query = `
+      SELECT 1 FROM revoked_access_tokens
+      WHERE jti = $1
+      LIMIT 1
+    `;
+
+    const result = await usersPool.query(query, [jti]);
+    return result.rowCount > 0;
+  }
+
+  async findRevokedAccessTokens({ since } = {}) {
+    const params = [];
+    let whereClause = 'WHERE expires_at > NOW()';
+
+    if (since) {
+      whereClause += ' AND revoked_at >= $1';
+      params.push(since);
+    }
+
+    const query = `
+      SELECT jti, expires_at, revoked_at
+      FROM revoked_access_tokens
+      ${whereClause}
+      ORDER BY revoked_at
+    `;
+
+    const result = await usersPool.query(query, params);
+    return result.rows;
+  }
+}
+
+module.exports = new TokenRepository();
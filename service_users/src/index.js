@@ -1,51 +1,125 @@
+// Переменные окружения загружаются до модулей, которые читают их при подключении
+require('dotenv').config();
+// Трассировка подключается раньше express, pino и pg: инструментирование подменяет их при загрузке
+const { initTracing, shutdownTracing } = require('../../config/tracing');
+initTracing('service-users', { pg: true });
 const express = require('express');
 const pino = require('pino');
 const pinoHttp = require('pino-http');
 const cors = require('cors');
+const rTracer = require('cls-rtracer');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
-require('dotenv').config();
+const { hasIdentityHeaders, verifyIdentity } = require('../../config/serviceIdentity');
+const { getJwks } = require('./utils/signingKeys');
+const { httpMetrics, registerPoolMetrics } = require('./metrics');
+const { usersPool } = require('../../config/database');
+const { parseTrustProxy } = require('../../config/trustProxy');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
-const httpLogger = pinoHttp({ logger });
+// Сервис работает за gateway: IP клиента для журнала попыток входа берется из X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY, 'loopback'));
+
+// requestId — X-Request-ID, выданный gateway; traceId и spanId активного спана добавляет инструментирование pino
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  mixin: () => {
+    return { requestId: rTracer.id() };
+  }
+});
+const httpLogger = pinoHttp({
+  logger,
+  genReqId: () => rTracer.id()
+});
 
+app.use(rTracer.expressMiddleware({ useHeader: true, headerName: 'X-Request-ID', echoHeader: true }));
 app.use(httpLogger);
+app.use(httpMetrics);
 app.use(cors());
 app.use(express.json());
 
+// Заголовки пользователя принимаются только с действующей подписью gateway,
+// иначе запрос напрямую к сервису мог бы выдать себя за другого пользователя
 app.use((req, res, next) => {
-  if (req.headers['x-user-id']) {
-    req.log.debug('Headers from gateway:', {
-      'x-user-id': req.headers['x-user-id'],
-      'x-user-email': req.headers['x-user-email'],
-      'x-request-id': req.headers['x-request-id']
+  if (!hasIdentityHeaders(req)) {
+    return next();
+  }
+
+  const { user, error } = verifyIdentity(req);
+  if (error) {
+    req.log.warn(`Rejected gateway identity: ${error}`);
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_IDENTITY',
+        message: 'Заголовки пользователя не подписаны gateway или устарели'
+      }
     });
   }
+
+  req.log.debug({ userId: user.id }, 'Identity from gateway');
   next();
 });
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 const authRoutes = require('./routes/auth');
+const invitationRoutes = require('./routes/invitations');
+const mfaRoutes = require('./routes/mfa');
 const userRoutes = require('./routes/users');
+const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
 
 app.use('/api/v1/users', authRoutes);
+// До userRoutes: иначе /invitations перехватит маршрут /:id
+app.use('/api/v1/users', invitationRoutes);
+app.use('/api/v1/users', mfaRoutes);
 app.use('/api/v1/users', userRoutes);
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    success: true, 
-    data: { 
-      service: 'users', 
-      status: 'ok',
-      timestamp: new Date().toISOString()
-    } 
-  });
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Открытые ключи для проверки access-токенов (JWKS)
+ *     description: Ключ подписи токена выбирается по kid из его заголовка. Во время ротации опубликовано несколько ключей.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: EC
+ *                       alg:
+ *                         type: string
+ *                         enum: [RS256, ES256]
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
 });
 
+app.use(healthRoutes);
+app.use(metricsRoutes);
+
+registerPoolMetrics(usersPool);
+
 app.get('/', (req, res) => {
   res.json({
     message: 'Users Service API',
@@ -53,17 +127,58 @@ app.get('/', (req, res) => {
     docs: `http://localhost:${PORT}/api-docs`,
     endpoints: {
       auth: {
+        jwks: 'GET /.well-known/jwks.json',
         register: 'POST /api/v1/users/register',
-        login: 'POST /api/v1/users/login'
+        login: 'POST /api/v1/users/login',
+        refresh: 'POST /api/v1/users/refresh',
+        logout: 'POST /api/v1/users/logout',
+        verifyEmail: 'POST /api/v1/users/verify-email',
+        resendVerification: 'POST /api/v1/users/resend-verification',
+        forgotPassword: 'POST /api/v1/users/forgot-password',
+        resetPassword: 'POST /api/v1/users/reset-password',
+        loginMfa: 'POST /api/v1/users/login/mfa',
+        loginMfaEnroll: 'POST /api/v1/users/login/mfa/enroll'
+      },
+      mfa: {
+        status: 'GET /api/v1/users/mfa',
+        enroll: 'POST /api/v1/users/mfa/totp/enroll',
+        confirm: 'POST /api/v1/users/mfa/totp/confirm',
+        disable: 'DELETE /api/v1/users/mfa/totp',
+        recoveryCodes: 'POST /api/v1/users/mfa/recovery-codes'
+      },
+      invitations: {
+        create: 'POST /api/v1/users/invitations (admin, manager)',
+        list: 'GET /api/v1/users/invitations (admin, manager)',
+        revoke: 'DELETE /api/v1/users/invitations/:id (admin, manager)',
+        accept: 'POST /api/v1/users/invitations/accept'
       },
       users: {
         profile: 'GET /api/v1/users/profile',
-        list: 'GET /api/v1/users (admin only)'
-      }
+        list: 'GET /api/v1/users (admin only)',
+        loginAttempts: 'GET /api/v1/users/login-attempts (admin only)',
+        get: 'GET /api/v1/users/:id (admin only)',
+        update: 'PATCH /api/v1/users/:id (admin only)',
+        deactivate: 'DELETE /api/v1/users/:id (admin only)',
+        assignRole: 'POST /api/v1/users/:id/roles (admin only)',
+        revokeRole: 'DELETE /api/v1/users/:id/roles/:role (admin only)',
+        unlock: 'POST /api/v1/users/:id/unlock (admin only)',
+        resetMfa: 'DELETE /api/v1/users/:id/mfa (admin only)'
+      },
+      health: {
+        live: 'GET /health/live',
+        ready: 'GET /health/ready'
+      },
+      metrics: 'GET /metrics'
     }
   });
 });
 
+process.once('SIGTERM', () => {
+  shutdownTracing()
+    .catch((error) => logger.error(error, 'Tracing shutdown error'))
+    .finally(() => process.exit(0));
+});
+
 app.listen(PORT, () => {
   logger.info(`Users service running on port ${PORT}`);
   logger.info(`Swagger UI available at http://localhost:${PORT}/api-docs`);
@@ -0,0 +1,14 @@
+const pino = require('pino');
+
+// Для разработки: письмо целиком выводится в лог, ссылки из него можно открыть вручную
+class ConsoleTransport {
+  constructor() {
+    this.logger = pino({ level: process.env.LOG_LEVEL || 'info', name: 'mailer' });
+  }
+
+  async send(message) {
+    this.logger.info({ mail: { to: message.to, subject: message.subject, text: message.text } }, 'Mail message');
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Для разработки и тестов: каждое письмо сохраняется отдельным JSON-файлом.
+// Имена файлов начинаются с времени отправки, поэтому последнее письмо — последний файл в каталоге.
+class FileTransport {
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    const record = { ...message, sentAt: new Date().toISOString() };
+
+    await fs.promises.writeFile(path.join(this.dir, fileName), JSON.stringify(record, null, 2));
+  }
+}
+
+module.exports = FileTransport;
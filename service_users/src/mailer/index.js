@@ -0,0 +1,39 @@
+const path = require('path');
+
+// Транспорт почты выбирается переменной MAIL_TRANSPORT: console (по умолчанию), file или smtp.
+// Любая реализация предоставляет send({ from, to, subject, text, html }).
+const createTransport = () => {
+  const driver = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (driver) {
+    case 'console': {
+      const ConsoleTransport = require('./console');
+      return new ConsoleTransport();
+    }
+    case 'file': {
+      const FileTransport = require('./file');
+      return new FileTransport({
+        dir: process.env.MAIL_FILE_PATH || path.join(__dirname, '..', '..', 'mail')
+      });
+    }
+    case 'smtp': {
+      const SmtpTransport = require('./smtp');
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      });
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${driver}`);
+  }
+};
+
+const transport = createTransport();
+const MAIL_FROM = process.env.MAIL_FROM || 'Construction Management <no-reply@construction.local>';
+
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = { sendMail };
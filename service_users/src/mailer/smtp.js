@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor({ host, port, secure, user, password }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,66 @@
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const buildLink = (pathname, token) => {
+  const url = new URL(pathname, APP_URL);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+const emailVerification = ({ name, token, ttlHours }) => {
+  const link = buildLink('/verify-email', token);
+
+  return {
+    subject: 'Подтверждение email',
+    text: [
+      `Здравствуйте, ${name}!`,
+      '',
+      'Для завершения регистрации подтвердите адрес электронной почты, перейдя по ссылке:',
+      link,
+      '',
+      `Ссылка действительна ${ttlHours} ч. Если вы не регистрировались, просто проигнорируйте это письмо.`
+    ].join('\n')
+  };
+};
+
+const passwordReset = ({ name, token, ttlMinutes }) => {
+  const link = buildLink('/reset-password', token);
+
+  return {
+    subject: 'Восстановление пароля',
+    text: [
+      `Здравствуйте, ${name}!`,
+      '',
+      'Мы получили запрос на смену пароля. Чтобы задать новый пароль, перейдите по ссылке:',
+      link,
+      '',
+      `Ссылка действительна ${ttlMinutes} мин. и может быть использована один раз.`,
+      'Если вы не запрашивали смену пароля, просто проигнорируйте это письмо.'
+    ].join('\n')
+  };
+};
+
+const ROLE_NAMES = {
+  admin: 'администратор',
+  manager: 'менеджер',
+  engineer: 'инженер',
+  client: 'заказчик'
+};
+
+const invitation = ({ inviterName, role, token, ttlHours }) => {
+  const link = buildLink('/accept-invitation', token);
+
+  return {
+    subject: 'Приглашение в систему управления строительством',
+    text: [
+      'Здравствуйте!',
+      '',
+      `${inviterName} приглашает вас в систему управления строительством с ролью «${ROLE_NAMES[role] || role}».`,
+      'Чтобы создать учетную запись, перейдите по ссылке:',
+      link,
+      '',
+      `Приглашение действительно ${ttlHours} ч.`
+    ].join('\n')
+  };
+};
+
+module.exports = { emailVerification, passwordReset, invitation };
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('../utils/tokens');
+const mfaRepository = require('../db/mfa');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Construction';
+const MFA_CHALLENGE_TTL = process.env.MFA_CHALLENGE_TTL || '5m';
+const RECOVERY_CODES_COUNT = 10;
+
+// Роли, для которых второй фактор обязателен, например MFA_REQUIRED_ROLES=admin,manager
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Отдельные ключи выводятся из MFA_SECRET, если не заданы явно: токен подтверждения входа
+// подписывается своим ключом, а секреты TOTP не должны лежать в БД открытым текстом.
+// Известный ключ позволил бы подделать токен подтверждения, поэтому в production он обязателен
+const hasExplicitKeys = Boolean(process.env.MFA_CHALLENGE_SECRET && process.env.MFA_ENCRYPTION_KEY);
+const MFA_SECRET = process.env.MFA_SECRET
+  || (process.env.NODE_ENV === 'production' ? null : 'dev-mfa-secret');
+
+if (!MFA_SECRET && !hasExplicitKeys) {
+  throw new Error('MFA_SECRET (or MFA_CHALLENGE_SECRET and MFA_ENCRYPTION_KEY) is required in production');
+}
+
+const deriveKey = (purpose) => crypto.createHmac('sha256', MFA_SECRET).update(purpose).digest();
+
+const CHALLENGE_SECRET = process.env.MFA_CHALLENGE_SECRET || deriveKey('mfa-challenge');
+const ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY
+  ? crypto.createHash('sha256').update(process.env.MFA_ENCRYPTION_KEY).digest()
+  : deriveKey('mfa-encryption');
+
+const isMfaRequired = (roles) => roles.some(role => MFA_REQUIRED_ROLES.includes(role));
+
+// AES-256-GCM; формат: iv.tag.ciphertext в base64url
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Коды вида a1b2c-3d4e5; при проверке регистр и дефис не учитываются
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// enrollment = true: пароль проверен, но пользователь обязан сначала подключить TOTP
+const createChallengeToken = (user, { enrollment = false } = {}) => {
+  const token = jwt.sign(
+    { purpose: 'mfa_challenge', enrollment },
+    CHALLENGE_SECRET,
+    { subject: user.id, expiresIn: MFA_CHALLENGE_TTL }
+  );
+
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+// Возвращает { userId, enrollment } или null, если токен недействителен
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, CHALLENGE_SECRET);
+    if (payload.purpose !== 'mfa_challenge') {
+      return null;
+    }
+    return { userId: payload.sub, enrollment: Boolean(payload.enrollment) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const isTotpEnabled = (totp) => Boolean(totp && totp.confirmed_at);
+
+// Возвращает секрет и otpauth URI для приложения-аутентификатора или null, если TOTP уже подключен
+const startTotpEnrollment = async (user) => {
+  const secret = generateSecret();
+  const saved = await mfaRepository.saveTotpSecret(user.id, encryptSecret(secret));
+  if (!saved) {
+    return null;
+  }
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER })
+  };
+};
+
+// status: confirmed (вместе с кодами восстановления), invalid_code или not_pending
+const confirmTotpEnrollment = async (userId, code) => {
+  const totp = await mfaRepository.findTotp(userId);
+  if (!totp || isTotpEnabled(totp)) {
+    return { status: 'not_pending' };
+  }
+
+  const step = verifyCode(decryptSecret(totp.secret_encrypted), code);
+  if (step === null) {
+    return { status: 'invalid_code' };
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  if (!await mfaRepository.confirmTotp(userId, step, hashes)) {
+    return { status: 'not_pending' };
+  }
+
+  return { status: 'confirmed', recoveryCodes: codes };
+};
+
+// Проверяет TOTP-код или одноразовый код восстановления; возвращает использованный способ или null
+const verifySecondFactor = async (totp, { code, recoveryCode }) => {
+  if (!isTotpEnabled(totp)) {
+    return null;
+  }
+
+  if (code) {
+    const lastUsedStep = totp.last_used_step === null ? null : Number(totp.last_used_step);
+    const step = verifyCode(decryptSecret(totp.secret_encrypted), code, { afterStep: lastUsedStep });
+    return step !== null && await mfaRepository.markStepUsed(totp.user_id, step) ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    return await mfaRepository.consumeRecoveryCode(totp.user_id, hashRecoveryCode(recoveryCode))
+      ? 'recovery_code'
+      : null;
+  }
+
+  return null;
+};
+
+module.exports = {
+  isMfaRequired,
+  isTotpEnabled,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor
+};
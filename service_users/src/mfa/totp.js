@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+// TOTP по RFC 6238 (HMAC-SHA1, 6 цифр, шаг 30 секунд) — параметры по умолчанию во всех приложениях-аутентификаторах
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let result = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    result += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return result;
+};
+
+const base32Decode = (value) => {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Возвращает принятый временной шаг или null. window — сколько соседних шагов
+// допускается для компенсации расхождения часов; шаги не позже afterStep отклоняются (повтор кода)
+const verifyCode = (secret, code, { window = 1, afterStep = null, now = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let delta = -window; delta <= window; delta++) {
+    const candidate = step + delta;
+    if (afterStep !== null && candidate <= afterStep) {
+      continue;
+    }
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { generateSecret, generateCode, verifyCode, buildOtpauthUri, currentStep };
@@ -1,4 +1,8 @@
 const jwt = require('jsonwebtoken');
+const tokenRepository = require('../db/tokens');
+const userRepository = require('../db/queries');
+const { JWT_ALGORITHMS, getVerificationKey } = require('../utils/signingKeys');
+const { verifyInternalRequest } = require('../../../config/serviceIdentity');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -14,7 +18,7 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
+  jwt.verify(token, getVerificationKey, { algorithms: JWT_ALGORITHMS }, async (err, user) => {
     if (err) {
       return res.status(403).json({
         success: false,
@@ -24,6 +28,37 @@ const authenticateToken = (req, res, next) => {
         }
       });
     }
+
+    try {
+      if (user.jti && await tokenRepository.isAccessTokenRevoked(user.jti)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'TOKEN_REVOKED',
+            message: 'Токен отозван'
+          }
+        });
+      }
+
+      if (!await userRepository.isActive(user.id)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_DEACTIVATED',
+            message: 'Учетная запись деактивирована'
+          }
+        });
+      }
+    } catch (error) {
+      req.log.error(error, 'Token verification error');
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Ошибка при проверке токена'
+        }
+      });
+    }
     
     req.user = user;
     next();
@@ -57,4 +92,21 @@ const authorizeRoles = (...allowedRoles) => {
   };
 };
 
-module.exports = { authenticateToken, authorizeRoles };
\ No newline at end of file
+// Маршруты для других сервисов: запрос должен быть подписан общим секретом INTERNAL_AUTH_SECRET
+const requireInternalCall = (req, res, next) => {
+  const error = verifyInternalRequest(req);
+  if (error) {
+    req.log.warn(`Rejected internal call: ${error}`);
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Доступно только для внутренних вызовов сервисов'
+      }
+    });
+  }
+
+  next();
+};
+
+module.exports = { authenticateToken, authorizeRoles, requireInternalCall };
\ No newline at end of file
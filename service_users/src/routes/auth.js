@@ -1,15 +1,41 @@
+const crypto = require('crypto');
 const express = require('express');
 const Joi = require('joi');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 const userRepository = require('../db/queries');
+const tokenRepository = require('../db/tokens');
+const loginAttemptRepository = require('../db/loginAttempts');
+const mfaRepository = require('../db/mfa');
+const { hashToken, createTokenPair, createActionToken, verifyAccessToken } = require('../utils/tokens');
+const { PUBLIC_ROLES } = require('../utils/roles');
+const { LOGIN_POLICY, getLoginBlock } = require('../utils/loginThrottle');
+const { sendMail } = require('../mailer');
+const mailTemplates = require('../mailer/templates');
+const { loginAttemptsTotal } = require('../metrics');
+const { requireInternalCall } = require('../middleware/auth');
+const {
+  isMfaRequired,
+  isTotpEnabled,
+  createChallengeToken,
+  verifyChallengeToken,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor
+} = require('../mfa');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+
+// Сравнение с этим хешем для несуществующих email выравнивает время ответа
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
 
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(6).required(),
   name: Joi.string().min(2).required(),
-  role: Joi.string().valid('engineer', 'manager', 'admin', 'client').default('engineer')
+  // Роли manager и admin выдаются только по приглашению
+  role: Joi.string().valid(...PUBLIC_ROLES).default('engineer')
 });
 
 const loginSchema = Joi.object({
@@ -17,11 +43,143 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+// Второй шаг входа: TOTP-код либо код восстановления
+const loginMfaSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(32)
+}).xor('code', 'recoveryCode');
+
+const challengeSchema = Joi.object({
+  challengeToken: Joi.string().required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const revokedTokensQuerySchema = Joi.object({
+  since: Joi.date().iso()
+});
+
+const emailSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required()
+});
+
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash, expiresAt } = createActionToken(EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await tokenRepository.createActionToken({ userId: user.id, purpose: 'email_verification', tokenHash, expiresAt });
+
+  await sendMail({
+    to: user.email,
+    ...mailTemplates.emailVerification({ name: user.name, token, ttlHours: EMAIL_VERIFICATION_TTL_HOURS })
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const { token, tokenHash, expiresAt } = createActionToken(PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await tokenRepository.createActionToken({ userId: user.id, purpose: 'password_reset', tokenHash, expiresAt });
+
+  await sendMail({
+    to: user.email,
+    ...mailTemplates.passwordReset({ name: user.name, token, ttlMinutes: PASSWORD_RESET_TTL_MINUTES })
+  });
+};
+
+// Ответ на запросы писем не зависит от того, зарегистрирован ли адрес,
+// поэтому письмо отправляется в фоне, а ошибки только логируются
+const sendInBackground = (req, send, user) => {
+  send(user).catch(error => req.log.error(error, `Send mail to user ${user.id} error`));
+};
+
+const invalidActionToken = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_TOKEN',
+    message: 'Ссылка недействительна, истекла или уже была использована'
+  }
+});
+
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfterSeconds));
+
+  if (block.reason === 'locked') {
+    return res.status(423).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_LOCKED',
+        message: 'Учетная запись временно заблокирована из-за множества неудачных попыток входа'
+      }
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    error: {
+      code: 'LOGIN_THROTTLED',
+      message: `Слишком много неудачных попыток входа, повторите через ${block.retryAfterSeconds} с`
+    }
+  });
+};
+
+const logLoginAttempt = (req, email, user, outcome) => {
+  loginAttemptsTotal.inc({ outcome });
+  return loginAttemptRepository.record({
+    userId: user ? user.id : null,
+    email,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'] || null,
+    outcome
+  });
+};
+
+const invalidChallenge = (res) => res.status(401).json({
+  success: false,
+  error: {
+    code: 'INVALID_CHALLENGE',
+    message: 'Сессия входа недействительна или истекла, войдите заново'
+  }
+});
+
+const sessionData = (user, { accessToken, refreshToken, expiresAt }) => ({
+  token: accessToken,
+  refreshToken,
+  expiresAt,
+  user: {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    roles: user.roles
+  }
+});
+
+const issueTokens = async (user) => {
+  const pair = createTokenPair(user);
+
+  await tokenRepository.createRefreshToken({
+    ...pair.record,
+    userId: user.id,
+    familyId: crypto.randomUUID()
+  });
+
+  return pair;
+};
+
 /**
  * @swagger
  * /api/v1/users/register:
  *   post:
  *     summary: Регистрация нового пользователя
+ *     description: На указанный email отправляется письмо со ссылкой для подтверждения. Вход возможен только после подтверждения адреса.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -48,8 +206,9 @@ const loginSchema = Joi.object({
  *                 example: Иван Иванов
  *               role:
  *                 type: string
- *                 enum: [engineer, manager, admin, client]
+ *                 enum: [engineer, client]
  *                 default: engineer
+ *                 description: Роли manager и admin выдаются только по приглашению
  *     responses:
  *       201:
  *         description: Пользователь успешно зарегистрирован
@@ -71,6 +230,9 @@ const loginSchema = Joi.object({
  *                       type: string
  *                     name:
  *                       type: string
+ *                     verified:
+ *                       type: boolean
+ *                       example: false
  *       400:
  *         description: Ошибка валидации
  *         content:
@@ -120,13 +282,22 @@ router.post('/register', async (req, res) => {
 
     req.log.info(`User registered: ${email}`);
 
+    // Пользователь уже создан, поэтому ошибка отправки не отменяет регистрацию:
+    // письмо можно запросить повторно через /resend-verification
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      req.log.error(mailError, `Send verification email to user ${newUser.id} error`);
+    }
+
     res.status(201).json({
       success: true,
       data: { 
         id: newUser.id, 
         email: newUser.email, 
         name: newUser.name,
-        role: newUser.roles[0]
+        role: newUser.roles[0],
+        verified: newUser.verified
       }
     });
   } catch (error) {
@@ -146,6 +317,10 @@ router.post('/register', async (req, res) => {
  * /api/v1/users/login:
  *   post:
  *     summary: Вход в систему
+ *     description: |
+ *       Если у пользователя подключен TOTP или второй фактор обязателен для его роли (MFA_REQUIRED_ROLES),
+ *       вместо токенов возвращается challengeToken для POST /api/v1/users/login/mfa.
+ *       При enrollmentRequired = true TOTP нужно сначала подключить через POST /api/v1/users/login/mfa/enroll.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -178,9 +353,28 @@ router.post('/register', async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
+ *                     mfaRequired:
+ *                       type: boolean
+ *                       description: true — требуется второй шаг входа, токены не выдаются
+ *                     enrollmentRequired:
+ *                       type: boolean
+ *                       description: true — TOTP обязателен для роли, но еще не подключен
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Короткоживущий токен второго шага входа
+ *                     challengeExpiresAt:
+ *                       type: string
+ *                       format: date-time
  *                     token:
  *                       type: string
- *                       description: JWT токен
+ *                       description: Короткоживущий JWT access-токен
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh-токен для получения новой пары токенов
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Время истечения access-токена
  *                     user:
  *                       type: object
  *                       properties:
@@ -200,6 +394,34 @@ router.post('/register', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Учетная запись деактивирована или email не подтвержден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Учетная запись временно заблокирована после серии неудачных попыток
+ *         headers:
+ *           Retry-After:
+ *             description: Через сколько секунд блокировка будет снята
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Слишком частые попытки входа после неудач
+ *         headers:
+ *           Retry-After:
+ *             description: Через сколько секунд можно повторить попытку
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/login', async (req, res) => {
   const { error, value } = loginSchema.validate(req.body);
@@ -217,7 +439,11 @@ router.post('/login', async (req, res) => {
 
   try {
     const user = await userRepository.findByEmail(email);
+    const logAttempt = (outcome) => logLoginAttempt(req, email, user, outcome);
+
     if (!user) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      await logAttempt('unknown_user');
       return res.status(401).json({
         success: false,
         error: {
@@ -227,8 +453,22 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Пароль не проверяется, пока действует задержка или блокировка, — иначе подбор продолжался бы
+    const block = getLoginBlock(user);
+    if (block) {
+      await logAttempt(block.reason);
+      return sendLoginBlocked(res, block);
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      const failure = await userRepository.recordLoginFailure(user.id, LOGIN_POLICY);
+      await logAttempt('invalid_password');
+
+      if (failure.locked_until && failure.locked_until > new Date()) {
+        req.log.warn(`Account locked after ${failure.failed_login_count} failed login attempts: ${email}`);
+      }
+
       return res.status(401).json({
         success: false,
         error: {
@@ -238,35 +478,318 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      roles: user.roles
-    };
+    // Верный пароль сбрасывает счетчик, даже если вход дальше не разрешен
+    if (user.failed_login_count > 0) {
+      await userRepository.resetLoginFailures(user.id);
+    }
+
+    if (!user.active) {
+      await logAttempt('deactivated');
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DEACTIVATED',
+          message: 'Учетная запись деактивирована'
+        }
+      });
+    }
+
+    if (!user.verified) {
+      await logAttempt('not_verified');
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Подтвердите email по ссылке из письма'
+        }
+      });
+    }
+
+    // С подключенным TOTP или если он обязателен для роли токены выдаются только после второго шага
+    const totp = await mfaRepository.findTotp(user.id);
+    if (isTotpEnabled(totp) || isMfaRequired(user.roles)) {
+      const enrollmentRequired = !isTotpEnabled(totp);
+      const challenge = createChallengeToken(user, { enrollment: enrollmentRequired });
+      await logAttempt('mfa_challenge');
+
+      return res.json({
+        success: true,
+        data: {
+          mfaRequired: true,
+          enrollmentRequired,
+          challengeToken: challenge.token,
+          challengeExpiresAt: challenge.expiresAt
+        }
+      });
+    }
+
+    await logAttempt('success');
 
-    const token = jwt.sign(
-      tokenPayload,
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    const tokens = await issueTokens(user);
 
     req.log.info(`User logged in: ${email}`);
 
     res.json({
       success: true,
-      data: {
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          roles: user.roles
+      data: sessionData(user, tokens)
+    });
+  } catch (error) {
+    req.log.error(error, 'Login error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при входе в систему'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/login/mfa/enroll:
+ *   post:
+ *     summary: Подключение TOTP во время входа
+ *     description: Доступно, если вход вернул enrollmentRequired = true. Подключение завершается вызовом POST /api/v1/users/login/mfa с кодом из приложения.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Секрет для приложения-аутентификатора
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TotpEnrollment'
+ *       401:
+ *         description: Токен входа недействителен или истек
+ *       409:
+ *         description: TOTP уже подключен
+ */
+router.post('/login/mfa/enroll', async (req, res) => {
+  const { error, value } = challengeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const challenge = verifyChallengeToken(value.challengeToken);
+  if (!challenge) {
+    return invalidChallenge(res);
+  }
+
+  try {
+    const user = await userRepository.findById(challenge.userId);
+    if (!user || !user.active) {
+      return invalidChallenge(res);
+    }
+
+    const enrollment = challenge.enrollment ? await startTotpEnrollment(user) : null;
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MFA_ALREADY_ENABLED',
+          message: 'Двухфакторная аутентификация уже подключена'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    req.log.error(error, 'Login MFA enrollment error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при подключении двухфакторной аутентификации'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/login/mfa:
+ *   post:
+ *     summary: Второй шаг входа
+ *     description: |
+ *       Обменивает challengeToken и TOTP-код (или одноразовый код восстановления) на пару токенов.
+ *       Если TOTP подключался во время входа, код его подтверждает, а в ответе один раз возвращаются коды восстановления.
+ *       Неверные коды учитываются вместе с неверными паролями при задержках и блокировке входа.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *                 description: Код из приложения-аутентификатора
+ *               recoveryCode:
+ *                 type: string
+ *                 example: a1b2c-3d4e5
+ *                 description: Одноразовый код восстановления (вместо code)
+ *     responses:
+ *       200:
+ *         description: Успешный вход
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Только при подключении TOTP во время входа
+ *       401:
+ *         description: Неверный код или токен входа недействителен
+ *       409:
+ *         description: TOTP не был подготовлен через /login/mfa/enroll
+ *       423:
+ *         description: Учетная запись временно заблокирована
+ *       429:
+ *         description: Слишком частые попытки входа после неудач
+ */
+router.post('/login/mfa', async (req, res) => {
+  const { error, value } = loginMfaSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const challenge = verifyChallengeToken(value.challengeToken);
+  if (!challenge) {
+    return invalidChallenge(res);
+  }
+
+  try {
+    const user = await userRepository.findById(challenge.userId);
+    if (!user || !user.active) {
+      return invalidChallenge(res);
+    }
+
+    const logAttempt = (outcome) => logLoginAttempt(req, user.email, user, outcome);
+
+    const block = getLoginBlock(user);
+    if (block) {
+      await logAttempt(block.reason);
+      return sendLoginBlocked(res, block);
+    }
+
+    let recoveryCodes;
+    let verified;
+
+    if (challenge.enrollment) {
+      if (!value.code) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Для подключения TOTP нужен код из приложения'
+          }
+        });
+      }
+
+      const result = await confirmTotpEnrollment(user.id, value.code);
+      if (result.status === 'not_pending') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'MFA_NOT_PENDING',
+            message: 'Сначала получите секрет через /api/v1/users/login/mfa/enroll'
+          }
+        });
+      }
+
+      verified = result.status === 'confirmed';
+      recoveryCodes = result.recoveryCodes;
+    } else {
+      const totp = await mfaRepository.findTotp(user.id);
+      verified = Boolean(await verifySecondFactor(totp, value));
+    }
+
+    if (!verified) {
+      await userRepository.recordLoginFailure(user.id, LOGIN_POLICY);
+      await logAttempt('invalid_mfa_code');
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_MFA_CODE',
+          message: 'Неверный или уже использованный код'
         }
+      });
+    }
+
+    if (user.failed_login_count > 0) {
+      await userRepository.resetLoginFailures(user.id);
+    }
+    await logAttempt('success');
+
+    const tokens = await issueTokens(user);
+
+    req.log.info(`User logged in with second factor: ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        ...sessionData(user, tokens),
+        ...(recoveryCodes && { recoveryCodes })
       }
     });
   } catch (error) {
-    req.log.error(error, 'Login error');
+    req.log.error(error, 'Login MFA error');
     res.status(500).json({
       success: false,
       error: {
@@ -277,6 +800,569 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/refresh:
+ *   post:
+ *     summary: Обменять refresh-токен на новую пару токенов
+ *     description: Refresh-токен одноразовый. Повторное использование уже обменянного токена отзывает все токены этой сессии.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Новая пара токенов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Refresh-токен недействителен, истек или был использован повторно
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  const tokenHash = hashToken(value.refreshToken);
+
+  try {
+    const stored = await tokenRepository.findRefreshTokenByHash(tokenHash);
+    const user = stored && await userRepository.findById(stored.user_id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Неверный refresh-токен'
+        }
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DEACTIVATED',
+          message: 'Учетная запись деактивирована'
+        }
+      });
+    }
+
+    const pair = createTokenPair(user);
+    const result = await tokenRepository.rotateRefreshToken(tokenHash, pair.record);
+
+    if (result.status === 'reused') {
+      req.log.warn(`Refresh token reuse detected for user ${result.userId}, family ${result.familyId} revoked`);
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'REFRESH_TOKEN_REUSED',
+          message: 'Refresh-токен уже был использован, сессия завершена'
+        }
+      });
+    }
+
+    if (result.status === 'expired') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'REFRESH_TOKEN_EXPIRED',
+          message: 'Срок действия refresh-токена истек'
+        }
+      });
+    }
+
+    if (result.status !== 'rotated') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Неверный refresh-токен'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: pair.accessToken,
+        refreshToken: pair.refreshToken,
+        expiresAt: pair.expiresAt
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Refresh token error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при обновлении токена'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/logout:
+ *   post:
+ *     summary: Выход из системы
+ *     description: |
+ *       Отзывает refresh-токен вместе со всей его сессией, а также переданный access-токен.
+ *       Сервис пользователей перестает принимать access-токен сразу. API Gateway и сервис заказов
+ *       получают список отзыва периодически (REVOCATION_SYNC_INTERVAL_MS, по умолчанию 10 с),
+ *       поэтому до синхронизации токен еще принимается ими.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Сессия завершена
+ *       400:
+ *         description: Ошибка валидации
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', async (req, res) => {
+  const { error, value } = refreshSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const stored = await tokenRepository.findRefreshTokenByHash(hashToken(value.refreshToken));
+    if (stored) {
+      await tokenRepository.revokeFamily(stored.family_id);
+    }
+
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+    if (accessToken) {
+      try {
+        const decoded = await verifyAccessToken(accessToken);
+        if (decoded.jti) {
+          await tokenRepository.revokeAccessToken(decoded.jti, decoded.id, new Date(decoded.exp * 1000));
+        }
+      } catch (verifyError) {
+        // Недействительный или истекший access-токен отзывать не нужно
+      }
+    }
+
+    if (stored) {
+      req.log.info(`User logged out: ${stored.user_id}`);
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Выход выполнен успешно' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Logout error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при выходе из системы'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/verify-email:
+ *   post:
+ *     summary: Подтвердить email
+ *     description: Токен из ссылки в письме одноразовый.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email подтвержден
+ *       400:
+ *         description: Токен недействителен, истек или уже использован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email', async (req, res) => {
+  const { error, value } = verifyEmailSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const userId = await tokenRepository.consumeActionToken('email_verification', hashToken(value.token));
+    if (!userId) {
+      return invalidActionToken(res);
+    }
+
+    await userRepository.markVerified(userId);
+    req.log.info(`Email verified for user ${userId}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Email подтвержден, теперь можно войти в систему' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Verify email error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при подтверждении email'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/resend-verification:
+ *   post:
+ *     summary: Повторно отправить письмо для подтверждения email
+ *     description: Ответ одинаков независимо от того, зарегистрирован ли адрес. Ранее отправленные ссылки перестают действовать.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Запрос принят
+ */
+router.post('/resend-verification', async (req, res) => {
+  const { error, value } = emailSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const user = await userRepository.findByEmail(value.email);
+    if (user && user.active && !user.verified) {
+      sendInBackground(req, sendVerificationEmail, user);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: { message: 'Если адрес зарегистрирован и не подтвержден, на него отправлено письмо' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Resend verification error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при отправке письма'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/forgot-password:
+ *   post:
+ *     summary: Запросить восстановление пароля
+ *     description: Отправляет письмо со ссылкой для смены пароля. Ответ одинаков независимо от того, зарегистрирован ли адрес.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Запрос принят
+ */
+router.post('/forgot-password', async (req, res) => {
+  const { error, value } = emailSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const user = await userRepository.findByEmail(value.email);
+    if (user && user.active) {
+      sendInBackground(req, sendPasswordResetEmail, user);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: { message: 'Если адрес зарегистрирован, на него отправлено письмо со ссылкой для смены пароля' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Forgot password error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при запросе восстановления пароля'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/reset-password:
+ *   post:
+ *     summary: Задать новый пароль по ссылке из письма
+ *     description: Токен одноразовый. После смены пароля все сессии пользователя завершаются; email считается подтвержденным.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Пароль изменен
+ *       400:
+ *         description: Ошибка валидации или токен недействителен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', async (req, res) => {
+  const { error, value } = resetPasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const userId = await tokenRepository.consumeActionToken('password_reset', hashToken(value.token));
+    if (!userId) {
+      return invalidActionToken(res);
+    }
+
+    const hashedPassword = await bcrypt.hash(value.password, 10);
+    await userRepository.updatePassword(userId, hashedPassword);
+    // Письмо дошло до владельца адреса — этого достаточно для подтверждения email
+    await userRepository.markVerified(userId);
+    await tokenRepository.revokeAllForUser(userId);
+
+    req.log.info(`Password reset for user ${userId}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Пароль изменен, войдите с новым паролем' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Reset password error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при смене пароля'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/tokens/revoked:
+ *   get:
+ *     summary: Список отозванных, но еще не истекших access-токенов
+ *     description: |
+ *       Используется API Gateway для синхронизации списка отзыва. Возвращает только идентификаторы (jti).
+ *       Доступен только служебным вызовам, подписанным общим секретом INTERNAL_AUTH_SECRET
+ *       (заголовки X-Internal-Timestamp и X-Internal-Signature); через gateway недоступен.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Вернуть только токены, отозванные начиная с этого момента
+ *     responses:
+ *       200:
+ *         description: Список отозванных токенов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokens:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           jti:
+ *                             type: string
+ *                             format: uuid
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           revokedAt:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Запрос не подписан как служебный вызов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tokens/revoked', requireInternalCall, async (req, res) => {
+  const { error, value } = revokedTokensQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const rows = await tokenRepository.findRevokedAccessTokens({ since: value.since });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: rows.map(row => ({
+          jti: row.jti,
+          expiresAt: row.expires_at,
+          revokedAt: row.revoked_at
+        }))
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get revoked tokens error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении списка отозванных токенов'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/users/health:
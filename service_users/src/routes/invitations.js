@@ -0,0 +1,453 @@
+const express = require('express');
+const Joi = require('joi');
+const bcrypt = require('bcrypt');
+const router = express.Router();
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const userRepository = require('../db/queries');
+const invitationRepository = require('../db/invitations');
+const { hashToken, createActionToken } = require('../utils/tokens');
+const { USER_ROLES, canInviteRole } = require('../utils/roles');
+const { sendMail } = require('../mailer');
+const mailTemplates = require('../mailer/templates');
+
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS || '72');
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...USER_ROLES).required(),
+  expiresInHours: Joi.number().integer().min(1).max(720).default(INVITATION_TTL_HOURS)
+});
+
+const listInvitationsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid('pending', 'accepted', 'revoked', 'expired')
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required(),
+  name: Joi.string().min(2).required(),
+  password: Joi.string().min(6).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: error.details[0].message
+  }
+});
+
+// Менеджер видит и отзывает только свои приглашения, администратор — все
+const isAdmin = (user) => user.roles.includes('admin');
+
+/**
+ * @swagger
+ * /api/v1/users/invitations:
+ *   post:
+ *     summary: Пригласить пользователя (админы и менеджеры)
+ *     description: |
+ *       На указанный email отправляется ссылка для регистрации с заранее назначенной ролью.
+ *       Менеджер может приглашать менеджеров, инженеров и заказчиков, администратор — пользователей с любой ролью.
+ *       Новое приглашение на тот же адрес отменяет предыдущее.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [engineer, manager, admin, client]
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 default: 72
+ *     responses:
+ *       201:
+ *         description: Приглашение отправлено
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       403:
+ *         description: Недостаточно прав для приглашения с этой ролью
+ *       409:
+ *         description: Пользователь с таким email уже существует
+ *       502:
+ *         description: Не удалось отправить письмо, приглашение отменено
+ */
+router.post('/invitations', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  const { error, value } = createInvitationSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  if (!canInviteRole(req.user.roles, value.role)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Недостаточно прав для приглашения с этой ролью'
+      }
+    });
+  }
+
+  try {
+    const existingUser = await userRepository.findByEmail(value.email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_EXISTS',
+          message: 'Пользователь с таким email уже существует'
+        }
+      });
+    }
+
+    const { token, tokenHash, expiresAt } = createActionToken(value.expiresInHours * 60 * 60 * 1000);
+    const invitation = await invitationRepository.create({
+      email: value.email,
+      role: value.role,
+      tokenHash,
+      invitedBy: req.user.id,
+      expiresAt
+    });
+
+    try {
+      await sendMail({
+        to: invitation.email,
+        ...mailTemplates.invitation({
+          inviterName: req.user.name,
+          role: invitation.role,
+          token,
+          ttlHours: value.expiresInHours
+        })
+      });
+    } catch (mailError) {
+      // Токен есть только в письме: без него приглашение бесполезно
+      req.log.error(mailError, `Send invitation ${invitation.id} error`);
+      await invitationRepository.revoke(invitation.id);
+      return res.status(502).json({
+        success: false,
+        error: {
+          code: 'MAIL_DELIVERY_FAILED',
+          message: 'Не удалось отправить приглашение, попробуйте позже'
+        }
+      });
+    }
+
+    req.log.info(`Invitation ${invitation.id} (${invitation.role}) created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    req.log.error(error, 'Create invitation error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при создании приглашения'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations:
+ *   get:
+ *     summary: Получить список приглашений (админы и менеджеры)
+ *     description: Менеджер видит только созданные им приглашения.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Список приглашений
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invitation'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ */
+router.get('/invitations', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  const { error, value } = listInvitationsSchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const { invitations, total } = await invitationRepository.findAll({
+      page: value.page,
+      limit: value.limit,
+      status: value.status,
+      invitedBy: isAdmin(req.user) ? undefined : req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          page: value.page,
+          limit: value.limit,
+          total,
+          totalPages: Math.ceil(total / value.limit)
+        }
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get invitations error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении приглашений'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations/accept:
+ *   post:
+ *     summary: Принять приглашение и создать учетную запись
+ *     description: Email и роль берутся из приглашения; email считается подтвержденным. После этого можно войти через /login.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       201:
+ *         description: Учетная запись создана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Приглашение недействительно, истекло, отозвано или уже принято
+ *       409:
+ *         description: Пользователь с таким email уже существует
+ */
+router.post('/invitations/accept', async (req, res) => {
+  const { error, value } = acceptInvitationSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const passwordHash = await bcrypt.hash(value.password, 10);
+    const result = await invitationRepository.accept(hashToken(value.token), {
+      name: value.name,
+      passwordHash
+    });
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_INVITATION',
+          message: 'Приглашение недействительно, истекло или уже было использовано'
+        }
+      });
+    }
+
+    if (result.status === 'user_exists') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_EXISTS',
+          message: 'Пользователь с таким email уже существует'
+        }
+      });
+    }
+
+    req.log.info(`Invitation accepted, user registered: ${result.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: result.user
+    });
+  } catch (error) {
+    req.log.error(error, 'Accept invitation error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при принятии приглашения'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations/{id}:
+ *   delete:
+ *     summary: Отозвать приглашение (админы и менеджеры)
+ *     description: Менеджер может отозвать только свое приглашение.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Приглашение отозвано
+ *       403:
+ *         description: Нет прав на отзыв приглашения
+ *       404:
+ *         description: Приглашение не найдено
+ *       409:
+ *         description: Приглашение уже принято или отозвано
+ */
+router.delete('/invitations/:id', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  const { error } = Joi.string().uuid().validate(req.params.id);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Некорректный ID приглашения'
+      }
+    });
+  }
+
+  try {
+    const invitation = await invitationRepository.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'INVITATION_NOT_FOUND',
+          message: 'Приглашение не найдено'
+        }
+      });
+    }
+
+    if (!isAdmin(req.user) && invitation.invited_by !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Нет прав на отзыв приглашения'
+        }
+      });
+    }
+
+    const revoked = await invitationRepository.revoke(invitation.id);
+    if (!revoked) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVITATION_CLOSED',
+          message: 'Приглашение уже принято или отозвано'
+        }
+      });
+    }
+
+    req.log.info(`Invitation ${invitation.id} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: revoked
+    });
+  } catch (error) {
+    req.log.error(error, 'Revoke invitation error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при отзыве приглашения'
+      }
+    });
+  }
+});
+
+module.exports = router;
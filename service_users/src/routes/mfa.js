@@ -0,0 +1,376 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const userRepository = require('../db/queries');
+const mfaRepository = require('../db/mfa');
+const {
+  isMfaRequired,
+  isTotpEnabled,
+  generateRecoveryCodes,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor
+} = require('../mfa');
+
+const confirmSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+// Отключение TOTP и перевыпуск кодов восстановления требуют действующего второго фактора
+const secondFactorSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(32)
+}).xor('code', 'recoveryCode');
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: error.details[0].message
+  }
+});
+
+const databaseError = (res, message) => res.status(500).json({
+  success: false,
+  error: {
+    code: 'DATABASE_ERROR',
+    message
+  }
+});
+
+const invalidMfaCode = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_MFA_CODE',
+    message: 'Неверный или уже использованный код'
+  }
+});
+
+const mfaNotEnabled = (res) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'MFA_NOT_ENABLED',
+    message: 'Двухфакторная аутентификация не подключена'
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/mfa:
+ *   get:
+ *     summary: Состояние двухфакторной аутентификации текущего пользователя
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Состояние 2FA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     required:
+ *                       type: boolean
+ *                       description: 2FA обязательна для одной из ролей пользователя
+ *                     pendingConfirmation:
+ *                       type: boolean
+ *                       description: Секрет выдан, но еще не подтвержден кодом
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ */
+router.get('/mfa', authenticateToken, async (req, res) => {
+  try {
+    const totp = await mfaRepository.findTotp(req.user.id);
+    const enabled = isTotpEnabled(totp);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        required: isMfaRequired(req.user.roles),
+        pendingConfirmation: Boolean(totp) && !enabled,
+        recoveryCodesRemaining: enabled ? await mfaRepository.countRecoveryCodes(req.user.id) : 0
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Get MFA status error');
+    databaseError(res, 'Ошибка при получении состояния двухфакторной аутентификации');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/mfa/totp/enroll:
+ *   post:
+ *     summary: Начать подключение TOTP
+ *     description: Возвращает новый секрет; повторный вызов до подтверждения заменяет его. 2FA включается после POST /api/v1/users/mfa/totp/confirm.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Секрет для приложения-аутентификатора
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TotpEnrollment'
+ *       409:
+ *         description: TOTP уже подключен
+ */
+router.post('/mfa/totp/enroll', authenticateToken, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.user.id);
+    const enrollment = await startTotpEnrollment(user);
+
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MFA_ALREADY_ENABLED',
+          message: 'Двухфакторная аутентификация уже подключена'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    req.log.error(error, 'MFA enrollment error');
+    databaseError(res, 'Ошибка при подключении двухфакторной аутентификации');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/mfa/totp/confirm:
+ *   post:
+ *     summary: Подтвердить подключение TOTP
+ *     description: Включает 2FA и один раз возвращает коды восстановления — в БД хранятся только их хеши.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: 2FA включена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Неверный код
+ *       409:
+ *         description: Нет неподтвержденного секрета
+ */
+router.post('/mfa/totp/confirm', authenticateToken, async (req, res) => {
+  const { error, value } = confirmSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const result = await confirmTotpEnrollment(req.user.id, value.code);
+
+    if (result.status === 'not_pending') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MFA_NOT_PENDING',
+          message: 'Сначала получите секрет через /api/v1/users/mfa/totp/enroll'
+        }
+      });
+    }
+
+    if (result.status === 'invalid_code') {
+      return invalidMfaCode(res);
+    }
+
+    req.log.info(`TOTP enabled for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: result.recoveryCodes
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'MFA confirmation error');
+    databaseError(res, 'Ошибка при подключении двухфакторной аутентификации');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/mfa/totp:
+ *   delete:
+ *     summary: Отключить TOTP
+ *     description: Недоступно, если 2FA обязательна для роли пользователя.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SecondFactor'
+ *     responses:
+ *       200:
+ *         description: 2FA отключена
+ *       400:
+ *         description: Неверный код
+ *       409:
+ *         description: 2FA не подключена или обязательна для роли
+ */
+router.delete('/mfa/totp', authenticateToken, async (req, res) => {
+  const { error, value } = secondFactorSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  if (isMfaRequired(req.user.roles)) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'MFA_REQUIRED_BY_POLICY',
+        message: 'Двухфакторная аутентификация обязательна для вашей роли'
+      }
+    });
+  }
+
+  try {
+    const totp = await mfaRepository.findTotp(req.user.id);
+    if (!isTotpEnabled(totp)) {
+      return mfaNotEnabled(res);
+    }
+
+    if (!await verifySecondFactor(totp, value)) {
+      return invalidMfaCode(res);
+    }
+
+    await mfaRepository.disable(req.user.id);
+
+    req.log.info(`TOTP disabled for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Двухфакторная аутентификация отключена' }
+    });
+  } catch (error) {
+    req.log.error(error, 'MFA disable error');
+    databaseError(res, 'Ошибка при отключении двухфакторной аутентификации');
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/mfa/recovery-codes:
+ *   post:
+ *     summary: Перевыпустить коды восстановления
+ *     description: Прежние коды перестают действовать.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SecondFactor'
+ *     responses:
+ *       200:
+ *         description: Новые коды восстановления
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Неверный код
+ *       409:
+ *         description: 2FA не подключена
+ */
+router.post('/mfa/recovery-codes', authenticateToken, async (req, res) => {
+  const { error, value } = secondFactorSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const totp = await mfaRepository.findTotp(req.user.id);
+    if (!isTotpEnabled(totp)) {
+      return mfaNotEnabled(res);
+    }
+
+    if (!await verifySecondFactor(totp, value)) {
+      return invalidMfaCode(res);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await mfaRepository.replaceRecoveryCodes(req.user.id, hashes);
+
+    req.log.info(`Recovery codes regenerated for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    req.log.error(error, 'Regenerate recovery codes error');
+    databaseError(res, 'Ошибка при выпуске кодов восстановления');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,100 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const userRepository = require('../db/queries');
+const tokenRepository = require('../db/tokens');
+const loginAttemptRepository = require('../db/loginAttempts');
+const mfaRepository = require('../db/mfa');
+const { USER_ROLES } = require('../utils/roles');
+const { cursorQuery, paginationMeta, invalidCursorResponse } = require('../../../config/pagination');
+
+const lookupSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().uuid()).min(1).max(100).single().required()
+});
+
+const adminUpdateSchema = Joi.object({
+  name: Joi.string().min(2),
+  email: Joi.string().email(),
+  active: Joi.boolean()
+}).min(1);
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...USER_ROLES).required()
+});
+
+const listUsersQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  role: Joi.string().valid(...USER_ROLES),
+  ...cursorQuery
+});
+
+const LOGIN_OUTCOMES = [
+  'success', 'invalid_password', 'unknown_user', 'throttled', 'locked', 'deactivated', 'not_verified',
+  'mfa_challenge', 'invalid_mfa_code'
+];
+
+const loginAttemptsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  userId: Joi.string().uuid(),
+  email: Joi.string().email(),
+  ip: Joi.string().max(64),
+  outcome: Joi.string().valid(...LOGIN_OUTCOMES),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: error.details[0].message
+  }
+});
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'USER_NOT_FOUND',
+    message: 'Пользователь не найден'
+  }
+});
+
+// Администратор не может деактивировать себя или снять с себя роль admin,
+// иначе система может остаться без администраторов
+const selfLockout = (res, message) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'SELF_LOCKOUT',
+    message
+  }
+});
+
+const validateUserId = (req, res, next) => {
+  const { error } = Joi.string().uuid().validate(req.params.id);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Некорректный ID пользователя'
+      }
+    });
+  }
+  next();
+};
+
+// Деактивация завершает все сессии пользователя
+const deactivateUser = async (req, id) => {
+  const user = await userRepository.deactivate(id, req.user.id);
+  if (user) {
+    await tokenRepository.revokeAllForUser(id);
+    req.log.info(`User ${id} deactivated by admin ${req.user.id}`);
+  }
+  return user;
+};
 
 /**
  * @swagger
@@ -135,6 +228,84 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/lookup:
+ *   get:
+ *     summary: Найти пользователей по списку ID
+ *     description: Возвращает краткие сведения (имя, email) только о существующих пользователях. Используется, например, для разбора @упоминаний.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID пользователей через запятую (не более 100)
+ *     responses:
+ *       200:
+ *         description: Найденные пользователи
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *       400:
+ *         description: Ошибка валидации
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/lookup', authenticateToken, async (req, res) => {
+  const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',').filter(Boolean) : req.query.ids;
+  const { error, value } = lookupSchema.validate({ ids });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.details[0].message
+      }
+    });
+  }
+
+  try {
+    const users = await userRepository.findByIds(value.ids);
+
+    res.json({
+      success: true,
+      data: users.map(user => ({ id: user.id, name: user.name, email: user.email }))
+    });
+  } catch (error) {
+    req.log.error(error, 'Lookup users error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при поиске пользователей'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/users:
@@ -155,6 +326,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Количество записей на странице
  *       - in: query
  *         name: role
@@ -162,6 +334,8 @@ router.put('/profile', authenticateToken, async (req, res) => {
  *           type: string
  *           enum: [engineer, manager, admin, client]
  *         description: Фильтр по роли
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Список пользователей
@@ -181,6 +355,128 @@ router.put('/profile', authenticateToken, async (req, res) => {
  *                       items:
  *                         $ref: '#/components/schemas/User'
  *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Ошибка валидации или недействительный курсор
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Недостаточно прав
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const { error, value } = listUsersQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+  
+  try {
+    const { users, total, nextCursor, prevCursor } = await userRepository.findAll({
+      page: value.page,
+      limit: value.limit,
+      role: value.role,
+      cursor: value.cursor,
+      includeTotal: value.includeTotal
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: paginationMeta(value, { total, nextCursor, prevCursor })
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return invalidCursorResponse(res);
+    }
+    req.log.error(error, 'Get users list error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении списка пользователей'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/login-attempts:
+ *   get:
+ *     summary: Журнал попыток входа (только для админов)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *           format: email
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *         description: IP-адрес клиента
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, invalid_password, unknown_user, throttled, locked, deactivated, not_verified, mfa_challenge, invalid_mfa_code]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Начало периода (включительно)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Конец периода (не включительно)
+ *     responses:
+ *       200:
+ *         description: Попытки входа, новые первыми
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoginAttempt'
+ *                     pagination:
  *                       type: object
  *                       properties:
  *                         page:
@@ -191,44 +487,564 @@ router.put('/profile', authenticateToken, async (req, res) => {
  *                           type: integer
  *                         totalPages:
  *                           type: integer
+ *       400:
+ *         description: Ошибка валидации
  *       403:
  *         description: Недостаточно прав
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  */
-router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
-  const { page = 1, limit = 10, role } = req.query;
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
-  
+router.get('/login-attempts', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const { error, value } = loginAttemptsQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
   try {
-    const { users, total } = await userRepository.findAll({
-      page: pageNum,
-      limit: limitNum,
-      role
+    const { attempts, total } = await loginAttemptRepository.findAll({
+      page: value.page,
+      limit: value.limit,
+      userId: value.userId,
+      email: value.email,
+      ipAddress: value.ip,
+      outcome: value.outcome,
+      from: value.from,
+      to: value.to
     });
-    
+
     res.json({
       success: true,
       data: {
-        users,
+        attempts,
         pagination: {
-          page: pageNum,
-          limit: limitNum,
+          page: value.page,
+          limit: value.limit,
           total,
-          totalPages: Math.ceil(total / limitNum)
+          totalPages: Math.ceil(total / value.limit)
         }
       }
     });
   } catch (error) {
-    req.log.error(error, 'Get users list error');
+    req.log.error(error, 'Get login attempts error');
     res.status(500).json({
       success: false,
       error: {
         code: 'DATABASE_ERROR',
-        message: 'Ошибка при получении списка пользователей'
+        message: 'Ошибка при получении журнала попыток входа'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   get:
+ *     summary: Получить пользователя по ID (только для админов)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Данные пользователя
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Недостаточно прав
+ *       404:
+ *         description: Пользователь не найден
+ */
+router.get('/:id', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    req.log.error(error, 'Get user error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при получении пользователя'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   patch:
+ *     summary: Изменить пользователя (только для админов)
+ *     description: active=false деактивирует учетную запись и завершает все ее сессии, active=true восстанавливает доступ.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Пользователь обновлен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Ошибка валидации
+ *       404:
+ *         description: Пользователь не найден
+ *       409:
+ *         description: Email уже занят или попытка деактивировать себя
+ */
+router.patch('/:id', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  const { error, value } = adminUpdateSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  const { active, ...fields } = value;
+
+  if (active === false && req.params.id === req.user.id) {
+    return selfLockout(res, 'Нельзя деактивировать собственную учетную запись');
+  }
+
+  try {
+    let user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (fields.name !== undefined || fields.email !== undefined) {
+      user = await userRepository.updateByAdmin(user.id, fields);
+    }
+
+    if (active === false && user.active) {
+      user = await deactivateUser(req, user.id);
+    } else if (active === true && !user.active) {
+      user = await userRepository.activate(user.id);
+      req.log.info(`User ${user.id} activated by admin ${req.user.id}`);
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_EXISTS',
+          message: 'Пользователь с таким email уже существует'
+        }
+      });
+    }
+
+    req.log.error(error, 'Admin update user error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при обновлении пользователя'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}:
+ *   delete:
+ *     summary: Деактивировать пользователя (только для админов)
+ *     description: Учетная запись не удаляется физически, чтобы сохранить ссылки на автора в проектах и дефектах. Все сессии пользователя завершаются.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Пользователь деактивирован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: Пользователь не найден
+ *       409:
+ *         description: Нельзя деактивировать себя
+ */
+router.delete('/:id', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return selfLockout(res, 'Нельзя деактивировать собственную учетную запись');
+  }
+
+  try {
+    const user = await deactivateUser(req, req.params.id);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    req.log.error(error, 'Deactivate user error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при деактивации пользователя'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/roles:
+ *   post:
+ *     summary: Назначить роль пользователю (только для админов)
+ *     description: Повторное назначение уже имеющейся роли ничего не меняет. Новая роль появится в токене после следующего входа или обновления токена.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [engineer, manager, admin, client]
+ *     responses:
+ *       200:
+ *         description: Роль назначена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Неизвестная роль
+ *       404:
+ *         description: Пользователь не найден
+ */
+router.post('/:id/roles', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  const { error, value } = roleSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const user = await userRepository.addRole(req.params.id, value.role);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    req.log.info(`Role ${value.role} assigned to user ${user.id} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    req.log.error(error, 'Assign role error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при назначении роли'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/roles/{role}:
+ *   delete:
+ *     summary: Отозвать роль у пользователя (только для админов)
+ *     description: У пользователя должна остаться хотя бы одна роль. Все сессии пользователя завершаются, чтобы отозванная роль перестала действовать сразу.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [engineer, manager, admin, client]
+ *     responses:
+ *       200:
+ *         description: Роль отозвана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Неизвестная роль
+ *       404:
+ *         description: Пользователь не найден или не имеет этой роли
+ *       409:
+ *         description: Последняя роль пользователя или снятие роли admin с себя
+ */
+router.delete('/:id/roles/:role', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  const { error, value } = roleSchema.validate({ role: req.params.role });
+  if (error) {
+    return validationError(res, error);
+  }
+
+  if (value.role === 'admin' && req.params.id === req.user.id) {
+    return selfLockout(res, 'Нельзя снять роль администратора с самого себя');
+  }
+
+  try {
+    const current = await userRepository.findById(req.params.id);
+    if (!current) {
+      return userNotFound(res);
+    }
+
+    if (!current.roles.includes(value.role)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ROLE_NOT_ASSIGNED',
+          message: 'У пользователя нет этой роли'
+        }
+      });
+    }
+
+    if (current.roles.length === 1) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'LAST_ROLE',
+          message: 'Нельзя отозвать единственную роль пользователя'
+        }
+      });
+    }
+
+    const user = await userRepository.removeRole(current.id, value.role);
+    await tokenRepository.revokeAllForUser(current.id);
+
+    req.log.info(`Role ${value.role} revoked from user ${user.id} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    req.log.error(error, 'Revoke role error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при отзыве роли'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   post:
+ *     summary: Снять блокировку входа (только для админов)
+ *     description: Сбрасывает счетчик неудачных попыток входа и временную блокировку учетной записи.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Блокировка снята
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Недостаточно прав
+ *       404:
+ *         description: Пользователь не найден
+ */
+router.post('/:id/unlock', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  try {
+    const user = await userRepository.resetLoginFailures(req.params.id);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    req.log.info(`User ${user.id} unlocked by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    req.log.error(error, 'Unlock user error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при снятии блокировки'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/mfa:
+ *   delete:
+ *     summary: Сбросить двухфакторную аутентификацию пользователя (только для админов)
+ *     description: Для пользователя, потерявшего устройство и коды восстановления. Если 2FA обязательна для его роли, TOTP придется подключить заново при следующем входе.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 2FA сброшена
+ *       403:
+ *         description: Недостаточно прав
+ *       404:
+ *         description: Пользователь не найден или 2FA не подключена
+ */
+router.delete('/:id/mfa', authenticateToken, authorizeRoles('admin'), validateUserId, async (req, res) => {
+  try {
+    const removed = await mfaRepository.disable(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MFA_NOT_ENABLED',
+          message: 'Двухфакторная аутентификация пользователя не подключена'
+        }
+      });
+    }
+
+    req.log.info(`MFA reset for user ${req.params.id} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Двухфакторная аутентификация сброшена' }
+    });
+  } catch (error) {
+    req.log.error(error, 'Reset MFA error');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Ошибка при сбросе двухфакторной аутентификации'
       }
     });
   }
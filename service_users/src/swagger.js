@@ -23,10 +23,22 @@ const options = {
         name: 'Users',
         description: 'Управление пользователями',
       },
+      {
+        name: 'Invitations',
+        description: 'Приглашения пользователей с назначенной ролью',
+      },
+      {
+        name: 'MFA',
+        description: 'Двухфакторная аутентификация (TOTP)',
+      },
       {
         name: 'Health',
         description: 'Проверка состояния сервиса',
       },
+      {
+        name: 'Monitoring',
+        description: 'Метрики для Prometheus',
+      },
     ],
     components: {
       schemas: {
@@ -55,6 +67,29 @@ const options = {
               },
               example: ['engineer']
             },
+            verified: {
+              type: 'boolean',
+              description: 'Email подтвержден'
+            },
+            active: {
+              type: 'boolean',
+              description: 'false — учетная запись деактивирована, вход запрещен'
+            },
+            deactivatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lockedUntil: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'До этого времени вход заблокирован после серии неудачных попыток'
+            },
+            failedLoginCount: {
+              type: 'integer',
+              description: 'Неудачные попытки входа подряд'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -65,6 +100,150 @@ const options = {
             }
           }
         },
+        TotpEnrollment: {
+          type: 'object',
+          properties: {
+            secret: {
+              type: 'string',
+              description: 'Секрет в base32 для ручного ввода'
+            },
+            otpauthUri: {
+              type: 'string',
+              example: 'otpauth://totp/Construction%3Auser%40example.com?secret=...&issuer=Construction',
+              description: 'URI для QR-кода в приложении-аутентификаторе'
+            }
+          }
+        },
+        SecondFactor: {
+          type: 'object',
+          description: 'Нужно передать code либо recoveryCode',
+          properties: {
+            code: {
+              type: 'string',
+              example: '123456'
+            },
+            recoveryCode: {
+              type: 'string',
+              example: 'a1b2c-3d4e5'
+            }
+          }
+        },
+        LoginAttempt: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            userId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'null, если пользователь с таким email не найден'
+            },
+            email: {
+              type: 'string'
+            },
+            ipAddress: {
+              type: 'string',
+              nullable: true
+            },
+            userAgent: {
+              type: 'string',
+              nullable: true
+            },
+            outcome: {
+              type: 'string',
+              enum: [
+                'success', 'invalid_password', 'unknown_user', 'throttled', 'locked', 'deactivated', 'not_verified',
+                'mfa_challenge', 'invalid_mfa_code'
+              ],
+              description: 'mfa_challenge — пароль верный, ожидается второй фактор'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Invitation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            email: {
+              type: 'string',
+              format: 'email'
+            },
+            role: {
+              type: 'string',
+              enum: ['engineer', 'manager', 'admin', 'client']
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'revoked', 'expired']
+            },
+            invitedBy: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            acceptedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            acceptedUserId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: {
+              type: 'integer',
+              description: 'Только при пагинации по page'
+            },
+            limit: {
+              type: 'integer'
+            },
+            total: {
+              type: 'integer',
+              description: 'Только если includeTotal'
+            },
+            totalPages: {
+              type: 'integer',
+              description: 'Только при пагинации по page и includeTotal'
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Курсор следующей страницы; null, если страница последняя'
+            },
+            prevCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Курсор предыдущей страницы; null, если страница первая'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -86,6 +265,83 @@ const options = {
               }
             }
           }
+        },
+        Readiness: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                service: {
+                  type: 'string'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['ok', 'down']
+                },
+                timestamp: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                checks: {
+                  type: 'object',
+                  properties: {
+                    database: {
+                      type: 'object',
+                      properties: {
+                        status: {
+                          type: 'string',
+                          enum: ['ok', 'down']
+                        },
+                        latencyMs: {
+                          type: 'integer'
+                        },
+                        error: {
+                          type: 'string'
+                        },
+                        pool: {
+                          type: 'object',
+                          description: 'Соединения пула: всего, свободных и ожидающих запросов',
+                          properties: {
+                            total: {
+                              type: 'integer'
+                            },
+                            idle: {
+                              type: 'integer'
+                            },
+                            waiting: {
+                              type: 'integer'
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      parameters: {
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: {
+            type: 'string'
+          },
+          description: 'Курсор nextCursor или prevCursor из предыдущего ответа. Если указан, page не учитывается'
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'includeTotal',
+          schema: {
+            type: 'boolean'
+          },
+          description: 'Считать ли общее количество записей. По умолчанию true без cursor и false с cursor'
         }
       },
       securitySchemes: {
@@ -97,7 +353,7 @@ const options = {
       }
     }
   },
-  apis: ['./src/routes/*.js'], 
+  apis: ['./src/routes/*.js', './src/index.js'], 
 };
 
 const swaggerSpec = swaggerJsdoc(options);
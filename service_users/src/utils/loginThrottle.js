@@ -0,0 +1,38 @@
+// Защита от подбора пароля для отдельной учетной записи (не зависит от IP):
+// начиная с THROTTLE_AFTER-й неудачной попытки подряд следующая разрешается только через 1, 2, 4 ... секунд,
+// после LOCKOUT_THRESHOLD неудач учетная запись блокируется на LOCKOUT_MINUTES.
+// Счетчик сбрасывается успешным входом, разблокировкой администратором или через FAILURE_WINDOW_MINUTES без неудач.
+const LOGIN_POLICY = {
+  throttleAfter: parseInt(process.env.LOGIN_THROTTLE_AFTER || '3'),
+  lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10'),
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15'),
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60'),
+  maxDelaySeconds: 60
+};
+
+const delaySeconds = (failures) => {
+  if (failures < LOGIN_POLICY.throttleAfter) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - LOGIN_POLICY.throttleAfter), LOGIN_POLICY.maxDelaySeconds);
+};
+
+// Возвращает { reason: 'locked' | 'throttled', retryAfterSeconds } или null, если попытка разрешена
+const getLoginBlock = (user, now = new Date()) => {
+  if (user.locked_until && user.locked_until > now) {
+    return { reason: 'locked', retryAfterSeconds: Math.ceil((user.locked_until - now) / 1000) };
+  }
+
+  if (!user.last_failed_login_at) {
+    return null;
+  }
+
+  const allowedAt = user.last_failed_login_at.getTime() + delaySeconds(user.failed_login_count) * 1000;
+  if (allowedAt > now.getTime()) {
+    return { reason: 'throttled', retryAfterSeconds: Math.ceil((allowedAt - now.getTime()) / 1000) };
+  }
+
+  return null;
+};
+
+module.exports = { LOGIN_POLICY, getLoginBlock };
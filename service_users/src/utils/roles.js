@@ -0,0 +1,16 @@
+// Глобальные роли пользователей; совпадают с ограничением users_roles_check в БД
+const USER_ROLES = ['engineer', 'manager', 'admin', 'client'];
+
+// Роли, которые можно выбрать при самостоятельной регистрации; остальные выдаются только по приглашению
+const PUBLIC_ROLES = ['engineer', 'client'];
+
+// Какие роли может выдавать приглашением пользователь с данной глобальной ролью
+const INVITABLE_ROLES = {
+  admin: USER_ROLES,
+  manager: ['manager', 'engineer', 'client']
+};
+
+const canInviteRole = (userRoles, role) =>
+  userRoles.some(userRole => (INVITABLE_ROLES[userRole] || []).includes(role));
+
+module.exports = { USER_ROLES, PUBLIC_ROLES, canInviteRole };
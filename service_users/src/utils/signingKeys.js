@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Ключи подписи access-токенов: каталог JWT_KEYS_DIR с закрытыми ключами в PEM, имя файла без .pem — kid.
+// Все ключи каталога публикуются в JWKS, подписывает ключ JWT_ACTIVE_KID (по умолчанию — последний по имени).
+// Ротация: добавить новый ключ и перезапустить сервис, затем переключить JWT_ACTIVE_KID,
+// старый ключ удалить после истечения выданных им токенов
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, '../../keys');
+const JWT_ACTIVE_KID = process.env.JWT_ACTIVE_KID;
+
+const JWT_ALGORITHMS = ['RS256', 'ES256'];
+
+const algorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  throw new Error(`Unsupported signing key type: ${key.asymmetricKeyType}`);
+};
+
+const readKeys = () => {
+  if (!fs.existsSync(JWT_KEYS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(JWT_KEYS_DIR)
+    .filter(file => file.endsWith('.pem'))
+    .sort()
+    .map((file) => {
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(JWT_KEYS_DIR, file)));
+      return {
+        kid: path.basename(file, '.pem'),
+        alg: algorithmFor(privateKey),
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey)
+      };
+    });
+};
+
+// Для локального запуска ключ создается автоматически и сохраняется в каталоге,
+// чтобы выданные токены переживали перезапуск и принимались всеми экземплярами сервиса
+const createDevKey = () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const kid = `dev-${new Date().toISOString().slice(0, 10)}`;
+
+  fs.mkdirSync(JWT_KEYS_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(JWT_KEYS_DIR, `${kid}.pem`),
+    privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    { mode: 0o600 }
+  );
+};
+
+const loadKeys = () => {
+  let keys = readKeys();
+
+  if (keys.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`No JWT signing keys found in ${JWT_KEYS_DIR}`);
+    }
+    createDevKey();
+    keys = readKeys();
+  }
+
+  return keys;
+};
+
+const keys = loadKeys();
+const activeKey = JWT_ACTIVE_KID ? keys.find(key => key.kid === JWT_ACTIVE_KID) : keys[keys.length - 1];
+
+if (!activeKey) {
+  throw new Error(`JWT signing key ${JWT_ACTIVE_KID} not found in ${JWT_KEYS_DIR}`);
+}
+
+const getSigningKey = () => activeKey;
+
+// Для jwt.verify: открытый ключ выбирается по kid из заголовка токена
+const getVerificationKey = (header, callback) => {
+  const key = keys.find(candidate => candidate.kid === header.kid);
+  if (!key) {
+    return callback(new Error(`Unknown JWT signing key: ${header.kid}`));
+  }
+  callback(null, key.publicKey);
+};
+
+const getJwks = () => ({
+  keys: keys.map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig'
+  }))
+});
+
+module.exports = { JWT_ALGORITHMS, getSigningKey, getVerificationKey, getJwks };
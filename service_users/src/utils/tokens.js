@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_ALGORITHMS, getSigningKey, getVerificationKey } = require('./signingKeys');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createAccessToken = (user) => {
+  const jti = crypto.randomUUID();
+  const signingKey = getSigningKey();
+  const token = jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      roles: user.roles
+    },
+    signingKey.privateKey,
+    { algorithm: signingKey.alg, keyid: signingKey.kid, expiresIn: ACCESS_TOKEN_TTL, jwtid: jti }
+  );
+
+  const { exp } = jwt.decode(token);
+  return { token, jti, expiresAt: new Date(exp * 1000) };
+};
+
+const createRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Токен для ссылки из письма: пользователю уходит сам токен, в БД сохраняется только хеш
+const createActionToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+};
+
+const verifyAccessToken = (token) => new Promise((resolve, reject) => {
+  jwt.verify(token, getVerificationKey, { algorithms: JWT_ALGORITHMS }, (error, payload) => {
+    if (error) {
+      return reject(error);
+    }
+    resolve(payload);
+  });
+});
+
+// Выпускает пару токенов; данные для сохранения refresh-токена возвращаются отдельно
+const createTokenPair = (user) => {
+  const access = createAccessToken(user);
+  const refresh = createRefreshToken();
+
+  return {
+    accessToken: access.token,
+    refreshToken: refresh.token,
+    expiresAt: access.expiresAt,
+    record: {
+      tokenHash: refresh.tokenHash,
+      accessTokenJti: access.jti,
+      accessTokenExpiresAt: access.expiresAt,
+      expiresAt: refresh.expiresAt
+    }
+  };
+};
+
+module.exports = { hashToken, createTokenPair, createActionToken, verifyAccessToken };
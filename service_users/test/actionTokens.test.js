@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Ключ подписи и письма для тестов сохраняются во временном каталоге
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-action-tokens-'));
+const mailDir = path.join(tmpDir, 'mail');
+process.env.JWT_KEYS_DIR = path.join(tmpDir, 'keys');
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_PATH = mailDir;
+
+const { usersPool } = require('../../config/database');
+const userRepository = require('../src/db/queries');
+const tokenRepository = require('../src/db/tokens');
+const { hashToken } = require('../src/utils/tokens');
+const authRoutes = require('../src/routes/auth');
+
+const USER = { id: '11111111-1111-4111-8111-111111111111', email: 'engineer@example.com', name: 'Инженер', active: true };
+
+// Таблица user_action_tokens в памяти: условия запросов повторяют SQL репозитория
+const createTokenStore = () => {
+  const rows = [];
+
+  const query = async (sql, params) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+
+    if (text.startsWith('UPDATE user_action_tokens SET used_at = NOW() WHERE user_id')) {
+      const [userId, purpose] = params;
+      rows.filter(row => row.user_id === userId && row.purpose === purpose && !row.used_at)
+        .forEach((row) => {
+          row.used_at = new Date();
+        });
+      return { rows: [] };
+    }
+    if (text.startsWith('INSERT INTO user_action_tokens')) {
+      const [userId, purpose, tokenHash, expiresAt] = params;
+      rows.push({ user_id: userId, purpose, token_hash: tokenHash, expires_at: expiresAt, used_at: null });
+      return { rows: [] };
+    }
+    if (text.startsWith('UPDATE user_action_tokens SET used_at = NOW() WHERE token_hash')) {
+      assert.match(text, /used_at IS NULL AND expires_at > NOW\(\)/);
+      const [tokenHash, purpose] = params;
+      const row = rows.find(item => item.token_hash === tokenHash && item.purpose === purpose &&
+        !item.used_at && item.expires_at > new Date());
+      if (!row) {
+        return { rows: [] };
+      }
+      row.used_at = new Date();
+      return { rows: [{ user_id: row.user_id }] };
+    }
+    return { rows: [] };
+  };
+
+  mock.method(usersPool, 'query', query);
+  mock.method(usersPool, 'connect', async () => ({ query, release: () => {} }));
+  return rows;
+};
+
+// Письма отправляются в фоне после ответа — ждем появления нового файла
+const nextMail = async (count) => {
+  for (let i = 0; i < 100; i++) {
+    const files = fs.existsSync(mailDir) ? fs.readdirSync(mailDir).sort() : [];
+    if (files.length >= count) {
+      return JSON.parse(fs.readFileSync(path.join(mailDir, files[count - 1]), 'utf8'));
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Mail was not sent');
+};
+
+const tokenFromMail = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('ссылки для смены пароля и подтверждения email', () => {
+  let server;
+  let baseUrl;
+  let mailCount = 0;
+  let store;
+  let repository;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.log = { info: () => {}, warn: () => {}, error: () => {} };
+      next();
+    });
+    app.use('/api/v1/users', authRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    store = createTokenStore();
+    mock.method(userRepository, 'findByEmail', async () => USER);
+    repository = {
+      updatePassword: mock.method(userRepository, 'updatePassword', async () => ({ id: USER.id })),
+      markVerified: mock.method(userRepository, 'markVerified', async () => {}),
+      revokeAllForUser: mock.method(tokenRepository, 'revokeAllForUser', async () => {})
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const post = async (url, body) => {
+    const response = await fetch(`${baseUrl}/api/v1/users${url}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const requestReset = async () => {
+    assert.equal((await post('/forgot-password', { email: USER.email })).status, 202);
+    return tokenFromMail(await nextMail(++mailCount));
+  };
+
+  it('в БД хранится только хеш токена со сроком действия 60 минут', async () => {
+    const requestedAt = Date.now();
+    const token = await requestReset();
+
+    assert.equal(store.length, 1);
+    assert.equal(store[0].purpose, 'password_reset');
+    assert.equal(store[0].token_hash, hashToken(token));
+    assert.notEqual(store[0].token_hash, token);
+
+    const ttlMs = store[0].expires_at.getTime() - requestedAt;
+    assert.ok(ttlMs > 59 * 60 * 1000 && ttlMs <= 60 * 60 * 1000 + 1000, `ttl ${ttlMs}`);
+  });
+
+  it('ссылка меняет пароль один раз и завершает все сессии', async () => {
+    const token = await requestReset();
+
+    const first = await post('/reset-password', { token, password: 'new-password' });
+    assert.equal(first.status, 200);
+    assert.equal(repository.updatePassword.mock.calls[0].arguments[0], USER.id);
+    assert.deepEqual(repository.revokeAllForUser.mock.calls[0].arguments, [USER.id]);
+
+    const second = await post('/reset-password', { token, password: 'another-password' });
+    assert.equal(second.status, 400);
+    assert.equal(second.body.error.code, 'INVALID_TOKEN');
+    assert.equal(repository.updatePassword.mock.callCount(), 1);
+  });
+
+  it('истекшая ссылка не принимается', async () => {
+    const token = await requestReset();
+    store[0].expires_at = new Date(Date.now() - 1000);
+
+    const response = await post('/reset-password', { token, password: 'new-password' });
+
+    assert.equal(response.status, 400);
+    assert.equal(repository.updatePassword.mock.callCount(), 0);
+  });
+
+  it('новый запрос отменяет ранее отправленную ссылку', async () => {
+    const previous = await requestReset();
+    const latest = await requestReset();
+
+    assert.equal((await post('/reset-password', { token: previous, password: 'new-password' })).status, 400);
+    assert.equal((await post('/reset-password', { token: latest, password: 'new-password' })).status, 200);
+  });
+
+  it('ссылка смены пароля не подтверждает email', async () => {
+    const token = await requestReset();
+
+    const response = await post('/verify-email', { token });
+
+    assert.equal(response.status, 400);
+    assert.equal(repository.markVerified.mock.callCount(), 0);
+    assert.equal((await post('/reset-password', { token, password: 'new-password' })).status, 200);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Ключ подписи для тестов создается во временном каталоге, а не в service_users/keys
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-keys-'));
+process.env.JWT_KEYS_DIR = keysDir;
+
+const userRepository = require('../src/db/queries');
+const tokenRepository = require('../src/db/tokens');
+const { createTokenPair } = require('../src/utils/tokens');
+const userRoutes = require('../src/routes/users');
+
+const ADMIN = { id: '99999999-9999-4999-8999-999999999999', email: 'admin@example.com', name: 'Админ', roles: ['admin'] };
+const ENGINEER = { id: '11111111-1111-4111-8111-111111111111', email: 'engineer@example.com', name: 'Инженер', roles: ['engineer'] };
+
+describe('управление пользователями администратором', () => {
+  let server;
+  let baseUrl;
+  let adminToken;
+  let engineerToken;
+
+  before(async () => {
+    adminToken = createTokenPair(ADMIN).accessToken;
+    engineerToken = createTokenPair(ENGINEER).accessToken;
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.log = { info: () => {}, warn: () => {}, error: () => {} };
+      next();
+    });
+    app.use('/api/v1/users', userRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  // Токены действительны, учетные записи активны
+  beforeEach(() => {
+    mock.method(tokenRepository, 'isAccessTokenRevoked', async () => false);
+    mock.method(userRepository, 'isActive', async () => true);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const request = async (method, url, { token = adminToken, body } = {}) => {
+    const response = await fetch(`${baseUrl}/api/v1/users${url}`, {
+      method,
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('обычный пользователь не получает доступа к управлению', async () => {
+    const response = await request('DELETE', `/${ADMIN.id}`, { token: engineerToken });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.code, 'FORBIDDEN');
+  });
+
+  it('некорректный id отклоняется до обращения к БД', async () => {
+    const findById = mock.method(userRepository, 'findById', async () => undefined);
+
+    const response = await request('PATCH', '/not-a-uuid', { body: { name: 'Новое имя' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it('деактивация завершает все сессии пользователя', async () => {
+    const deactivate = mock.method(userRepository, 'deactivate', async (id) => ({ ...ENGINEER, id, active: false }));
+    const revokeAll = mock.method(tokenRepository, 'revokeAllForUser', async () => {});
+
+    const response = await request('DELETE', `/${ENGINEER.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.active, false);
+    assert.deepEqual(deactivate.mock.calls[0].arguments, [ENGINEER.id, ADMIN.id]);
+    assert.deepEqual(revokeAll.mock.calls[0].arguments, [ENGINEER.id]);
+  });
+
+  it('администратор не может деактивировать себя или снять с себя роль admin', async () => {
+    const deactivate = mock.method(userRepository, 'deactivate', async () => ADMIN);
+    const removeRole = mock.method(userRepository, 'removeRole', async () => ADMIN);
+
+    for (const [method, url, body] of [
+      ['DELETE', `/${ADMIN.id}`],
+      ['PATCH', `/${ADMIN.id}`, { active: false }],
+      ['DELETE', `/${ADMIN.id}/roles/admin`]
+    ]) {
+      const response = await request(method, url, { body });
+      assert.equal(response.status, 409, `${method} ${url}`);
+      assert.equal(response.body.error.code, 'SELF_LOCKOUT');
+    }
+
+    assert.equal(deactivate.mock.callCount(), 0);
+    assert.equal(removeRole.mock.callCount(), 0);
+  });
+
+  it('отзыв роли завершает сессии, единственную роль отозвать нельзя', async () => {
+    const manager = { ...ENGINEER, roles: ['engineer', 'manager'] };
+    mock.method(userRepository, 'findById', async () => manager);
+    mock.method(userRepository, 'removeRole', async (id, role) => ({ ...manager, roles: manager.roles.filter(item => item !== role) }));
+    const revokeAll = mock.method(tokenRepository, 'revokeAllForUser', async () => {});
+
+    const revoked = await request('DELETE', `/${ENGINEER.id}/roles/manager`);
+    assert.equal(revoked.status, 200);
+    assert.deepEqual(revoked.body.data.roles, ['engineer']);
+    assert.deepEqual(revokeAll.mock.calls[0].arguments, [ENGINEER.id]);
+
+    mock.method(userRepository, 'findById', async () => ENGINEER);
+    const lastRole = await request('DELETE', `/${ENGINEER.id}/roles/engineer`);
+    assert.equal(lastRole.status, 409);
+    assert.equal(lastRole.body.error.code, 'LAST_ROLE');
+  });
+
+  it('назначается только известная роль', async () => {
+    const addRole = mock.method(userRepository, 'addRole', async (id, role) => ({ ...ENGINEER, roles: [...ENGINEER.roles, role] }));
+
+    const unknown = await request('POST', `/${ENGINEER.id}/roles`, { body: { role: 'superuser' } });
+    assert.equal(unknown.status, 400);
+    assert.equal(addRole.mock.callCount(), 0);
+
+    const assigned = await request('POST', `/${ENGINEER.id}/roles`, { body: { role: 'manager' } });
+    assert.equal(assigned.status, 200);
+    assert.deepEqual(addRole.mock.calls[0].arguments, [ENGINEER.id, 'manager']);
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bcrypt = require('bcrypt');
+
+// Ключ подписи для тестов создается во временном каталоге, а не в service_users/keys
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-keys-'));
+process.env.JWT_KEYS_DIR = keysDir;
+
+const { usersPool } = require('../../config/database');
+const userRepository = require('../src/db/queries');
+const loginAttemptRepository = require('../src/db/loginAttempts');
+const { LOGIN_POLICY, getLoginBlock } = require('../src/utils/loginThrottle');
+const authRoutes = require('../src/routes/auth');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const PASSWORD = 'correct-horse';
+const NOW = new Date('2026-03-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+after(() => {
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+describe('задержка и блокировка входа', () => {
+  it('без неудачных попыток вход разрешен', () => {
+    assert.equal(getLoginBlock({ failed_login_count: 0, last_failed_login_at: null }, NOW), null);
+  });
+
+  it('до порога throttleAfter попытки не задерживаются', () => {
+    const user = { failed_login_count: LOGIN_POLICY.throttleAfter - 1, last_failed_login_at: NOW };
+
+    assert.equal(getLoginBlock(user, NOW), null);
+  });
+
+  it('задержка начинается с секунды и удваивается с каждой неудачей', () => {
+    const user = (extra) => ({ failed_login_count: LOGIN_POLICY.throttleAfter + extra, last_failed_login_at: NOW });
+
+    assert.deepEqual(getLoginBlock(user(0), NOW), { reason: 'throttled', retryAfterSeconds: 1 });
+    assert.deepEqual(getLoginBlock(user(2), NOW), { reason: 'throttled', retryAfterSeconds: 4 });
+    assert.deepEqual(getLoginBlock(user(20), NOW), { reason: 'throttled', retryAfterSeconds: LOGIN_POLICY.maxDelaySeconds });
+  });
+
+  it('после задержки следующая попытка разрешена', () => {
+    const user = { failed_login_count: LOGIN_POLICY.throttleAfter + 2, last_failed_login_at: secondsAgo(4) };
+
+    assert.equal(getLoginBlock(user, NOW), null);
+  });
+
+  it('блокировка действует до locked_until', () => {
+    const lockedUntil = new Date(NOW.getTime() + LOGIN_POLICY.lockoutMinutes * 60 * 1000);
+    const user = { failed_login_count: LOGIN_POLICY.lockoutThreshold, last_failed_login_at: NOW, locked_until: lockedUntil };
+
+    assert.deepEqual(getLoginBlock(user, NOW), { reason: 'locked', retryAfterSeconds: LOGIN_POLICY.lockoutMinutes * 60 });
+    assert.equal(getLoginBlock({ ...user, last_failed_login_at: secondsAgo(3600) }, lockedUntil), null);
+  });
+});
+
+describe('счетчик неудачных попыток в БД', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('неудача засчитывается с окном, порогом и длительностью блокировки из политики', async () => {
+    const query = mock.method(usersPool, 'query', async () => ({ rows: [{ failed_login_count: 1, locked_until: null }] }));
+
+    await userRepository.recordLoginFailure(USER_ID, LOGIN_POLICY);
+
+    assert.deepEqual(query.mock.calls[0].arguments[1], [
+      USER_ID,
+      LOGIN_POLICY.failureWindowMinutes,
+      LOGIN_POLICY.lockoutThreshold,
+      LOGIN_POLICY.lockoutMinutes
+    ]);
+  });
+
+  it('сброс обнуляет счетчик, время последней неудачи и блокировку', async () => {
+    const query = mock.method(usersPool, 'query', async () => ({ rows: [{ id: USER_ID }] }));
+
+    await userRepository.resetLoginFailures(USER_ID);
+
+    const [sql, params] = query.mock.calls[0].arguments;
+    assert.match(sql, /failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL/);
+    assert.deepEqual(params, [USER_ID]);
+  });
+
+  it('попытка входа записывается в журнал с адресом и результатом', async () => {
+    const query = mock.method(usersPool, 'query', async () => ({ rows: [] }));
+
+    await loginAttemptRepository.record({ email: 'unknown@example.com', ipAddress: '203.0.113.7', outcome: 'unknown_user' });
+
+    assert.deepEqual(query.mock.calls[0].arguments[1], [null, 'unknown@example.com', '203.0.113.7', undefined, 'unknown_user']);
+  });
+});
+
+describe('POST /login', () => {
+  let server;
+  let baseUrl;
+  let passwordHash;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.log = { info: () => {}, warn: () => {}, error: () => {} };
+      next();
+    });
+    app.use('/api/v1/users', authRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // Неподтвержденный пользователь: после проверки пароля вход останавливается до выдачи токенов
+  const mockLogin = (fields) => {
+    const user = {
+      id: USER_ID,
+      email: 'engineer@example.com',
+      password_hash: passwordHash,
+      active: true,
+      verified: false,
+      roles: ['engineer'],
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      ...fields
+    };
+    return {
+      attempts: mock.method(loginAttemptRepository, 'record', async () => {}),
+      failure: mock.method(userRepository, 'recordLoginFailure', async () => ({ failed_login_count: 1, locked_until: null })),
+      reset: mock.method(userRepository, 'resetLoginFailures', async () => user),
+      find: mock.method(userRepository, 'findByEmail', async () => user)
+    };
+  };
+
+  const login = (password) => fetch(`${baseUrl}/api/v1/users/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ email: 'engineer@example.com', password })
+  });
+
+  const outcomes = (attempts) => attempts.mock.calls.map(call => call.arguments[0].outcome);
+
+  it('неверный пароль засчитывается как неудача', async () => {
+    const { attempts, failure, reset } = mockLogin();
+
+    const response = await login('wrong-password');
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(failure.mock.calls[0].arguments, [USER_ID, LOGIN_POLICY]);
+    assert.equal(reset.mock.callCount(), 0);
+    assert.deepEqual(outcomes(attempts), ['invalid_password']);
+  });
+
+  it('во время задержки пароль не проверяется, а ответ содержит Retry-After', async () => {
+    const { attempts, failure } = mockLogin({ failed_login_count: LOGIN_POLICY.throttleAfter, last_failed_login_at: new Date() });
+
+    const response = await login(PASSWORD);
+
+    assert.equal(response.status, 429);
+    assert.equal((await response.json()).error.code, 'LOGIN_THROTTLED');
+    assert.equal(response.headers.get('retry-after'), '1');
+    assert.equal(failure.mock.callCount(), 0);
+    assert.deepEqual(outcomes(attempts), ['throttled']);
+  });
+
+  it('заблокированная учетная запись не входит даже с верным паролем', async () => {
+    const { attempts, reset } = mockLogin({
+      failed_login_count: LOGIN_POLICY.lockoutThreshold,
+      last_failed_login_at: new Date(),
+      locked_until: new Date(Date.now() + 60 * 1000)
+    });
+
+    const response = await login(PASSWORD);
+
+    assert.equal(response.status, 423);
+    assert.equal((await response.json()).error.code, 'ACCOUNT_LOCKED');
+    assert.equal(reset.mock.callCount(), 0);
+    assert.deepEqual(outcomes(attempts), ['locked']);
+  });
+
+  it('верный пароль сбрасывает счетчик неудач', async () => {
+    const { reset, failure } = mockLogin({ failed_login_count: 2, last_failed_login_at: new Date(Date.now() - 60 * 1000) });
+
+    await login(PASSWORD);
+
+    assert.deepEqual(reset.mock.calls[0].arguments, [USER_ID]);
+    assert.equal(failure.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Ключ подписи для тестов создается во временном каталоге, а не в service_users/keys
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-keys-'));
+process.env.JWT_KEYS_DIR = keysDir;
+
+const mfaRepository = require('../src/db/mfa');
+const { generateCode, currentStep } = require('../src/mfa/totp');
+const mfa = require('../src/mfa');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', email: 'admin@example.com' };
+
+after(() => {
+  fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+describe('токен подтверждения входа', () => {
+  it('проверяется и сохраняет признак обязательного подключения', () => {
+    const { token, expiresAt } = mfa.createChallengeToken(user, { enrollment: true });
+
+    assert.ok(expiresAt > new Date());
+    assert.deepEqual(mfa.verifyChallengeToken(token), { userId: user.id, enrollment: true });
+  });
+
+  it('отклоняет токен, подписанный ключом по умолчанию', () => {
+    const payload = { purpose: 'mfa_challenge', enrollment: false };
+    const options = { subject: user.id, expiresIn: '5m' };
+    const legacyKey = crypto.createHmac('sha256', 'your-secret-key').update('mfa-challenge').digest();
+
+    assert.equal(mfa.verifyChallengeToken(jwt.sign(payload, legacyKey, options)), null);
+    assert.equal(mfa.verifyChallengeToken(jwt.sign(payload, 'your-secret-key', options)), null);
+  });
+
+  it('отклоняет токен с измененным содержимым', () => {
+    const { token } = mfa.createChallengeToken(user);
+    const [header, , signature] = token.split('.');
+    const payload = Buffer.from(JSON.stringify({ purpose: 'mfa_challenge', sub: 'someone-else' })).toString('base64url');
+
+    assert.equal(mfa.verifyChallengeToken(`${header}.${payload}.${signature}`), null);
+  });
+});
+
+describe('ключ MFA в production', () => {
+  const modulePath = require.resolve('../src/mfa');
+  const saved = {};
+  const ENV_KEYS = ['NODE_ENV', 'MFA_SECRET', 'MFA_CHALLENGE_SECRET', 'MFA_ENCRYPTION_KEY'];
+
+  before(() => {
+    for (const key of ENV_KEYS) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    process.env.NODE_ENV = 'production';
+  });
+
+  after(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    }
+    delete require.cache[modulePath];
+  });
+
+  it('без MFA_SECRET сервис не запускается', () => {
+    delete require.cache[modulePath];
+    assert.throws(() => require('../src/mfa'), /MFA_SECRET/);
+  });
+
+  it('запускается с явными ключами подписи и шифрования', () => {
+    process.env.MFA_CHALLENGE_SECRET = 'challenge-secret';
+    process.env.MFA_ENCRYPTION_KEY = 'encryption-key';
+    delete require.cache[modulePath];
+    assert.doesNotThrow(() => require('../src/mfa'));
+  });
+});
+
+describe('подключение TOTP', () => {
+  let stored;
+
+  const mockPendingTotp = () => {
+    mock.method(mfaRepository, 'saveTotpSecret', async (userId, secretEncrypted) => {
+      stored = { user_id: userId, secret_encrypted: secretEncrypted, confirmed_at: null, last_used_step: null };
+      return stored;
+    });
+    mock.method(mfaRepository, 'findTotp', async () => stored);
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+    stored = undefined;
+  });
+
+  it('хранит секрет зашифрованным и подтверждает его верным кодом', async () => {
+    mockPendingTotp();
+    const confirmTotp = mock.method(mfaRepository, 'confirmTotp', async () => true);
+
+    const { secret, otpauthUri } = await mfa.startTotpEnrollment(user);
+    assert.ok(!stored.secret_encrypted.includes(secret));
+    assert.match(otpauthUri, /^otpauth:\/\/totp\//);
+
+    const result = await mfa.confirmTotpEnrollment(user.id, generateCode(secret, currentStep()));
+
+    assert.equal(result.status, 'confirmed');
+    assert.equal(result.recoveryCodes.length, 10);
+    const [, step, hashes] = confirmTotp.mock.calls[0].arguments;
+    assert.ok(Math.abs(step - currentStep()) <= 1);
+    assert.equal(hashes.length, 10);
+    assert.ok(!hashes.includes(result.recoveryCodes[0]));
+  });
+
+  it('не подтверждает неверный код', async () => {
+    mockPendingTotp();
+    const confirmTotp = mock.method(mfaRepository, 'confirmTotp', async () => true);
+
+    const { secret } = await mfa.startTotpEnrollment(user);
+    const wrongCode = String((Number(generateCode(secret, currentStep())) + 1) % 1e6).padStart(6, '0');
+
+    assert.deepEqual(await mfa.confirmTotpEnrollment(user.id, wrongCode), { status: 'invalid_code' });
+    assert.equal(confirmTotp.mock.callCount(), 0);
+  });
+
+  it('не начинает подключение заново, если TOTP уже подключен', async () => {
+    mock.method(mfaRepository, 'saveTotpSecret', async () => undefined);
+
+    assert.equal(await mfa.startTotpEnrollment(user), null);
+  });
+});
+
+describe('второй фактор при входе', () => {
+  let secret;
+  let totp;
+
+  before(async () => {
+    mock.method(mfaRepository, 'saveTotpSecret', async (userId, secretEncrypted) => ({ secret_encrypted: secretEncrypted }));
+    ({ secret } = await mfa.startTotpEnrollment(user));
+    const [, secretEncrypted] = mfaRepository.saveTotpSecret.mock.calls[0].arguments;
+    mock.restoreAll();
+
+    totp = { user_id: user.id, secret_encrypted: secretEncrypted, confirmed_at: new Date(), last_used_step: null };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('принимает текущий код и отклоняет его повтор', async () => {
+    mock.method(mfaRepository, 'markStepUsed', async () => true);
+    const code = generateCode(secret, currentStep());
+
+    assert.equal(await mfa.verifySecondFactor(totp, { code }), 'totp');
+    assert.equal(await mfa.verifySecondFactor({ ...totp, last_used_step: String(currentStep()) }, { code }), null);
+  });
+
+  it('отклоняет код, если шаг уже использован параллельным входом', async () => {
+    mock.method(mfaRepository, 'markStepUsed', async () => false);
+
+    assert.equal(await mfa.verifySecondFactor(totp, { code: generateCode(secret, currentStep()) }), null);
+  });
+
+  it('принимает код восстановления в любом регистре', async () => {
+    const { codes, hashes } = mfa.generateRecoveryCodes();
+    const consume = mock.method(mfaRepository, 'consumeRecoveryCode', async (userId, hash) => hashes.includes(hash));
+
+    assert.equal(await mfa.verifySecondFactor(totp, { recoveryCode: codes[0].toUpperCase() }), 'recovery_code');
+    assert.equal(consume.mock.calls[0].arguments[1], hashes[0]);
+    assert.equal(await mfa.verifySecondFactor(totp, { recoveryCode: '00000-00000' }), null);
+  });
+
+  it('не проверяет коды, пока TOTP не подключен', async () => {
+    const markStepUsed = mock.method(mfaRepository, 'markStepUsed', async () => true);
+
+    assert.equal(await mfa.verifySecondFactor({ ...totp, confirmed_at: null }, { code: generateCode(secret, currentStep()) }), null);
+    assert.equal(markStepUsed.mock.callCount(), 0);
+  });
+});
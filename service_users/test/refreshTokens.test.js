@@ -0,0 +1,108 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { usersPool } = require('../../config/database');
+const tokenRepository = require('../src/db/tokens');
+
+const FAMILY_ID = '22222222-2222-4222-8222-222222222222';
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+const nextToken = {
+  tokenHash: 'next-hash',
+  accessTokenJti: 'next-jti',
+  accessTokenExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+  expiresAt: new Date(Date.now() + 30 * 24 * 3600 * 1000)
+};
+
+// Клиент пула, который отвечает на SELECT ... FOR UPDATE строкой current и записывает все запросы
+const mockClient = (current) => {
+  const queries = [];
+  const client = {
+    released: false,
+    query: async (sql, params) => {
+      const text = sql.trim();
+      queries.push({ text, params });
+
+      if (text.startsWith('SELECT * FROM refresh_tokens')) {
+        return { rows: current ? [current] : [] };
+      }
+      if (text.startsWith('INSERT INTO refresh_tokens')) {
+        return { rows: [{ id: 'next-id', user_id: params[0], family_id: params[1] }] };
+      }
+      return { rows: [] };
+    },
+    release: () => {
+      client.released = true;
+    }
+  };
+
+  mock.method(usersPool, 'connect', async () => client);
+  return { client, queries };
+};
+
+const storedToken = (fields) => ({
+  id: 'current-id',
+  user_id: USER_ID,
+  family_id: FAMILY_ID,
+  revoked_at: null,
+  replaced_by: null,
+  expires_at: new Date(Date.now() + 3600 * 1000),
+  ...fields
+});
+
+describe('ротация refresh-токена', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('выдает новый токен того же семейства и отзывает предъявленный', async () => {
+    const { client, queries } = mockClient(storedToken());
+
+    const result = await tokenRepository.rotateRefreshToken('current-hash', nextToken);
+
+    assert.equal(result.status, 'rotated');
+    assert.equal(result.userId, USER_ID);
+    assert.equal(result.token.family_id, FAMILY_ID);
+
+    const revoke = queries.find(query => query.text.startsWith('UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by'));
+    assert.deepEqual(revoke.params, ['current-id', 'next-id']);
+    assert.equal(queries.at(-1).text, 'COMMIT');
+    assert.ok(client.released);
+  });
+
+  it('при повторном предъявлении обменянного токена отзывает все семейство', async () => {
+    const { client, queries } = mockClient(storedToken({ revoked_at: new Date(), replaced_by: 'next-id' }));
+
+    const result = await tokenRepository.rotateRefreshToken('current-hash', nextToken);
+
+    assert.deepEqual(result, { status: 'reused', userId: USER_ID, familyId: FAMILY_ID });
+    assert.ok(!queries.some(query => query.text.startsWith('INSERT INTO refresh_tokens')));
+
+    const familyUpdate = queries.find(query => query.text.startsWith('UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id'));
+    assert.deepEqual(familyUpdate.params, [FAMILY_ID]);
+
+    const accessRevocation = queries.find(query => query.text.startsWith('INSERT INTO revoked_access_tokens'));
+    assert.deepEqual(accessRevocation.params, [FAMILY_ID]);
+
+    assert.equal(queries.at(-1).text, 'COMMIT');
+    assert.ok(client.released);
+  });
+
+  it('отозванный при выходе токен не считается кражей', async () => {
+    const { queries } = mockClient(storedToken({ revoked_at: new Date() }));
+
+    const result = await tokenRepository.rotateRefreshToken('current-hash', nextToken);
+
+    assert.deepEqual(result, { status: 'revoked' });
+    assert.ok(!queries.some(query => query.text.includes('family_id = $1')));
+    assert.equal(queries.at(-1).text, 'ROLLBACK');
+  });
+
+  it('не обменивает истекший и неизвестный токен', async () => {
+    mockClient(storedToken({ expires_at: new Date(Date.now() - 1000) }));
+    assert.deepEqual(await tokenRepository.rotateRefreshToken('current-hash', nextToken), { status: 'expired' });
+
+    mock.restoreAll();
+    mockClient(undefined);
+    assert.deepEqual(await tokenRepository.rotateRefreshToken('unknown-hash', nextToken), { status: 'not_found' });
+  });
+});
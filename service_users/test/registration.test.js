@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Ключ подписи и письма для тестов сохраняются во временном каталоге
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-registration-'));
+process.env.JWT_KEYS_DIR = path.join(tmpDir, 'keys');
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_PATH = path.join(tmpDir, 'mail');
+
+const userRepository = require('../src/db/queries');
+const tokenRepository = require('../src/db/tokens');
+const { USER_ROLES, PUBLIC_ROLES, canInviteRole } = require('../src/utils/roles');
+const authRoutes = require('../src/routes/auth');
+
+describe('роли при регистрации', () => {
+  let server;
+  let baseUrl;
+  let create;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.log = { info: () => {}, warn: () => {}, error: () => {} };
+      next();
+    });
+    app.use('/api/v1/users', authRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.method(userRepository, 'findByEmail', async () => undefined);
+    mock.method(tokenRepository, 'createActionToken', async () => {});
+    create = mock.method(userRepository, 'create', async ({ email, name, role }) => ({
+      id: '11111111-1111-4111-8111-111111111111',
+      email,
+      name,
+      roles: [role],
+      verified: false
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const register = async (fields) => {
+    const response = await fetch(`${baseUrl}/api/v1/users/register`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ email: 'new@example.com', password: 'secret123', name: 'Новый пользователь', ...fields })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('без роли пользователь регистрируется инженером', async () => {
+    const response = await register({});
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.role, 'engineer');
+    assert.equal(create.mock.calls[0].arguments[0].role, 'engineer');
+  });
+
+  for (const role of PUBLIC_ROLES) {
+    it(`роль ${role} можно выбрать самостоятельно`, async () => {
+      const response = await register({ role });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.role, role);
+    });
+  }
+
+  for (const role of USER_ROLES.filter(item => !PUBLIC_ROLES.includes(item))) {
+    it(`роль ${role} при регистрации отклоняется`, async () => {
+      const response = await register({ role });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+      assert.equal(create.mock.callCount(), 0);
+    });
+  }
+});
+
+describe('роли в приглашениях', () => {
+  it('admin приглашает с любой ролью, manager — без роли admin, остальные не приглашают', () => {
+    for (const role of USER_ROLES) {
+      assert.equal(canInviteRole(['admin'], role), true, role);
+    }
+    assert.equal(canInviteRole(['manager'], 'manager'), true);
+    assert.equal(canInviteRole(['manager'], 'admin'), false);
+    assert.equal(canInviteRole(['engineer', 'client'], 'engineer'), false);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadMigrations,
+  migrationChecksum,
+  findChangedMigrations,
+  findPendingMigrations
+} = require('../scripts/migrate');
+
+const writeMigrations = (dir, files) => {
+  for (const [name, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), sql);
+  }
+};
+
+describe('загрузка миграций', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('сортирует миграции по версии и считает sha256 up-файла', () => {
+    writeMigrations(dir, {
+      '0002_add_status.up.sql': 'ALTER TABLE defects ADD COLUMN status TEXT;',
+      '0002_add_status.down.sql': 'ALTER TABLE defects DROP COLUMN status;',
+      '0001_create_defects.up.sql': 'CREATE TABLE defects (id UUID);',
+      '0001_create_defects.down.sql': 'DROP TABLE defects;',
+      'README.md': 'не миграция'
+    });
+
+    const migrations = loadMigrations(dir);
+
+    assert.deepEqual(migrations.map(migration => migration.version), [1, 2]);
+    assert.equal(migrations[0].name, 'create_defects');
+    assert.equal(migrations[0].checksum, migrationChecksum('CREATE TABLE defects (id UUID);'));
+    assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+  });
+
+  it('не загружает миграцию без down-файла', () => {
+    writeMigrations(dir, { '0003_add_priority.up.sql': 'ALTER TABLE defects ADD COLUMN priority TEXT;' });
+
+    assert.throws(() => loadMigrations(dir), /Migration 3_add_priority must have both up and down files/);
+  });
+
+  it('не загружает версию с разными именами файлов', () => {
+    writeMigrations(dir, { '0003_add_severity.down.sql': 'ALTER TABLE defects DROP COLUMN severity;' });
+
+    assert.throws(() => loadMigrations(dir), /Migration 3 has conflicting names/);
+  });
+
+  it('файлы репозитория загружаются без ошибок', () => {
+    const migrations = loadMigrations();
+
+    assert.ok(migrations.length > 0);
+    assert.equal(new Set(migrations.map(migration => migration.version)).size, migrations.length);
+  });
+});
+
+describe('сравнение с журналом schema_migrations', () => {
+  const migrations = [
+    { version: 1, name: 'create_defects', checksum: migrationChecksum('CREATE TABLE defects (id UUID);') },
+    { version: 2, name: 'add_status', checksum: migrationChecksum('ALTER TABLE defects ADD COLUMN status TEXT;') },
+    { version: 3, name: 'add_priority', checksum: migrationChecksum('ALTER TABLE defects ADD COLUMN priority TEXT;') }
+  ];
+
+  it('контрольная сумма зависит от содержимого', () => {
+    assert.equal(migrationChecksum('SELECT 1;'), migrationChecksum('SELECT 1;'));
+    assert.notEqual(migrationChecksum('SELECT 1;'), migrationChecksum('SELECT 1; '));
+  });
+
+  it('к применению остаются еще не примененные версии в порядке возрастания', () => {
+    const pending = findPendingMigrations(migrations, [{ version: 2, checksum: migrations[1].checksum }]);
+
+    assert.deepEqual(pending.map(migration => migration.version), [1, 3]);
+    assert.deepEqual(findPendingMigrations(migrations, []), migrations);
+  });
+
+  it('находит примененные миграции, файлы которых изменены', () => {
+    const appliedRows = [
+      { version: 1, name: 'create_defects', checksum: migrations[0].checksum },
+      { version: 2, name: 'add_status', checksum: migrationChecksum('ALTER TABLE defects ADD COLUMN status VARCHAR(20);') }
+    ];
+
+    assert.deepEqual(findChangedMigrations(migrations, appliedRows), [appliedRows[1]]);
+  });
+
+  it('примененная версия без файла не считается измененной', () => {
+    assert.deepEqual(findChangedMigrations(migrations, [{ version: 9, name: 'removed', checksum: 'x' }]), []);
+  });
+});
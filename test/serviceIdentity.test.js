@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  signIdentity,
+  verifyIdentity,
+  internalRequestHeaders,
+  verifyInternalRequest
+} = require('../config/serviceIdentity');
+const { forwardIdentity } = require('../api_gateway/src/utils/identity');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', email: 'manager@example.com', roles: ['manager'] };
+
+// Запрос к gateway проксируется: заголовки исходящего запроса становятся заголовками запроса в сервисе
+const proxy = (method, path, { user: requestUser, headers = {} } = {}) => {
+  const outgoing = { ...headers };
+  const proxyReq = {
+    method,
+    path,
+    setHeader: (name, value) => {
+      outgoing[name] = value;
+    },
+    removeHeader: (name) => {
+      delete outgoing[name];
+    }
+  };
+
+  forwardIdentity(proxyReq, { user: requestUser });
+  return { method, originalUrl: path, headers: outgoing };
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('подпись заголовков пользователя', () => {
+  it('сервис принимает заголовки, подписанные gateway', () => {
+    const req = proxy('GET', '/api/v1/orders/projects?page=2', { user });
+
+    assert.deepEqual(verifyIdentity(req), { user });
+  });
+
+  it('gateway удаляет заголовки, переданные клиентом', () => {
+    const forged = {
+      'x-user-id': 'attacker',
+      'x-user-roles': '["admin"]',
+      'x-identity-signature': 'sha256=forged',
+      'x-internal-signature': 'sha256=forged'
+    };
+
+    assert.deepEqual(proxy('GET', '/api/v1/users', { headers: forged }).headers, {});
+    assert.equal(proxy('GET', '/api/v1/users', { user, headers: forged }).headers['x-user-id'], user.id);
+  });
+
+  it('отклоняет измененные роли', () => {
+    const req = proxy('GET', '/api/v1/users', { user });
+    req.headers['x-user-roles'] = '["admin"]';
+
+    assert.deepEqual(verifyIdentity(req), { error: 'invalid signature of identity headers' });
+  });
+
+  it('подпись действует только для своего метода и пути', () => {
+    const req = proxy('GET', '/api/v1/users/me', { user });
+
+    assert.ok(verifyIdentity({ ...req, method: 'DELETE' }).error);
+    assert.ok(verifyIdentity({ ...req, originalUrl: '/api/v1/users/other-id' }).error);
+  });
+
+  it('отклоняет устаревшую подпись', () => {
+    const timestamp = String(now() - 3600);
+    const roles = JSON.stringify(user.roles);
+    const req = {
+      method: 'GET',
+      originalUrl: '/api/v1/users/me',
+      headers: {
+        'x-user-id': user.id,
+        'x-user-email': user.email,
+        'x-user-roles': roles,
+        'x-identity-timestamp': timestamp,
+        'x-identity-signature': signIdentity({ timestamp, method: 'GET', path: '/api/v1/users/me', ...user, roles })
+      }
+    };
+
+    assert.deepEqual(verifyIdentity(req), { error: 'stale signature of identity headers' });
+  });
+
+  it('отклоняет заголовки без подписи', () => {
+    const req = { method: 'GET', originalUrl: '/api/v1/users/me', headers: { 'x-user-id': user.id } };
+
+    assert.deepEqual(verifyIdentity(req), { error: 'unsigned identity headers' });
+  });
+});
+
+describe('подпись служебного вызова', () => {
+  const path = '/api/v1/auth/tokens/revoked?since=2024-01-01T00%3A00%3A00.000Z';
+
+  it('сервис принимает подписанный служебный вызов', () => {
+    const req = { method: 'GET', originalUrl: path, headers: internalRequestHeaders('GET', path) };
+
+    assert.equal(verifyInternalRequest(req), null);
+  });
+
+  it('подпись не переносится на другой путь', () => {
+    const req = { method: 'GET', originalUrl: '/api/v1/auth/tokens/revoked', headers: internalRequestHeaders('GET', path) };
+
+    assert.equal(verifyInternalRequest(req), 'invalid signature of internal request');
+  });
+
+  it('подпись заголовков пользователя не заменяет служебную', () => {
+    const { headers } = proxy('GET', path, { user });
+    const req = {
+      method: 'GET',
+      originalUrl: path,
+      headers: {
+        'x-internal-timestamp': headers['x-identity-timestamp'],
+        'x-internal-signature': headers['x-identity-signature']
+      }
+    };
+
+    assert.equal(verifyInternalRequest(req), 'invalid signature of internal request');
+    assert.equal(verifyInternalRequest({ method: 'GET', originalUrl: path, headers: {} }), 'unsigned internal request');
+  });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrustProxy } = require('../config/trustProxy');
+
+describe('TRUST_PROXY', () => {
+  it('без значения используется значение по умолчанию сервиса', () => {
+    assert.equal(parseTrustProxy(undefined, false), false);
+    assert.equal(parseTrustProxy('  ', 'loopback'), 'loopback');
+  });
+
+  it('true и false передаются в Express логическими значениями', () => {
+    assert.equal(parseTrustProxy('true', false), true);
+    assert.equal(parseTrustProxy('FALSE', 'loopback'), false);
+  });
+
+  it('число — количество доверенных прокси', () => {
+    assert.equal(parseTrustProxy('2', false), 2);
+    assert.equal(parseTrustProxy('0', 'loopback'), 0);
+  });
+
+  it('остальное — список адресов и подсетей', () => {
+    assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8,', false), ['loopback', '10.0.0.0/8']);
+  });
+});